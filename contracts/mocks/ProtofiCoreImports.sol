@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.5.16;
+
+/**
+ * @dev Pulls the ProtoFi AMM core shipped under reference/ into the Hardhat build so
+ * the local test fixture can deploy it. The core is pinned to solc 0.5.16.
+ */
+import "../../reference/factory_contracts/ProtofiFactory.sol";
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+/**
+ * @dev Pulls the ProtoFi MasterChef, ProtonToken and ElectronToken shipped under reference/
+ * into the Hardhat build so the local test fixture can deploy them.
+ */
+import "../../reference/masterchef_contract/ProtofiMasterChef.sol";
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.6.12;
+
+/**
+ * @dev Pulls the ProtoFi router shipped under reference/ into the Hardhat build so
+ * the local test fixture can deploy it.
+ */
+import "../../reference/router_contracts/ProtofiRouter.sol";
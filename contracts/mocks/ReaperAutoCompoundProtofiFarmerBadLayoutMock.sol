@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.11;
+
+import "../ReaperAutoCompoundProtofiFarmer.sol";
+
+contract ShiftedStorageMock {
+    uint256 public shifted;
+}
+
+/**
+ * @dev Successor of ReaperAutoCompoundProtofiFarmer whose storage is shifted by one
+ * slot, which the upgrade safety checks must reject.
+ */
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract ReaperAutoCompoundProtofiFarmerBadLayoutMock is ShiftedStorageMock, ReaperAutoCompoundProtofiFarmer {}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.11;
+
+import "../ReaperAutoCompoundProtofiFarmer.sol";
+
+/**
+ * @dev Storage compatible successor of ReaperAutoCompoundProtofiFarmer, used to
+ * exercise the timelocked upgrade flow.
+ */
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract ReaperAutoCompoundProtofiFarmerV2Mock is ReaperAutoCompoundProtofiFarmer {
+    uint256 public upgradedValue;
+
+    function version() external pure returns (string memory) {
+        return "v2";
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.11;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+interface IReaperVault {
+    function token() external view returns (IERC20);
+
+    function deposit(uint256 _amount) external;
+
+    function withdraw(uint256 _shares) external;
+}
+
+/**
+ * @dev Holds vault shares on behalf of whoever calls it, the way a multisig or any other
+ * smart contract wallet would. The vault mints and burns the shares to this contract while
+ * its DepositsIncremented / WithdrawalsIncremented events record the signing account.
+ */
+contract VaultDepositorMock {
+    using SafeERC20 for IERC20;
+
+    IReaperVault public immutable vault;
+
+    constructor(IReaperVault _vault) {
+        vault = _vault;
+    }
+
+    function deposit(uint256 _amount) external {
+        IERC20 want = vault.token();
+        want.safeTransferFrom(msg.sender, address(this), _amount);
+        want.safeApprove(address(vault), _amount);
+        vault.deposit(_amount);
+    }
+
+    function withdraw(uint256 _shares) external {
+        IERC20 want = vault.token();
+        vault.withdraw(_shares);
+        want.safeTransfer(msg.sender, want.balanceOf(address(this)));
+    }
+
+    function transferShares(address _to, uint256 _shares) external {
+        IERC20(address(vault)).safeTransfer(_to, _shares);
+    }
+}
@@ -5,6 +5,21 @@ require('solidity-coverage');
 require('@openzeppelin/hardhat-upgrades');
 require('hardhat-contract-sizer');
 
+require('./tasks/deploy');
+require('./tasks/upgrade');
+require('./tasks/keeper');
+require('./tasks/report');
+require('./tasks/simulate');
+require('./tasks/strategy');
+require('./tasks/safe');
+require('./tasks/pools');
+require('./tasks/monitor');
+require('./tasks/roles');
+require('./tasks/treasury');
+require('./tasks/zap');
+require('./tasks/routes');
+require('./tasks/emergency');
+
 const { devAccount } = require('./secrets.json');
 
 module.exports = {
@@ -34,6 +49,15 @@ module.exports = {
           },
         },
       },
+      {
+        version: '0.5.16',
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+        },
+      },
     ],
   },
   mocha: {
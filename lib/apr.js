@@ -0,0 +1,95 @@
+const { ethers } = require('ethers');
+
+const { BigNumber } = ethers;
+const ONE_YEAR = 365 * 24 * 60 * 60;
+const ONE_DAY = 24 * 60 * 60;
+const WAD = ethers.constants.WeiPerEther;
+
+/**
+ * Reads the whole harvest log of a strategy as `{ timestamp, vaultSharePrice }` entries,
+ * with timestamps as numbers and share prices as BigNumbers.
+ */
+const readHarvestLog = async strategy => {
+  const length = (await strategy.harvestLogLength()).toNumber();
+  const log = [];
+  for (let i = 0; i < length; i++) {
+    const { timestamp, vaultSharePrice } = await strategy.harvestLog(i);
+    log.push({ timestamp: timestamp.toNumber(), vaultSharePrice });
+  }
+  return log;
+};
+
+/**
+ * Off-chain port of ReaperBaseStrategy.calculateAPRUsingLogs(): the annualized share price change
+ * between two log entries in basis points, rounded the same way. Returns null when no time passed.
+ */
+const calculateAPR = (start, end) => {
+  const timeDifference = end.timestamp - start.timestamp;
+  if (timeDifference <= 0) {
+    return null;
+  }
+  const increasing = end.vaultSharePrice.gte(start.vaultSharePrice);
+  const change = increasing
+    ? end.vaultSharePrice.sub(start.vaultSharePrice)
+    : start.vaultSharePrice.sub(end.vaultSharePrice);
+  const apr = change
+    .mul(WAD)
+    .div(start.vaultSharePrice)
+    .mul(ONE_YEAR)
+    .div(timeDifference)
+    .div(BigNumber.from(10).pow(14));
+  return increasing ? apr.toNumber() : -apr.toNumber();
+};
+
+/**
+ * One row per harvest log entry, with the APR (basis points) of the interval ending at that entry.
+ */
+const harvestLogRows = log =>
+  log.map((entry, index) => ({
+    index,
+    timestamp: entry.timestamp,
+    date: new Date(entry.timestamp * 1000).toISOString(),
+    vaultSharePrice: entry.vaultSharePrice.toString(),
+    intervalAPR: index === 0 ? null : calculateAPR(log[index - 1], entry),
+  }));
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * Share price return over the `days` before the latest log entry. The window starts at the latest entry
+ * at or before its start; when the log does not reach back that far, the first entry is used and the
+ * row is flagged `partial`. APR is simple annualization and APY compounds the return over a year,
+ * both in percent.
+ */
+const rollingReturn = (log, days) => {
+  const end = log[log.length - 1];
+  const windowStart = end.timestamp - days * ONE_DAY;
+  const candidates = log.filter(entry => entry.timestamp <= windowStart);
+  const start = candidates.length > 0 ? candidates[candidates.length - 1] : log[0];
+  const elapsed = end.timestamp - start.timestamp;
+  const row = {
+    window: `${days}d`,
+    from: new Date(start.timestamp * 1000).toISOString(),
+    to: new Date(end.timestamp * 1000).toISOString(),
+    days: round(elapsed / ONE_DAY, 2),
+    partial: candidates.length === 0,
+    apr: null,
+    apy: null,
+  };
+  if (elapsed <= 0) {
+    return row;
+  }
+
+  const growth = Number(ethers.utils.formatEther(end.vaultSharePrice.mul(WAD).div(start.vaultSharePrice)));
+  row.apr = round(((growth - 1) * ONE_YEAR * 100) / elapsed, 4);
+  row.apy = round((Math.pow(growth, ONE_YEAR / elapsed) - 1) * 100, 4);
+  return row;
+};
+
+module.exports = {
+  ONE_DAY,
+  readHarvestLog,
+  calculateAPR,
+  harvestLogRows,
+  rollingReturn,
+};
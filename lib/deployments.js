@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+const deploymentsDir = () => process.env.DEPLOYMENTS_DIR || path.join(__dirname, '..', 'deployments');
+
+const recordPath = network => path.join(deploymentsDir(), `${network}.json`);
+
+/**
+ * Returns every deployment record saved for `network`, keyed by vault name.
+ */
+const readDeployments = network => {
+  const file = recordPath(network);
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const getDeployment = (network, name) => {
+  const deployment = readDeployments(network)[name];
+  if (!deployment) {
+    throw new Error(`No deployment named "${name}" recorded for network "${network}" (${recordPath(network)})`);
+  }
+  return deployment;
+};
+
+/**
+ * Returns the strategy address a task targets, given exactly one of a vault name from the
+ * deployment record (`vault`) or a strategy address (`strategy`).
+ */
+const resolveStrategyAddress = (network, { vault, strategy }) => {
+  if (!vault === !strategy) {
+    throw new Error('Pass exactly one of --vault or --strategy');
+  }
+  return strategy || getDeployment(network, vault).strategy;
+};
+
+const saveDeployment = (network, name, record) => {
+  const deployments = readDeployments(network);
+  deployments[name] = record;
+  fs.mkdirSync(deploymentsDir(), { recursive: true });
+  fs.writeFileSync(recordPath(network), `${JSON.stringify(deployments, null, 2)}\n`);
+  return recordPath(network);
+};
+
+module.exports = {
+  recordPath,
+  readDeployments,
+  getDeployment,
+  resolveStrategyAddress,
+  saveDeployment,
+};
@@ -0,0 +1,239 @@
+const { ethers } = require('ethers');
+const { checkCaller } = require('./strategy-admin');
+const { readRewardState } = require('./rewards');
+const { withSnapshot } = require('./harvest-simulation');
+
+const BPS = 10000;
+
+const erc20Interface = new ethers.utils.Interface([
+  'function balanceOf(address) view returns (uint256)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+]);
+
+/**
+ * Figures the emergency sequence moves and checks: where the want sits, what the vault holds for its
+ * depositors and what one share is worth.
+ */
+const readEmergencySnapshot = async (vault, strategy) => ({
+  blockNumber: await vault.provider.getBlockNumber(),
+  paused: await strategy.paused(),
+  balanceOfPool: await strategy.balanceOfPool(),
+  balanceOfWant: await strategy.balanceOfWant(),
+  vaultBalance: await vault.balance(),
+  vaultAvailable: await vault.available(),
+  pricePerFullShare: await vault.getPricePerFullShare(),
+  totalSupply: await vault.totalSupply(),
+});
+
+// Loss of vault balance and share price between two snapshots, in basis points (negative for a gain).
+const lossBetween = (before, after) => {
+  const bps = (from, to) => (from.isZero() ? 0 : from.sub(to).mul(BPS).div(from).toNumber());
+  return {
+    amount: before.vaultBalance.sub(after.vaultBalance),
+    balanceBps: bps(before.vaultBalance, after.vaultBalance),
+    pricePerShareBps: bps(before.pricePerFullShare, after.pricePerFullShare),
+  };
+};
+
+const revertReason = error => error.reason || (error.error && error.error.message) || error.message;
+
+/**
+ * Tokens the vault holds besides its want, out of the strategy's reward and pair tokens plus `extra`,
+ * as `{ token, symbol, decimals, amount }`.
+ */
+const findStrayTokens = async (vault, strategy, extra = []) => {
+  const want = await vault.token();
+  const candidates = [
+    await strategy.PROTO(),
+    await strategy.WFTM(),
+    await strategy.lpToken0(),
+    await strategy.lpToken1(),
+  ];
+  const tokens = Array.from(new Set(candidates.concat(extra).map(token => ethers.utils.getAddress(token))));
+  const stray = [];
+  for (const token of tokens.filter(token => token !== want)) {
+    const contract = new ethers.Contract(token, erc20Interface, vault.provider);
+    const amount = await contract.balanceOf(vault.address);
+    if (!amount.isZero()) {
+      stray.push({ token, symbol: await contract.symbol(), decimals: await contract.decimals(), amount });
+    }
+  }
+  return stray;
+};
+
+/**
+ * Checks that `account` can run the emergency sequence on `vault` and its `strategy` before anything is
+ * sent. Returns `{ check, ok, detail }` rows; every failed row blocks the run:
+ *
+ * - the strategy belongs to the vault
+ * - `account` may call panic(), and retireStrat() with `retire` (STRATEGIST or DEFAULT_ADMIN_ROLE)
+ * - `account` owns the vault, which inCaseTokensGetStuck() requires, when stray tokens are to be recovered
+ * - the strategy is not paused while want is still in the MasterChef: panic() would revert in pause() and
+ *   retireStrat() in deposit(), so the funds could only come out after an unpause
+ * - no token to recover is the want, which inCaseTokensGetStuck() refuses
+ */
+const preflightEmergency = async (vault, strategy, account, { retire = false, recover = true, tokens = [] } = {}) => {
+  const checks = [];
+  const add = (check, ok, detail) => checks.push({ check, ok, detail });
+
+  add('strategy.vault', (await strategy.vault()) === vault.address, `strategy vault is ${await strategy.vault()}`);
+  for (const method of retire ? ['retireStrat', 'panic'] : ['panic']) {
+    try {
+      await checkCaller(strategy, method, account);
+      add(`role:${method}`, true, `${account} may call ${method}`);
+    } catch (error) {
+      add(`role:${method}`, false, error.message);
+    }
+  }
+  if (recover) {
+    const owner = await vault.owner();
+    add('role:inCaseTokensGetStuck', owner === account, `vault owner is ${owner}`);
+  }
+
+  const paused = await strategy.paused();
+  const pool = await strategy.balanceOfPool();
+  if (!paused) {
+    add('paused', true, 'strategy is not paused');
+  } else if (pool.isZero()) {
+    add('paused', true, 'strategy is already paused with nothing in the MasterChef, panic is skipped');
+  } else {
+    add('paused', false, `strategy is paused with ${ethers.utils.formatEther(pool)} want in the MasterChef`);
+  }
+
+  const want = await vault.token();
+  for (const token of tokens) {
+    add(`token:${token}`, ethers.utils.getAddress(token) !== want, 'inCaseTokensGetStuck refuses the vault want');
+  }
+  return checks;
+};
+
+/**
+ * Runs the emergency sequence from `signer` and reports it step by step:
+ *
+ * 1. `withdraw`: panic() pulls the want out with the MasterChef's emergencyWithdraw(), forfeiting pending
+ *    and locked rewards, and pauses the strategy. With `retire`, retireStrat() harvests and withdraws
+ *    instead and leaves the strategy running; retireStrat() cannot follow panic() because its harvest
+ *    ends in deposit(), which reverts while paused. When retireStrat() would revert, the run falls back
+ *    to panic() and reports why and what the fallback forfeits.
+ * 2. `confirm`: nothing is left in the MasterChef or on the strategy and the vault holds its whole balance.
+ * 3. `recover`: inCaseTokensGetStuck() sends every stray token of the vault (see findStrayTokens()) to
+ *    the vault owner.
+ *
+ * After each step the vault balance and price per share are compared with the snapshot taken before the
+ * run; a loss above `maxLossBps` stops the run. Returns `{ ok, steps, snapshots, loss, fallback,
+ * forfeited }`, where `ok` is false when a step failed or the loss exceeded the tolerance.
+ */
+const runEmergency = async (vault, strategy, signer, { retire = false, recover = true, tokens = [], maxLossBps }) => {
+  const report = { ok: true, steps: [], snapshots: {}, loss: null, fallback: null, forfeited: null };
+  const before = await readEmergencySnapshot(vault, strategy);
+  report.snapshots.before = before;
+
+  const record = async step => {
+    const snapshot = await readEmergencySnapshot(vault, strategy);
+    report.snapshots[step.step] = snapshot;
+    report.loss = lossBetween(before, snapshot);
+    report.steps.push(step);
+    if (step.status === 'failed') {
+      report.ok = false;
+    } else if (report.loss.balanceBps > maxLossBps || report.loss.pricePerShareBps > maxLossBps) {
+      step.status = 'loss';
+      step.detail =
+        `vault lost ${report.loss.balanceBps} bps of its balance and ${report.loss.pricePerShareBps} bps of ` +
+        `its share price, above the ${maxLossBps} bps tolerance`;
+      report.ok = false;
+    }
+    return report.ok;
+  };
+  const send = async method => (await (await strategy.connect(signer)[method]()).wait()).transactionHash;
+
+  let method = retire ? 'retireStrat' : 'panic';
+  if (before.paused) {
+    method = null;
+  } else if (retire) {
+    try {
+      await strategy.connect(signer).callStatic.retireStrat();
+    } catch (error) {
+      method = 'panic';
+      report.fallback = { from: 'retireStrat', to: 'panic', reason: revertReason(error) };
+    }
+  }
+  if (method === 'panic') {
+    const rewards = await readRewardState(strategy);
+    report.forfeited = { pending: rewards.pending, rewardLockedUp: rewards.rewardLockedUp };
+  }
+
+  let withdrawn;
+  if (method === null) {
+    withdrawn = { step: 'withdraw', method: null, status: 'skipped', detail: 'strategy already paused' };
+  } else {
+    try {
+      withdrawn = { step: 'withdraw', method, status: 'done', transaction: await send(method) };
+    } catch (error) {
+      withdrawn = { step: 'withdraw', method, status: 'failed', detail: revertReason(error) };
+    }
+  }
+  if (!(await record(withdrawn))) {
+    return report;
+  }
+
+  const problems = [];
+  const current = report.snapshots.withdraw;
+  if (!current.balanceOfPool.isZero()) {
+    problems.push(`${ethers.utils.formatEther(current.balanceOfPool)} want still in the MasterChef`);
+  }
+  if (!current.balanceOfWant.isZero()) {
+    problems.push(`${ethers.utils.formatEther(current.balanceOfWant)} want still on the strategy`);
+  }
+  if (!current.vaultAvailable.eq(current.vaultBalance)) {
+    problems.push('the vault does not hold its whole balance');
+  }
+  const confirmed = problems.length === 0;
+  const confirm = {
+    step: 'confirm',
+    method: null,
+    status: confirmed ? 'done' : 'failed',
+    detail: confirmed ? 'all want is back in the vault' : problems.join('; '),
+  };
+  if (!(await record(confirm)) || !recover) {
+    return report;
+  }
+
+  const stray = await findStrayTokens(vault, strategy, tokens);
+  const recovered = [];
+  let failure = null;
+  for (const { token, symbol, decimals, amount } of stray) {
+    try {
+      await (await vault.connect(signer).inCaseTokensGetStuck(token)).wait();
+      recovered.push(`${ethers.utils.formatUnits(amount, decimals)} ${symbol}`);
+    } catch (error) {
+      failure = `${symbol}: ${revertReason(error)}`;
+      break;
+    }
+  }
+  let detail = recovered.length > 0 ? `recovered ${recovered.join(', ')}` : 'no stray tokens in the vault';
+  if (failure) {
+    detail = `${detail}; failed on ${failure}`;
+  }
+  await record({ step: 'recover', method: 'inCaseTokensGetStuck', status: failure ? 'failed' : 'done', detail });
+  return report;
+};
+
+/**
+ * runEmergency() on a snapshot of a Hardhat chain that is reverted afterwards, sent from `account`
+ * impersonated, so the whole sequence can be rehearsed as the real strategist or owner.
+ */
+const simulateEmergency = (vault, strategy, account, options) =>
+  withSnapshot(vault.provider, async () => {
+    await vault.provider.send('hardhat_impersonateAccount', [account]);
+    await vault.provider.send('hardhat_setBalance', [account, ethers.utils.parseEther('100').toHexString()]);
+    return runEmergency(vault, strategy, vault.provider.getSigner(account), options);
+  });
+
+module.exports = {
+  readEmergencySnapshot,
+  findStrayTokens,
+  preflightEmergency,
+  runEmergency,
+  simulateEmergency,
+};
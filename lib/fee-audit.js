@@ -0,0 +1,191 @@
+const { ethers } = require('ethers');
+
+const { BigNumber } = ethers;
+const PERCENT_DIVISOR = 10000;
+
+const strategyEvents = new ethers.utils.Interface(['event StratHarvest(address indexed harvester)']);
+const erc20Interface = new ethers.utils.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'function balanceOf(address) view returns (uint256)',
+]);
+const STRAT_HARVEST = strategyEvents.getEventTopic('StratHarvest');
+const TRANSFER = erc20Interface.getEventTopic('Transfer');
+
+// Order in which _chargeFees() pays the fee recipients.
+const PARTIES = ['caller', 'treasury', 'strategist'];
+
+/**
+ * Reads the fee settings of a strategy as they were at `blockTag`.
+ */
+const readFeeParams = async (strategy, blockTag) => {
+  const params = {};
+  for (const getter of ['totalFee', 'callFee', 'treasuryFee', 'strategistFee']) {
+    params[getter] = await strategy[getter]({ blockTag });
+  }
+  params.treasury = await strategy.treasury({ blockTag });
+  params.strategistRemitter = await strategy.strategistRemitter({ blockTag });
+  return params;
+};
+
+/**
+ * Off-chain port of ReaperAutoCompoundProtofiFarmer._chargeFees(): splits `wftmBalance` into the amounts
+ * owed to the harvest caller, the treasury and the strategist remitter.
+ */
+const expectedFees = (wftmBalance, params) => {
+  const wftmFee = wftmBalance.mul(params.totalFee).div(PERCENT_DIVISOR);
+  if (wftmFee.isZero()) {
+    return { wftmFee, caller: wftmFee, treasury: wftmFee, strategist: wftmFee };
+  }
+  const treasuryShare = wftmFee.mul(params.treasuryFee).div(PERCENT_DIVISOR);
+  const strategist = treasuryShare.mul(params.strategistFee).div(PERCENT_DIVISOR);
+  return {
+    wftmFee,
+    caller: wftmFee.mul(params.callFee).div(PERCENT_DIVISOR),
+    treasury: treasuryShare.sub(strategist),
+    strategist,
+  };
+};
+
+/**
+ * Audits the fees paid by one StratHarvest transaction. `wftmBefore` is the strategy's WFTM balance before
+ * the transaction and `params` the fee settings in effect (see readFeeParams). _chargeFees() runs right after
+ * the reward swap, so the balance it charges is `wftmBefore` plus the WFTM received up to the first WFTM
+ * transfer leaving the strategy, and its payouts are the first three WFTM transfers out of the strategy.
+ * Returns the expected and actual amount per party and a list of mismatches.
+ */
+const auditHarvestReceipt = ({ receipt, strategy, wftm, harvester, params, wftmBefore }) => {
+  const transfers = receipt.logs
+    .filter(log => log.address === wftm && log.topics[0] === TRANSFER)
+    .map(log => erc20Interface.parseLog(log).args);
+
+  let charged = wftmBefore;
+  let firstOut = transfers.findIndex(transfer => transfer.from === strategy);
+  if (firstOut === -1) {
+    firstOut = transfers.length;
+  }
+  for (const transfer of transfers.slice(0, firstOut)) {
+    if (transfer.to === strategy) {
+      charged = charged.add(transfer.value);
+    }
+  }
+
+  const expected = expectedFees(charged, params);
+  const payouts = expected.wftmFee.isZero()
+    ? []
+    : transfers
+        .slice(firstOut)
+        .filter(transfer => transfer.from === strategy)
+        .slice(0, PARTIES.length);
+  const recipients = { caller: harvester, treasury: params.treasury, strategist: params.strategistRemitter };
+
+  const parties = {};
+  const mismatches = [];
+  PARTIES.forEach((party, index) => {
+    const payout = payouts[index];
+    const actual = payout ? payout.value : BigNumber.from(0);
+    parties[party] = { recipient: recipients[party], expected: expected[party], actual };
+    if (!expected.wftmFee.isZero() && !payout) {
+      mismatches.push(`${party}: no transfer, expected ${expected[party]}`);
+      return;
+    }
+    if (payout && payout.to !== recipients[party]) {
+      mismatches.push(`${party}: paid to ${payout.to}, expected ${recipients[party]}`);
+    }
+    if (!actual.eq(expected[party])) {
+      mismatches.push(`${party}: received ${actual}, expected ${expected[party]}`);
+    }
+  });
+
+  return { charged, wftmFee: expected.wftmFee, parties, mismatches };
+};
+
+/**
+ * Why the state at the block before `receipt` may not be the one its harvest started from, or null. That is
+ * the case when an earlier transaction of the same block left a log of the strategy or one naming it in an
+ * indexed topic (a deposit, a fee update, another harvest, WFTM moving in or out), or when the fee settings
+ * at the end of the block differ from `params`. `blockLogs` holds the logs of the whole block.
+ */
+const sameBlockChange = async (strategy, receipt, blockLogs, params) => {
+  const topic = ethers.utils.hexZeroPad(strategy.address, 32).toLowerCase();
+  const earlier = blockLogs.find(
+    log =>
+      log.transactionIndex < receipt.transactionIndex &&
+      (log.address === strategy.address || log.topics.some(logTopic => logTopic.toLowerCase() === topic)),
+  );
+  if (earlier) {
+    return `transaction ${earlier.transactionHash} touched the strategy earlier in the block`;
+  }
+  const after = await readFeeParams(strategy, receipt.blockNumber);
+  const changed = Object.keys(params).filter(key => after[key].toString() !== params[key].toString());
+  return changed.length > 0 ? `${changed.join(', ')} changed within the block` : null;
+};
+
+/**
+ * Finds the StratHarvest events of `strategy` between `fromBlock` and `toBlock` and audits the fee
+ * transfers of each of their transactions against the fee settings of the block before. A harvest whose
+ * block changed the strategy before it ran (see sameBlockChange) is marked `unverifiable` with the reason
+ * instead of being checked: its amounts are estimates and it reports no mismatches.
+ */
+const auditFees = async (strategy, { fromBlock, toBlock, batchSize = 2000 }) => {
+  const provider = strategy.provider;
+  const wftm = await strategy.WFTM();
+  const wftmToken = new ethers.Contract(wftm, erc20Interface, provider);
+
+  const harvestLogs = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    harvestLogs.push(
+      ...(await provider.getLogs({ address: strategy.address, topics: [STRAT_HARVEST], fromBlock: from, toBlock: to })),
+    );
+  }
+
+  const harvests = [];
+  const blockLogs = {};
+  for (const log of harvestLogs) {
+    const receipt = await provider.getTransactionReceipt(log.transactionHash);
+    const { harvester } = strategyEvents.parseLog(log).args;
+    const blockTag = receipt.blockNumber - 1;
+    const params = await readFeeParams(strategy, blockTag);
+    if (!blockLogs[receipt.blockHash]) {
+      blockLogs[receipt.blockHash] = await provider.getLogs({ blockHash: receipt.blockHash });
+    }
+    const unverifiable = await sameBlockChange(strategy, receipt, blockLogs[receipt.blockHash], params);
+    const audit = auditHarvestReceipt({
+      receipt,
+      strategy: strategy.address,
+      wftm,
+      harvester,
+      params,
+      wftmBefore: await wftmToken.balanceOf(strategy.address, { blockTag }),
+    });
+    if (unverifiable) {
+      audit.mismatches = [];
+    }
+    harvests.push(
+      Object.assign(
+        { blockNumber: receipt.blockNumber, transactionHash: receipt.transactionHash, harvester, params },
+        audit,
+        { unverifiable },
+      ),
+    );
+  }
+
+  const totals = {};
+  for (const party of PARTIES) {
+    totals[party] = harvests.reduce((sum, harvest) => sum.add(harvest.parties[party].actual), BigNumber.from(0));
+  }
+  return {
+    harvests,
+    totals,
+    mismatches: harvests.filter(harvest => harvest.mismatches.length > 0).length,
+    unverifiable: harvests.filter(harvest => harvest.unverifiable).length,
+  };
+};
+
+module.exports = {
+  PARTIES,
+  readFeeParams,
+  expectedFees,
+  auditHarvestReceipt,
+  auditFees,
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { formatTable } = require('./output');
+
+const GAS_COLUMNS = ['function', 'size', 'baseline', 'current', 'diff', 'change', 'status'];
+
+/**
+ * Loads a gas baseline: `{ "<function>": { "<size>": gasUsed } }`. Returns null when the file does not exist.
+ */
+const loadGasBaseline = file => {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    return null;
+  }
+  const baseline = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const errors = [];
+  for (const [name, sizes] of Object.entries(baseline)) {
+    if (typeof sizes !== 'object' || sizes === null || Array.isArray(sizes)) {
+      errors.push(`${name} must map position sizes to gas, got ${JSON.stringify(sizes)}`);
+      continue;
+    }
+    for (const [size, gas] of Object.entries(sizes)) {
+      if (!Number.isInteger(gas) || gas <= 0) {
+        errors.push(`${name}.${size} must be a positive whole amount of gas, got ${JSON.stringify(gas)}`);
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid gas baseline ${resolved}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return baseline;
+};
+
+const saveGasBaseline = (file, results) => {
+  fs.writeFileSync(path.resolve(file), `${JSON.stringify(results, null, 2)}\n`);
+};
+
+/**
+ * Compares measured gas with a baseline, one row per function and position size. An entry `regressed` when
+ * it uses more than `tolerance` percent above its baseline and `improved` when it uses that much less;
+ * entries only in the results are `new`, entries only in the baseline `removed`.
+ */
+const compareGas = (baseline, results, { tolerance }) => {
+  const rows = [];
+  const names = Object.keys(results).concat(Object.keys(baseline).filter(name => !results[name]));
+  for (const name of names) {
+    const before = baseline[name] || {};
+    const after = results[name] || {};
+    const sizes = Object.keys(after).concat(Object.keys(before).filter(size => after[size] === undefined));
+    for (const size of sizes) {
+      const row = { function: name, size, baseline: before[size], current: after[size] };
+      if (row.baseline === undefined) {
+        row.status = 'new';
+      } else if (row.current === undefined) {
+        row.status = 'removed';
+      } else {
+        row.diff = row.current - row.baseline;
+        const change = (row.diff * 100) / row.baseline;
+        row.change = `${change > 0 ? '+' : ''}${change.toFixed(2)}%`;
+        if (change > tolerance) {
+          row.status = 'regressed';
+        } else if (change < -tolerance) {
+          row.status = 'improved';
+        } else {
+          row.status = 'ok';
+        }
+      }
+      rows.push(row);
+    }
+  }
+  return rows;
+};
+
+const formatGasDiff = rows => formatTable(rows, GAS_COLUMNS);
+
+module.exports = {
+  loadGasBaseline,
+  saveGasBaseline,
+  compareGas,
+  formatGasDiff,
+};
@@ -0,0 +1,255 @@
+const { ethers } = require('ethers');
+
+const { BigNumber } = ethers;
+const BPS = 10000;
+
+const pairInterface = new ethers.utils.Interface([
+  'event Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to)',
+  'event Sync(uint112 reserve0, uint112 reserve1)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+]);
+const erc20Interface = new ethers.utils.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'function balanceOf(address) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+]);
+const routerInterface = new ethers.utils.Interface([
+  'function getAmountsOut(uint amountIn, address[] path) view returns (uint[] amounts)',
+  'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline)',
+]);
+const SWAP = pairInterface.getEventTopic('Swap');
+const SYNC = pairInterface.getEventTopic('Sync');
+const TRANSFER = erc20Interface.getEventTopic('Transfer');
+
+// Account used to replay front-runs. It is impersonated, so it works on a plain Hardhat chain and on forks.
+const ATTACKER = '0x00000000000000000000000000000000000a77ac';
+
+// Where fee-on-transfer tokens such as PROTO send the part of a transfer they burn.
+const BURN_ADDRESSES = [ethers.constants.AddressZero, '0x000000000000000000000000000000000000dEaD'];
+
+const bps = (part, whole) => (whole.isZero() ? null : part.mul(BPS).div(whole).toNumber());
+
+/**
+ * Runs `fn` and reverts the chain to the state it had before, whatever `fn` sent or mined.
+ */
+const withSnapshot = async (provider, fn) => {
+  const snapshot = await provider.send('evm_snapshot', []);
+  try {
+    return await fn();
+  } finally {
+    await provider.send('evm_revert', [snapshot]);
+  }
+};
+
+/**
+ * Gives `account` exactly `amount` of `token` by locating the balance mapping slot of a standard
+ * Solidity ERC20 and writing it directly. Only meant for local chains and forks.
+ */
+const setTokenBalance = async (provider, token, account, amount) => {
+  const contract = new ethers.Contract(token, erc20Interface, provider);
+  const probe = ethers.utils.hexZeroPad(ethers.utils.hexlify(0x5eed), 32);
+  for (let slot = 0; slot < 64; slot++) {
+    const key = ethers.utils.hexStripZeros(
+      ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['address', 'uint256'], [account, slot])),
+    );
+    const previous = await provider.getStorageAt(token, key);
+    await provider.send('hardhat_setStorageAt', [token, key, probe]);
+    if ((await contract.balanceOf(account)).eq(probe)) {
+      await provider.send('hardhat_setStorageAt', [token, key, ethers.utils.hexZeroPad(amount.toHexString(), 32)]);
+      return;
+    }
+    await provider.send('hardhat_setStorageAt', [token, key, previous]);
+  }
+  throw new Error(`Could not locate the balance slot of token ${token}`);
+};
+
+/**
+ * Reconstructs the swaps of a harvest transaction from its logs, in order. Reserves before each swap are
+ * tracked through the pair's Sync events, starting from the block before the harvest; `quoted` is the router's
+ * getAmountsOut() for the amount the strategy sent, as seen in the block before the harvest, so it ignores
+ * earlier legs of the same harvest that went through the same pair.
+ */
+const decodeSwapLegs = async (provider, router, strategy, receipt) => {
+  const preHarvest = receipt.blockNumber - 1;
+  const pairs = {};
+  const pairOf = async address => {
+    if (!pairs[address]) {
+      const pair = new ethers.Contract(address, pairInterface, provider);
+      const [reserve0, reserve1] = await pair.getReserves({ blockTag: preHarvest });
+      pairs[address] = { token0: await pair.token0(), token1: await pair.token1(), reserve0, reserve1 };
+    }
+    return pairs[address];
+  };
+
+  const legs = [];
+  let sent = {};
+  for (const log of receipt.logs) {
+    const topic = log.topics[0];
+    if (topic === TRANSFER && log.topics.length === 3) {
+      const { from, to, value } = erc20Interface.parseLog(log).args;
+      if (from === strategy) {
+        // Tokens leaving the strategy towards a pair, plus whatever a fee-on-transfer token burns on the way.
+        const key = `${log.address}:${BURN_ADDRESSES.includes(to) ? 'burn' : to}`;
+        sent[key] = (sent[key] || BigNumber.from(0)).add(value);
+      }
+    } else if (topic === SYNC) {
+      const pair = await pairOf(log.address);
+      const { reserve0, reserve1 } = pairInterface.parseLog(log).args;
+      // Pairs emit Sync right before Swap, so keep the reserves the swap started from.
+      pair.before = { reserve0: pair.reserve0, reserve1: pair.reserve1 };
+      Object.assign(pair, { reserve0, reserve1 });
+    } else if (topic === SWAP) {
+      const pair = await pairOf(log.address);
+      const { amount0In, amount1In, amount0Out, amount1Out } = pairInterface.parseLog(log).args;
+      const zeroForOne = amount0In.gt(0);
+      const tokenIn = zeroForOne ? pair.token0 : pair.token1;
+      const tokenOut = zeroForOne ? pair.token1 : pair.token0;
+      const reserveIn = zeroForOne ? pair.before.reserve0 : pair.before.reserve1;
+      const reserveOut = zeroForOne ? pair.before.reserve1 : pair.before.reserve0;
+      const amountIn = zeroForOne ? amount0In : amount1In;
+      const realized = zeroForOne ? amount1Out : amount0Out;
+      const sentAmount = (sent[`${tokenIn}:${log.address}`] || amountIn).add(sent[`${tokenIn}:burn`] || 0);
+      const [, quoted] = await router.getAmountsOut(sentAmount, [tokenIn, tokenOut], { blockTag: preHarvest });
+      const spot = sentAmount.mul(reserveOut).div(reserveIn);
+
+      legs.push({
+        pair: log.address,
+        tokenIn,
+        tokenOut,
+        sent: sentAmount,
+        amountIn,
+        reserveIn,
+        reserveOut,
+        quoted,
+        spot,
+        realized,
+        slippageBps: bps(quoted.sub(realized), quoted),
+        priceImpactBps: bps(spot.sub(realized), spot),
+      });
+      sent = {};
+    }
+  }
+  return legs;
+};
+
+const swapAll = async (router, signer, amount, path) => {
+  const tx = await router
+    .connect(signer)
+    .swapExactTokensForTokensSupportingFeeOnTransferTokens(amount, 0, path, ATTACKER, ethers.constants.MaxUint256);
+  return tx.wait();
+};
+
+/**
+ * Harvests once on a throwaway snapshot. With `frontRun`, the attacker first sells `frontRun.amount` of
+ * the leg's input token into its pair, and sells what it received back after the harvest. Without it,
+ * an empty block stands in for the front-run so both variants harvest at the same height.
+ */
+const runScenario = async ({ provider, strategy, caller, router, frontRun }) =>
+  withSnapshot(provider, async () => {
+    let attack;
+    if (frontRun) {
+      const attacker = provider.getSigner(ATTACKER);
+      const tokenOut = new ethers.Contract(frontRun.tokenOut, erc20Interface, provider);
+      await setTokenBalance(provider, frontRun.tokenIn, ATTACKER, frontRun.amount);
+      await swapAll(router, attacker, frontRun.amount, [frontRun.tokenIn, frontRun.tokenOut]);
+      attack = { attacker, tokenOut, received: await tokenOut.balanceOf(ATTACKER) };
+    } else {
+      await provider.send('evm_mine', []);
+    }
+
+    const wantBefore = await strategy.balanceOf();
+    const receipt = await (await strategy.connect(caller).harvest()).wait();
+    const legs = await decodeSwapLegs(provider, router, strategy.address, receipt);
+    const result = { legs, gasUsed: receipt.gasUsed, wantAdded: (await strategy.balanceOf()).sub(wantBefore) };
+
+    if (attack) {
+      const tokenIn = new ethers.Contract(frontRun.tokenIn, erc20Interface, provider);
+      await swapAll(router, attack.attacker, attack.received, [frontRun.tokenOut, frontRun.tokenIn]);
+      result.attackerProfit = (await tokenIn.balanceOf(ATTACKER)).sub(frontRun.amount);
+    }
+    return result;
+  });
+
+const prepareAttacker = async (provider, router, tokens) => {
+  await provider.send('hardhat_impersonateAccount', [ATTACKER]);
+  await provider.send('hardhat_setBalance', [ATTACKER, ethers.utils.parseEther('100').toHexString()]);
+  const attacker = provider.getSigner(ATTACKER);
+  for (const token of tokens) {
+    const contract = new ethers.Contract(token, erc20Interface, attacker);
+    await (await contract.approve(router.address, ethers.constants.MaxUint256)).wait();
+  }
+};
+
+/**
+ * Simulates `strategy.harvest()` from `caller` without leaving any trace on the chain, and reports each
+ * swap leg's quoted, mid-price and realized output. `frontRun.percents` replays a front-run of leg
+ * `frontRun.leg` sized at those percentages of the leg's input reserve and compares each run against a
+ * baseline harvested at the same height: lost leg output, lost want compounded and the attacker's profit.
+ */
+const simulateHarvest = async (strategy, caller, { frontRun } = {}) => {
+  const provider = caller.provider;
+  const router = new ethers.Contract(await strategy.PROTOFI_ROUTER(), routerInterface, caller);
+  let estimate;
+  try {
+    const { profit, callFeeToUser } = await strategy.estimateHarvest();
+    estimate = { profit, callFeeToUser };
+  } catch (error) {
+    estimate = { error: error.reason || error.message };
+  }
+
+  const block = await provider.getBlockNumber();
+
+  return withSnapshot(provider, async () => {
+    const harvest = await runScenario({ provider, strategy, caller, router });
+    const report = Object.assign({ block, estimate }, harvest);
+    if (!frontRun || frontRun.percents.length === 0) {
+      return report;
+    }
+
+    const target = harvest.legs[frontRun.leg || 0];
+    if (!target) {
+      throw new Error(`The harvest made ${harvest.legs.length} swaps, there is no leg ${frontRun.leg} to front-run`);
+    }
+    await prepareAttacker(provider, router, [target.tokenIn, target.tokenOut]);
+    const baseline = await runScenario({ provider, strategy, caller, router });
+    const baselineLeg = baseline.legs[frontRun.leg || 0];
+
+    report.frontRuns = [];
+    for (const percent of frontRun.percents) {
+      const amount = baselineLeg.reserveIn.mul(Math.round(percent * 100)).div(100 * 100);
+      const attacked = await runScenario({
+        provider,
+        strategy,
+        caller,
+        router,
+        frontRun: { tokenIn: target.tokenIn, tokenOut: target.tokenOut, amount },
+      });
+      const realized = attacked.legs[frontRun.leg || 0].realized;
+      report.frontRuns.push({
+        percent,
+        frontRunAmount: amount,
+        legRealized: realized,
+        legLoss: baselineLeg.realized.sub(realized),
+        legLossBps: bps(baselineLeg.realized.sub(realized), baselineLeg.realized),
+        wantAdded: attacked.wantAdded,
+        wantLoss: baseline.wantAdded.sub(attacked.wantAdded),
+        wantLossBps: bps(baseline.wantAdded.sub(attacked.wantAdded), baseline.wantAdded),
+        attackerProfit: attacked.attackerProfit,
+      });
+    }
+    report.baseline = baseline;
+    return report;
+  });
+};
+
+module.exports = {
+  erc20Interface,
+  withSnapshot,
+  setTokenBalance,
+  decodeSwapLegs,
+  simulateHarvest,
+};
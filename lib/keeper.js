@@ -0,0 +1,189 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { readRewardState } = require('./rewards');
+
+const RATIO_PRECISION = 10000;
+const DEFAULTS = {
+  pollInterval: 300,
+  minHarvestInterval: 3600,
+  minCallFeeToGasRatio: 1,
+};
+
+const isNonNegativeNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Loads the keeper config (.json or .js). Every entry of `strategies` names either a vault from the
+ * deployment record (`{ "vault": "protofi-ftm-usdc" }`) or a strategy address (`{ "name", "strategy" }`),
+ * and may override `minHarvestInterval` and `minCallFeeToGasRatio`. Intervals are in seconds.
+ */
+const loadKeeperConfig = configPath => {
+  const file = path.resolve(configPath);
+  const raw = Object.assign({}, DEFAULTS, require(file));
+  const errors = [];
+
+  for (const field of Object.keys(DEFAULTS)) {
+    if (!isNonNegativeNumber(raw[field])) {
+      errors.push(`"${field}" must be a non-negative number`);
+    }
+  }
+
+  if (!Array.isArray(raw.strategies) || raw.strategies.length === 0) {
+    errors.push('"strategies" must be a non-empty array');
+  }
+
+  const strategies = (raw.strategies || []).map((entry, index) => {
+    if (!entry.vault && !(entry.name && ethers.utils.isAddress(entry.strategy))) {
+      errors.push(`strategies[${index}] needs a "vault" name or a "name" and a "strategy" address`);
+    }
+    for (const field of ['minHarvestInterval', 'minCallFeeToGasRatio']) {
+      if (entry[field] !== undefined && !isNonNegativeNumber(entry[field])) {
+        errors.push(`strategies[${index}].${field} must be a non-negative number`);
+      }
+    }
+    return {
+      name: entry.name || entry.vault,
+      vault: entry.vault,
+      strategy: entry.strategy,
+      minHarvestInterval: entry.minHarvestInterval === undefined ? raw.minHarvestInterval : entry.minHarvestInterval,
+      minCallFeeToGasRatio:
+        entry.minCallFeeToGasRatio === undefined ? raw.minCallFeeToGasRatio : entry.minCallFeeToGasRatio,
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid keeper config ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    pollInterval: raw.pollInterval,
+    strategies,
+  };
+};
+
+/**
+ * Returns a logger writing one JSON object per line to `stream`. BigNumbers are written as decimal strings.
+ */
+const createLogger =
+  (stream = process.stdout) =>
+  (event, fields = {}) => {
+    const entry = Object.assign({ time: new Date().toISOString(), event }, fields);
+    const json = JSON.stringify(entry, (key, value) =>
+      value && value.type === 'BigNumber' ? ethers.BigNumber.from(value.hex).toString() : value,
+    );
+    stream.write(`${json}\n`);
+  };
+
+const skip = (decision, reason) => Object.assign(decision, { action: 'skip', reason });
+
+/**
+ * Decides whether harvesting `target.strategy` pays for itself: the WFTM call fee the harvest would actually
+ * pay (see readRewardState) must cover `minCallFeeToGasRatio` times the cost of the harvest() transaction,
+ * and at least `minHarvestInterval` seconds must have passed since lastHarvestTimestamp. Harvests that would
+ * sell nothing, because rewards are locked, paid in ELCT or below minProtoToSell, are skipped with that
+ * reason. estimateHarvest() is logged as `estimatedCallFee` for comparison.
+ * `gasPrice` defaults to the provider's current gas price.
+ */
+const evaluateHarvest = async (target, signer, gasPrice) => {
+  const strategy = target.strategy.connect(signer);
+  const decision = { strategy: strategy.address, name: target.name };
+
+  if (await strategy.paused()) {
+    return skip(decision, 'paused');
+  }
+
+  const { timestamp } = await signer.provider.getBlock('latest');
+  decision.sinceLastHarvest = timestamp - (await strategy.lastHarvestTimestamp()).toNumber();
+  if (decision.sinceLastHarvest < target.minHarvestInterval) {
+    return skip(decision, 'too-soon');
+  }
+
+  const rewards = await readRewardState(strategy);
+  decision.rewardToken = rewards.rewardToken;
+  decision.claimable = rewards.claimable;
+  decision.locked = rewards.locked;
+  decision.nextPayoutAt = rewards.nextPayoutAt;
+  if (rewards.status !== 'yields') {
+    return skip(decision, rewards.status);
+  }
+  decision.profit = rewards.expectedProfit;
+  decision.callFeeToUser = rewards.expectedCallFee;
+  decision.estimatedCallFee = rewards.estimateHarvest.callFeeToUser;
+
+  // harvest() may revert for reasons the reward accounting does not see.
+  try {
+    decision.gasEstimate = await strategy.estimateGas.harvest();
+  } catch (error) {
+    decision.error = error.reason || error.message;
+    return skip(decision, 'estimate-failed');
+  }
+  decision.gasPrice = gasPrice || (await signer.provider.getGasPrice());
+  decision.gasCost = decision.gasEstimate.mul(decision.gasPrice);
+
+  const ratio = Math.round(target.minCallFeeToGasRatio * RATIO_PRECISION);
+  if (decision.callFeeToUser.mul(RATIO_PRECISION).lt(decision.gasCost.mul(ratio))) {
+    return skip(decision, 'unprofitable');
+  }
+  return Object.assign(decision, { action: 'harvest', reason: 'profitable' });
+};
+
+/**
+ * Evaluates every target once and, unless `dryRun` is set, harvests the profitable ones.
+ * Each decision and each harvest outcome is logged; a failing strategy does not stop the round.
+ */
+const runKeeperRound = async (targets, { signer, dryRun = false, gasPrice, log = createLogger() }) => {
+  const decisions = [];
+  for (const target of targets) {
+    let decision;
+    try {
+      decision = await evaluateHarvest(target, signer, gasPrice);
+    } catch (error) {
+      decision = { strategy: target.strategy.address, name: target.name, action: 'skip', reason: 'error' };
+      decision.error = error.reason || error.message;
+    }
+    log('decision', Object.assign({ dryRun }, decision));
+    decisions.push(decision);
+
+    if (decision.action !== 'harvest' || dryRun) {
+      continue;
+    }
+    try {
+      const tx = await target.strategy.connect(signer).harvest({ gasPrice: decision.gasPrice });
+      const receipt = await tx.wait();
+      decision.txHash = receipt.transactionHash;
+      log('harvested', {
+        strategy: decision.strategy,
+        name: decision.name,
+        txHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+      });
+    } catch (error) {
+      decision.error = error.reason || error.message;
+      log('harvest-failed', { strategy: decision.strategy, name: decision.name, error: decision.error });
+    }
+  }
+  return decisions;
+};
+
+const sleep = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+
+/**
+ * Runs keeper rounds every `pollInterval` seconds, for `rounds` rounds or forever when it is not set.
+ */
+const runKeeper = async (targets, options) => {
+  const { pollInterval, rounds = Infinity } = options;
+  for (let round = 1; round <= rounds; round++) {
+    await runKeeperRound(targets, options);
+    if (round < rounds) {
+      await sleep(pollInterval);
+    }
+  }
+};
+
+module.exports = {
+  loadKeeperConfig,
+  createLogger,
+  evaluateHarvest,
+  runKeeperRound,
+  runKeeper,
+};
@@ -0,0 +1,404 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const RATIO_PRECISION = 10000;
+const SINK_TYPES = ['stdout', 'file', 'webhook'];
+const DEFAULTS = {
+  pollInterval: 300,
+  renotifyAfter: 0,
+};
+
+const masterChefInterface = new ethers.utils.Interface([
+  'function protonPerBlock() view returns (uint256)',
+  'function totalAllocPoint() view returns (uint256)',
+  'function getPoolInfo(uint256 pid) view returns (address lpToken, uint256 allocPoint, uint256 lastRewardBlock, uint256 accProtonPerShare, uint256 depositFeeBP, uint256 harvestInterval, bool isElectronRewards)',
+]);
+
+const isNonNegativeNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const ratioOf = (amount, ratio) => amount.mul(Math.round(ratio * RATIO_PRECISION)).div(RATIO_PRECISION);
+
+const formatHours = seconds => `${(seconds / 3600).toFixed(1)}h`;
+
+/**
+ * Health rules. `condition` rules stay active while they hold: they alert once (again after `renotifyAfter`
+ * seconds) and send a recovery notice when they clear. `change` rules compare two consecutive polls and
+ * alert once per change. `check` returns a message while the rule fires. Options are numbers, set per rule
+ * in the monitor config.
+ */
+const RULES = {
+  strategyPaused: {
+    kind: 'condition',
+    severity: 'critical',
+    defaults: {},
+    check: ({ health }) =>
+      health.paused ? 'strategy is paused, deposits revert and rewards are not compounded' : null,
+  },
+  tvlCap: {
+    kind: 'condition',
+    severity: 'warning',
+    // Fraction of tvlCap the vault balance may reach.
+    defaults: { usage: 0.95 },
+    check: ({ health }, { usage }) => {
+      if (health.tvlCap.eq(ethers.constants.MaxUint256) || health.balance.lt(ratioOf(health.tvlCap, usage))) {
+        return null;
+      }
+      return `vault balance ${ethers.utils.formatEther(health.balance)} is at or above ${
+        usage * 100
+      }% of tvlCap ${ethers.utils.formatEther(health.tvlCap)}`;
+    },
+  },
+  staleHarvest: {
+    kind: 'condition',
+    severity: 'warning',
+    // Seconds since lastHarvestTimestamp.
+    defaults: { maxAge: 24 * 3600 },
+    check: ({ health }, { maxAge }) => {
+      const age = health.timestamp - health.lastHarvestTimestamp;
+      return age > maxAge ? `no harvest for ${formatHours(age)}, limit ${formatHours(maxAge)}` : null;
+    },
+  },
+  idleFunds: {
+    kind: 'condition',
+    severity: 'warning',
+    // Fraction of balance() that may sit in the vault (earn() not called) or on the strategy (deposit() not called).
+    defaults: { maxIdleRatio: 0.01 },
+    check: ({ health }, { maxIdleRatio }) => {
+      const idle = health.available.add(health.balanceOfWant);
+      if (health.balance.isZero() || idle.lte(ratioOf(health.balance, maxIdleRatio))) {
+        return null;
+      }
+      return `${ethers.utils.formatEther(idle)} of ${ethers.utils.formatEther(
+        health.balance,
+      )} want is not staked (vault ${ethers.utils.formatEther(health.available)}, strategy ${ethers.utils.formatEther(
+        health.balanceOfWant,
+      )})`;
+    },
+  },
+  emissionChange: {
+    kind: 'change',
+    severity: 'warning',
+    defaults: {},
+    check: ({ health, previous }) => {
+      const changes = ['protonPerBlock', 'totalAllocPoint', 'allocPoint', 'harvestInterval', 'depositFeeBP']
+        .filter(field => !health.pool[field].eq(previous.pool[field]))
+        .map(field => `${field} ${previous.pool[field]} -> ${health.pool[field]}`);
+      if (health.pool.isElectronRewards !== previous.pool.isElectronRewards) {
+        changes.push(`isElectronRewards ${previous.pool.isElectronRewards} -> ${health.pool.isElectronRewards}`);
+      }
+      return changes.length > 0 ? `MasterChef pool ${health.poolId} changed: ${changes.join(', ')}` : null;
+    },
+  },
+  sharePriceDrop: {
+    kind: 'change',
+    severity: 'critical',
+    defaults: {},
+    check: ({ health, previous }) =>
+      health.pricePerShare.lt(previous.pricePerShare)
+        ? `getPricePerFullShare() dropped from ${ethers.utils.formatEther(
+            previous.pricePerShare,
+          )} to ${ethers.utils.formatEther(health.pricePerShare)}`
+        : null,
+  },
+};
+
+/**
+ * Loads the monitor config (.json or .js). `vaults` lists vault names from the deployment record, each
+ * with optional `rules` overrides. `rules` maps rule names to `false` (disabled) or option overrides;
+ * `sinks` lists where alerts go: `{ "type": "stdout" }`, `{ "type": "file", "path" }` or
+ * `{ "type": "webhook", "url", "headers" }`. Intervals are in seconds; `renotifyAfter` 0 never repeats
+ * an active alert.
+ */
+const loadMonitorConfig = configPath => {
+  const file = path.resolve(configPath);
+  const raw = Object.assign({}, DEFAULTS, require(file));
+  const errors = [];
+
+  for (const field of Object.keys(DEFAULTS)) {
+    if (!isNonNegativeNumber(raw[field])) {
+      errors.push(`"${field}" must be a non-negative number`);
+    }
+  }
+
+  const resolveRules = (overrides, label) => {
+    const rules = {};
+    for (const [name, value] of Object.entries(overrides || {})) {
+      if (!RULES[name]) {
+        errors.push(`${label}.${name} is not a rule, expected one of ${Object.keys(RULES).join(', ')}`);
+      } else if (value !== false && value !== true && (value === null || typeof value !== 'object')) {
+        errors.push(`${label}.${name} must be false, true or an object of options`);
+      } else if (typeof value === 'object') {
+        for (const [option, number] of Object.entries(value)) {
+          if (!(option in RULES[name].defaults)) {
+            errors.push(`${label}.${name}.${option} is not an option of the rule`);
+          } else if (!isNonNegativeNumber(number)) {
+            errors.push(`${label}.${name}.${option} must be a non-negative number`);
+          }
+        }
+      }
+      rules[name] = value;
+    }
+    return rules;
+  };
+  const globalRules = resolveRules(raw.rules, 'rules');
+
+  if (!Array.isArray(raw.vaults) || raw.vaults.length === 0) {
+    errors.push('"vaults" must be a non-empty array');
+  }
+  const vaults = (raw.vaults || []).map((entry, index) => {
+    if (!entry.vault) {
+      errors.push(`vaults[${index}] needs a "vault" name from the deployment record`);
+    }
+    const overrides = resolveRules(entry.rules, `vaults[${index}].rules`);
+    const rules = {};
+    for (const [name, rule] of Object.entries(RULES)) {
+      const value = name in overrides ? overrides[name] : globalRules[name];
+      if (value !== false) {
+        rules[name] = Object.assign({}, rule.defaults, globalRules[name] === false ? {} : globalRules[name], value);
+      }
+    }
+    return { name: entry.vault, rules };
+  });
+
+  if (!Array.isArray(raw.sinks) || raw.sinks.length === 0) {
+    errors.push('"sinks" must be a non-empty array');
+  }
+  (raw.sinks || []).forEach((sink, index) => {
+    if (!SINK_TYPES.includes(sink.type)) {
+      errors.push(`sinks[${index}].type must be one of ${SINK_TYPES.join(', ')}`);
+    } else if (sink.type === 'file' && !sink.path) {
+      errors.push(`sinks[${index}] needs a "path"`);
+    } else if (sink.type === 'webhook' && !/^https?:\/\//.test(sink.url || '')) {
+      errors.push(`sinks[${index}] needs an http(s) "url"`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid monitor config ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    pollInterval: raw.pollInterval,
+    renotifyAfter: raw.renotifyAfter,
+    vaults,
+    sinks: raw.sinks,
+  };
+};
+
+const toJsonLine = notification =>
+  `${JSON.stringify(notification, (key, value) =>
+    value && value.type === 'BigNumber' ? ethers.BigNumber.from(value.hex).toString() : value,
+  )}\n`;
+
+const postJson = (url, body, headers = {}, timeout = 10000) =>
+  new Promise((resolve, reject) => {
+    const request = (url.startsWith('https:') ? https : http).request(
+      url,
+      {
+        method: 'POST',
+        headers: Object.assign(
+          { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+          headers,
+        ),
+        timeout,
+      },
+      response => {
+        response.resume();
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`webhook ${url} answered ${response.statusCode}`));
+          }
+        });
+      },
+    );
+    request.on('timeout', () => request.destroy(new Error(`webhook ${url} timed out`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+
+/**
+ * Builds a sink from its config entry. A sink is an async function receiving one notification.
+ */
+const createSink = (spec, { stdout = process.stdout } = {}) => {
+  switch (spec.type) {
+    case 'stdout':
+      return async notification => {
+        stdout.write(toJsonLine(notification));
+      };
+    case 'file':
+      return async notification => {
+        fs.appendFileSync(path.resolve(spec.path), toJsonLine(notification));
+      };
+    case 'webhook':
+      return notification => postJson(spec.url, toJsonLine(notification).trim(), spec.headers);
+    default:
+      throw new Error(`Unknown sink type ${spec.type}`);
+  }
+};
+
+/**
+ * Reads everything the rules look at, at the latest block.
+ */
+const readHealth = async ({ vault, strategy }) => {
+  const { provider } = vault;
+  const block = await provider.getBlock('latest');
+  const blockTag = block.number;
+  const poolId = (await strategy.poolId({ blockTag })).toNumber();
+  const masterChef = new ethers.Contract(await strategy.MASTER_CHEF(), masterChefInterface, provider);
+  const poolInfo = await masterChef.getPoolInfo(poolId, { blockTag });
+  return {
+    blockNumber: block.number,
+    timestamp: block.timestamp,
+    balance: await vault.balance({ blockTag }),
+    available: await vault.available({ blockTag }),
+    tvlCap: await vault.tvlCap({ blockTag }),
+    pricePerShare: await vault.getPricePerFullShare({ blockTag }),
+    paused: await strategy.paused({ blockTag }),
+    lastHarvestTimestamp: (await strategy.lastHarvestTimestamp({ blockTag })).toNumber(),
+    balanceOfPool: await strategy.balanceOfPool({ blockTag }),
+    balanceOfWant: await strategy.balanceOfWant({ blockTag }),
+    poolId,
+    pool: {
+      protonPerBlock: await masterChef.protonPerBlock({ blockTag }),
+      totalAllocPoint: await masterChef.totalAllocPoint({ blockTag }),
+      allocPoint: poolInfo.allocPoint,
+      harvestInterval: poolInfo.harvestInterval,
+      depositFeeBP: poolInfo.depositFeeBP,
+      isElectronRewards: poolInfo.isElectronRewards,
+    },
+  };
+};
+
+/**
+ * Monitor state carried between rounds: the last health reading of each vault and the active alerts,
+ * keyed by vault and rule.
+ */
+const createMonitorState = () => ({ previous: {}, active: {} });
+
+/**
+ * Polls every target once, evaluates its rules and returns the notifications to send. Condition alerts are
+ * de-duplicated against `state.active`: an alert is repeated only after `renotifyAfter` seconds (0 never
+ * repeats it) and clears with a 'recovered' notification. A vault that cannot be read raises a
+ * `readFailed` alert.
+ */
+const evaluateTargets = async (targets, state, { renotifyAfter = 0 } = {}) => {
+  const notifications = [];
+  for (const target of targets) {
+    const base = { vault: target.name, vaultAddress: target.vault.address, strategy: target.strategy.address };
+    const firing = {};
+    let health;
+    let now;
+    try {
+      health = await readHealth(target);
+      now = health.timestamp;
+    } catch (error) {
+      now = Math.floor(Date.now() / 1000);
+      firing.readFailed = { severity: 'critical', message: `cannot read vault: ${error.reason || error.message}` };
+    }
+
+    if (health) {
+      const previous = state.previous[target.name];
+      for (const [name, options] of Object.entries(target.rules)) {
+        const rule = RULES[name];
+        if (rule.kind === 'change' && !previous) {
+          continue;
+        }
+        const message = rule.check({ health, previous }, options);
+        if (!message) {
+          continue;
+        }
+        if (rule.kind === 'change') {
+          notifications.push(
+            Object.assign({ status: 'alert', rule: name, severity: rule.severity, message, timestamp: now }, base),
+          );
+        } else {
+          firing[name] = { severity: rule.severity, message };
+        }
+      }
+      state.previous[target.name] = health;
+    }
+
+    for (const [rule, alert] of Object.entries(firing)) {
+      const key = `${target.name}:${rule}`;
+      const active = state.active[key];
+      if (active && (renotifyAfter === 0 || now - active.notifiedAt < renotifyAfter)) {
+        continue;
+      }
+      state.active[key] = { since: active ? active.since : now, notifiedAt: now };
+      notifications.push(
+        Object.assign(
+          { status: 'alert', rule, severity: alert.severity, message: alert.message, timestamp: now },
+          base,
+          {
+            since: state.active[key].since,
+          },
+        ),
+      );
+    }
+    for (const key of Object.keys(state.active).filter(candidate => candidate.startsWith(`${target.name}:`))) {
+      const rule = key.slice(target.name.length + 1);
+      // A failed read says nothing about the other rules, they stay active until the next successful poll.
+      if (firing[rule] || (!health && rule !== 'readFailed')) {
+        continue;
+      }
+      notifications.push(
+        Object.assign({ status: 'recovered', rule, message: `${rule} cleared`, timestamp: now }, base, {
+          since: state.active[key].since,
+        }),
+      );
+      delete state.active[key];
+    }
+  }
+  return notifications;
+};
+
+/**
+ * Runs one monitoring round: evaluates the targets and sends every notification to every sink. A failing
+ * sink is logged and does not stop the others.
+ */
+const runMonitorRound = async (targets, { state, sinks, renotifyAfter, log }) => {
+  const notifications = await evaluateTargets(targets, state, { renotifyAfter });
+  for (const notification of notifications) {
+    for (const [index, sink] of sinks.entries()) {
+      try {
+        await sink(notification);
+      } catch (error) {
+        log('sink-failed', { sink: index, rule: notification.rule, vault: notification.vault, error: error.message });
+      }
+    }
+  }
+  return notifications;
+};
+
+const sleep = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+
+/**
+ * Runs monitoring rounds every `pollInterval` seconds, for `rounds` rounds or forever when it is not set.
+ */
+const runMonitor = async (targets, options) => {
+  const { pollInterval, rounds = Infinity } = options;
+  const state = options.state || createMonitorState();
+  for (let round = 1; round <= rounds; round++) {
+    await runMonitorRound(targets, Object.assign({}, options, { state }));
+    if (round < rounds) {
+      await sleep(pollInterval);
+    }
+  }
+  return state;
+};
+
+module.exports = {
+  RULES,
+  loadMonitorConfig,
+  createSink,
+  readHealth,
+  createMonitorState,
+  evaluateTargets,
+  runMonitorRound,
+  runMonitor,
+};
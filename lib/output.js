@@ -0,0 +1,71 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const FORMATS = ['table', 'csv', 'json'];
+
+const cell = value => (value === undefined || value === null ? '' : String(value));
+
+/**
+ * Renders `rows` as a fixed-width text table. `columns` lists the row keys to print, in order.
+ */
+const formatTable = (rows, columns) => {
+  const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cell(row[column]).length)));
+  const line = values =>
+    values
+      .map((value, i) => value.padEnd(widths[i]))
+      .join('  ')
+      .trimEnd();
+  return [
+    line(columns),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => line(columns.map(column => cell(row[column])))),
+  ].join('\n');
+};
+
+const csvCell = value => {
+  const text = cell(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders `rows` as CSV with a header line. `columns` lists the row keys to print, in order.
+ */
+const formatCsv = (rows, columns) =>
+  [columns.join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))].join('\n');
+
+/**
+ * Serializes a report as indented JSON, writing BigNumbers as decimal strings.
+ */
+const formatJson = report =>
+  JSON.stringify(
+    report,
+    (key, value) => (value && value.type === 'BigNumber' ? ethers.BigNumber.from(value.hex).toString() : value),
+    2,
+  );
+
+const assertFormat = format => {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}", expected one of ${FORMATS.join(', ')}`);
+  }
+};
+
+/**
+ * Writes a rendered report to `output`, or to stdout when no file is given.
+ */
+const writeOutput = (text, output) => {
+  if (output) {
+    fs.writeFileSync(output, `${text}\n`);
+    console.log(`Report written to ${output}`);
+  } else {
+    console.log(text);
+  }
+};
+
+module.exports = {
+  FORMATS,
+  formatTable,
+  formatCsv,
+  formatJson,
+  assertFormat,
+  writeOutput,
+};
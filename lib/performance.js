@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { calculateAPR } = require('./apr');
+const { auditFees } = require('./fee-audit');
+
+const { BigNumber } = ethers;
+const CACHE_VERSION = 1;
+
+const vaultEvents = new ethers.utils.Interface([
+  'event DepositsIncremented(address user, uint256 amount, uint256 total)',
+  'event WithdrawalsIncremented(address user, uint256 amount, uint256 total)',
+]);
+const DEPOSIT = vaultEvents.getEventTopic('DepositsIncremented');
+const WITHDRAWAL = vaultEvents.getEventTopic('WithdrawalsIncremented');
+
+const SAMPLE_AMOUNTS = [
+  'pricePerFullShare',
+  'balance',
+  'totalSupply',
+  'deposited',
+  'withdrawn',
+  'harvestFees',
+  'harvestCharged',
+];
+
+/**
+ * Fresh time series state for `vault` and its `strategy`, sampled every `interval` blocks from `fromBlock`.
+ */
+const createSeriesState = ({ vault, strategy, fromBlock, interval }) => ({
+  version: CACHE_VERSION,
+  vault,
+  strategy,
+  fromBlock,
+  interval,
+  samples: [],
+});
+
+/**
+ * Loads the time series cached in `file`, or returns null when there is no cache or it was sampled for
+ * another vault, strategy, start block or interval.
+ */
+const loadSeriesCache = (file, { vault, strategy, fromBlock, interval }) => {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (
+    cached.version !== CACHE_VERSION ||
+    cached.vault !== vault ||
+    cached.strategy !== strategy ||
+    cached.fromBlock !== fromBlock ||
+    cached.interval !== interval
+  ) {
+    return null;
+  }
+  for (const sample of cached.samples) {
+    for (const field of SAMPLE_AMOUNTS) {
+      sample[field] = BigNumber.from(sample[field]);
+    }
+  }
+  return cached;
+};
+
+const saveSeriesCache = (file, state) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const json = JSON.stringify(
+    state,
+    (key, value) => (value && value.type === 'BigNumber' ? BigNumber.from(value.hex).toString() : value),
+    2,
+  );
+  fs.writeFileSync(file, `${json}\n`);
+};
+
+/**
+ * Reads the vault's share price, balance and share supply as they were at `blockNumber` (which needs an
+ * archive node on a live network). Until initialize() the vault has no strategy and balance() reverts;
+ * it holds nothing then, so the balance is recorded as zero.
+ */
+const readSample = async (vault, blockNumber) => {
+  const blockTag = blockNumber;
+  const { timestamp } = await vault.provider.getBlock(blockNumber);
+  const initialized = (await vault.strategy({ blockTag })) !== ethers.constants.AddressZero;
+  return {
+    block: blockNumber,
+    timestamp,
+    pricePerFullShare: await vault.getPricePerFullShare({ blockTag }),
+    balance: initialized ? await vault.balance({ blockTag }) : BigNumber.from(0),
+    totalSupply: await vault.totalSupply({ blockTag }),
+  };
+};
+
+/**
+ * What happened to the vault between `fromBlock` and `toBlock` (inclusive): the want deposited and withdrawn
+ * (DepositsIncremented / WithdrawalsIncremented), the StratHarvest count, the WFTM the harvests charged fees
+ * on and the fees they took (see auditFees()). Logs are read in batches of `batchSize` blocks.
+ */
+const readActivity = async (vault, strategy, fromBlock, toBlock, { batchSize = 2000 } = {}) => {
+  const logs = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    logs.push(
+      ...(await vault.provider.getLogs({
+        address: vault.address,
+        topics: [[DEPOSIT, WITHDRAWAL]],
+        fromBlock: from,
+        toBlock: to,
+      })),
+    );
+  }
+  const activity = {
+    deposits: 0,
+    deposited: BigNumber.from(0),
+    withdrawals: 0,
+    withdrawn: BigNumber.from(0),
+  };
+  for (const log of logs) {
+    const { amount } = vaultEvents.parseLog(log).args;
+    if (log.topics[0] === DEPOSIT) {
+      activity.deposits++;
+      activity.deposited = activity.deposited.add(amount);
+    } else {
+      activity.withdrawals++;
+      activity.withdrawn = activity.withdrawn.add(amount);
+    }
+  }
+
+  const { harvests } = await auditFees(strategy, { fromBlock, toBlock, batchSize });
+  return Object.assign(activity, {
+    harvests: harvests.length,
+    harvestFees: harvests.reduce((sum, harvest) => sum.add(harvest.wftmFee), BigNumber.from(0)),
+    harvestCharged: harvests.reduce((sum, harvest) => sum.add(harvest.charged), BigNumber.from(0)),
+  });
+};
+
+/**
+ * Appends a sample every `state.interval` blocks after the last cached one, up to `toBlock`. Each sample
+ * carries the activity since the previous sample (see readActivity()), so a re-run only reads the blocks
+ * after the cache. `onSample` is called after every sample so callers can persist progress. `batchSize` is
+ * passed on to readActivity().
+ */
+const backfillSeries = async (vault, strategy, state, { toBlock, batchSize, onSample = () => {} }) => {
+  const last = state.samples[state.samples.length - 1];
+  for (let block = last ? last.block + state.interval : state.fromBlock; block <= toBlock; block += state.interval) {
+    const previous = state.samples[state.samples.length - 1];
+    const activity = previous
+      ? await readActivity(vault, strategy, previous.block + 1, block, { batchSize })
+      : await readActivity(vault, strategy, block, block, { batchSize });
+    state.samples.push(Object.assign(await readSample(vault, block), activity));
+    onSample(state);
+  }
+  return state;
+};
+
+/**
+ * One row per sample. `apr` is the share price change since the previous sample annualized the way
+ * calculateAPRUsingLogs() does it, in basis points. `feeDrag` estimates the APR the harvest fees took,
+ * in basis points: harvests compound what is left of the WFTM after fees, so the share price would have
+ * grown by charged / (charged - fees) as much without them. It ignores the part of the share price change
+ * that does not come from harvests (deposit and security fees).
+ */
+const seriesRows = state =>
+  state.samples.map((sample, index) => {
+    const previous = index === 0 ? null : state.samples[index - 1];
+    const apr = previous
+      ? calculateAPR(
+          { timestamp: previous.timestamp, vaultSharePrice: previous.pricePerFullShare },
+          { timestamp: sample.timestamp, vaultSharePrice: sample.pricePerFullShare },
+        )
+      : null;
+    const netCompounded = sample.harvestCharged.sub(sample.harvestFees);
+    let feeDrag = null;
+    if (apr !== null) {
+      feeDrag = apr > 0 && !netCompounded.isZero() ? sample.harvestFees.mul(apr).div(netCompounded).toNumber() : 0;
+    }
+    return Object.assign({}, sample, {
+      date: new Date(sample.timestamp * 1000).toISOString(),
+      apr,
+      feeDrag,
+      netFlow: sample.deposited.sub(sample.withdrawn),
+    });
+  });
+
+module.exports = {
+  createSeriesState,
+  loadSeriesCache,
+  saveSeriesCache,
+  readSample,
+  readActivity,
+  backfillSeries,
+  seriesRows,
+};
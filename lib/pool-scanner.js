@@ -0,0 +1,214 @@
+const { ethers } = require('ethers');
+const { WFTM, PROTO, PROTOFI_ROUTER, MASTER_CHEF } = require('./protofi');
+
+const { BigNumber } = ethers;
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+const masterChefInterface = new ethers.utils.Interface([
+  'function poolLength() view returns (uint256)',
+  'function totalAllocPoint() view returns (uint256)',
+  'function protonPerBlock() view returns (uint256)',
+  'function getPoolInfo(uint256 pid) view returns (address lpToken, uint256 allocPoint, uint256 lastRewardBlock, uint256 accProtonPerShare, uint256 depositFeeBP, uint256 harvestInterval, bool isElectronRewards)',
+]);
+const pairInterface = new ethers.utils.Interface([
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address) view returns (uint256)',
+]);
+const tokenInterface = new ethers.utils.Interface(['function symbol() view returns (string)']);
+const routerInterface = new ethers.utils.Interface(['function factory() view returns (address)']);
+const factoryInterface = new ethers.utils.Interface([
+  'function getPair(address tokenA, address tokenB) view returns (address)',
+]);
+
+const formatInterval = seconds => (seconds % 3600 === 0 ? `${seconds / 3600}h` : `${seconds}s`);
+
+/**
+ * Prices tokens in WFTM wei at the spot price of their ProtoFi pair with WFTM. `valueOf(token, amount)`
+ * returns null when the token has no WFTM pair or the pair is empty.
+ */
+const createPricer = (provider, factory) => {
+  const pairs = {};
+  const pairWithWftm = async token => {
+    if (pairs[token] === undefined) {
+      const address = await factory.getPair(token, WFTM);
+      pairs[token] = null;
+      if (address !== ethers.constants.AddressZero) {
+        const pair = new ethers.Contract(address, pairInterface, provider);
+        const [reserve0, reserve1] = await pair.getReserves();
+        const tokenIsToken0 = (await pair.token0()) === token;
+        pairs[token] = {
+          address,
+          reserveToken: tokenIsToken0 ? reserve0 : reserve1,
+          reserveWftm: tokenIsToken0 ? reserve1 : reserve0,
+        };
+      }
+    }
+    return pairs[token];
+  };
+  const valueOf = async (token, amount) => {
+    if (token === WFTM) {
+      return amount;
+    }
+    const pair = await pairWithWftm(token);
+    if (!pair || pair.reserveToken.isZero()) {
+      return null;
+    }
+    return amount.mul(pair.reserveWftm).div(pair.reserveToken);
+  };
+  return { pairWithWftm, valueOf };
+};
+
+const symbolOf = async (provider, token) => {
+  if (token === WFTM) {
+    return 'FTM';
+  }
+  try {
+    return await new ethers.Contract(token, tokenInterface, provider).symbol();
+  } catch (error) {
+    return token.slice(0, 8);
+  }
+};
+
+/**
+ * Reads one MasterChef pool and checks it against what ReaperAutoCompoundProtofiFarmer can farm: a ProtoFi
+ * pair (the strategy adds liquidity through the ProtoFi router) paying PROTO rather than ELCT, whose tokens
+ * can be bought with WFTM (wftmToLp0Route / wftmToLp1Route are direct WFTM pairs). Blocking problems go to
+ * `issues`, things worth knowing before deploying to `warnings`.
+ */
+const scanPool = async (context, pid) => {
+  const { provider, masterChef, factory, pricer } = context;
+  const info = await masterChef.getPoolInfo(pid);
+  const pool = {
+    pid,
+    lpToken: info.lpToken,
+    allocPoint: info.allocPoint,
+    depositFeeBP: info.depositFeeBP.toNumber(),
+    harvestInterval: info.harvestInterval.toNumber(),
+    isElectronRewards: info.isElectronRewards,
+    issues: [],
+    warnings: [],
+  };
+
+  if (pool.isElectronRewards) {
+    pool.issues.push('pays rewards in ELCT, the strategy only sells PROTO');
+  }
+  if (pool.allocPoint.isZero()) {
+    pool.issues.push('allocPoint is 0, the pool earns no rewards');
+  }
+  if (pool.depositFeeBP > 0) {
+    pool.warnings.push(`${pool.depositFeeBP} bps MasterChef deposit fee`);
+  }
+  if (pool.harvestInterval > 0) {
+    pool.warnings.push(`rewards lock up for ${formatInterval(pool.harvestInterval)} between harvests`);
+  }
+
+  const pair = new ethers.Contract(pool.lpToken, pairInterface, provider);
+  try {
+    pool.token0 = await pair.token0();
+    pool.token1 = await pair.token1();
+  } catch (error) {
+    pool.symbol = await symbolOf(provider, pool.lpToken);
+    pool.issues.push('not an LP token');
+    pool.staked = await pair.balanceOf(masterChef.address);
+    pool.tvl = await pricer.valueOf(pool.lpToken, pool.staked);
+    return pool;
+  }
+  pool.symbol0 = await symbolOf(provider, pool.token0);
+  pool.symbol1 = await symbolOf(provider, pool.token1);
+  pool.symbol = `${pool.symbol0}-${pool.symbol1}`;
+
+  if ((await factory.getPair(pool.token0, pool.token1)) !== pool.lpToken) {
+    pool.issues.push('not a pair of the ProtoFi factory');
+  }
+  for (const [index, token, symbol] of [
+    [0, pool.token0, pool.symbol0],
+    [1, pool.token1, pool.symbol1],
+  ]) {
+    if (token !== WFTM && !(await pricer.pairWithWftm(token))) {
+      pool.issues.push(`no ${symbol}/WFTM pair for wftmToLp${index}Route`);
+    }
+  }
+
+  const [reserve0, reserve1] = await pair.getReserves();
+  const totalSupply = await pair.totalSupply();
+  pool.staked = await pair.balanceOf(masterChef.address);
+  const value0 = await pricer.valueOf(pool.token0, reserve0);
+  const value1 = await pricer.valueOf(pool.token1, reserve1);
+  let reservesValue = null;
+  if (value0 && value1) {
+    reservesValue = value0.add(value1);
+  } else if (value0 || value1) {
+    reservesValue = (value0 || value1).mul(2);
+  }
+  pool.tvl = reservesValue && !totalSupply.isZero() ? reservesValue.mul(pool.staked).div(totalSupply) : null;
+  return pool;
+};
+
+/**
+ * Walks every pool of the ProtoFi MasterChef. Each pool gets its token pair, MasterChef settings, staked
+ * value in WFTM (`tvl`), PROTO emitted to it per day and reward APR in percent, estimated from the emission
+ * rate, `blockTime` seconds per block and spot prices against WFTM. APR is null when the pool holds nothing
+ * or cannot be priced, and ignores the PROTO transfer burn and the vault fees. `viable` pools have no issues.
+ */
+const scanPools = async (provider, { blockTime = 1, masterChef = MASTER_CHEF, router = PROTOFI_ROUTER } = {}) => {
+  const chef = new ethers.Contract(masterChef, masterChefInterface, provider);
+  const routerContract = new ethers.Contract(router, routerInterface, provider);
+  const factory = new ethers.Contract(await routerContract.factory(), factoryInterface, provider);
+  const pricer = createPricer(provider, factory);
+  const context = { provider, masterChef: chef, factory, pricer };
+
+  const protonPerBlock = await chef.protonPerBlock();
+  const totalAllocPoint = await chef.totalAllocPoint();
+  const blocksPerDay = Math.round((24 * 60 * 60) / blockTime);
+  const blocksPerYear = Math.round(SECONDS_PER_YEAR / blockTime);
+  const protoPrice = await pricer.valueOf(PROTO, ethers.constants.WeiPerEther);
+
+  const pools = [];
+  const poolLength = (await chef.poolLength()).toNumber();
+  for (let pid = 0; pid < poolLength; pid++) {
+    const pool = await scanPool(context, pid);
+    const rewardPerBlock = totalAllocPoint.isZero()
+      ? BigNumber.from(0)
+      : protonPerBlock.mul(pool.allocPoint).div(totalAllocPoint);
+    pool.rewardsPerDay = rewardPerBlock.mul(blocksPerDay);
+    pool.apr = null;
+    if (protoPrice && pool.tvl && !pool.tvl.isZero()) {
+      const rewardValue = rewardPerBlock.mul(blocksPerYear).mul(protoPrice).div(ethers.constants.WeiPerEther);
+      pool.apr = Number(rewardValue.mul(10000).div(pool.tvl).toString()) / 100;
+    }
+    pool.viable = pool.issues.length === 0;
+    pools.push(pool);
+  }
+  return { masterChef, protonPerBlock, totalAllocPoint, protoPrice, blockTime, pools };
+};
+
+/**
+ * Deployment config for a viable pool in the format of config/vaults/*.json. Fee recipients, strategists,
+ * deposit fee and TVL cap come from `template`, an existing vault config.
+ */
+const vaultConfigFor = (pool, template) => {
+  const pairName = `${pool.symbol0}-${pool.symbol1}`;
+  return {
+    name: `protofi-${pairName.toLowerCase()}`,
+    config: {
+      want: pool.lpToken,
+      tokenName: `Protofi ${pairName} Vault`,
+      tokenSymbol: `rf-PF-${pairName}`,
+      depositFee: template.depositFee,
+      tvlCap: template.tvlCap,
+      poolId: pool.pid,
+      treasury: template.treasury,
+      strategistRemitter: template.strategistRemitter,
+      strategists: template.strategists,
+    },
+  };
+};
+
+module.exports = {
+  scanPools,
+  vaultConfigFor,
+};
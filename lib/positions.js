@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const { BigNumber } = ethers;
+const CACHE_VERSION = 2;
+const WAD = ethers.constants.WeiPerEther;
+
+const VAULT_EVENTS = [
+  'event DepositsIncremented(address user, uint256 amount, uint256 total)',
+  'event WithdrawalsIncremented(address user, uint256 amount, uint256 total)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+];
+const vaultEvents = new ethers.utils.Interface(VAULT_EVENTS);
+const TOPICS = ['DepositsIncremented', 'WithdrawalsIncremented', 'Transfer'].map(name =>
+  vaultEvents.getEventTopic(name),
+);
+
+const POSITION_FIELDS = ['deposited', 'withdrawn', 'shares', 'costBasis', 'realizedPnl'];
+
+const emptyPosition = () => {
+  const position = {};
+  for (const field of POSITION_FIELDS) {
+    position[field] = BigNumber.from(0);
+  }
+  return position;
+};
+
+/**
+ * Fresh indexer state for `vault`, starting the scan at `fromBlock`.
+ */
+const createIndexerState = (vault, fromBlock) => ({
+  version: CACHE_VERSION,
+  vault,
+  fromBlock,
+  lastBlock: fromBlock - 1,
+  positions: {},
+});
+
+/**
+ * Loads the indexer state cached in `file` for `vault`, or returns null when there is no usable cache.
+ */
+const loadIndexerCache = (file, vault) => {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (cached.version !== CACHE_VERSION || cached.vault !== vault) {
+    return null;
+  }
+  for (const user of Object.keys(cached.positions)) {
+    for (const field of POSITION_FIELDS) {
+      cached.positions[user][field] = BigNumber.from(cached.positions[user][field]);
+    }
+  }
+  return cached;
+};
+
+const saveIndexerCache = (file, state) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const json = JSON.stringify(
+    state,
+    (key, value) => (value && value.type === 'BigNumber' ? BigNumber.from(value.hex).toString() : value),
+    2,
+  );
+  fs.writeFileSync(file, `${json}\n`);
+};
+
+const positionOf = (state, user) => {
+  if (!state.positions[user]) {
+    state.positions[user] = emptyPosition();
+  }
+  return state.positions[user];
+};
+
+// Cost basis of `shares` out of a position, pro rata to the shares it holds.
+const costOf = (position, shares) =>
+  position.shares.isZero() ? BigNumber.from(0) : position.costBasis.mul(shares).div(position.shares);
+
+/**
+ * Applies one transaction's vault logs, in log order. The vault mints or burns shares right before it emits
+ * DepositsIncremented / WithdrawalsIncremented, so each increment settles the mint or burn preceding it.
+ * Shares and cost basis go to the holder of the mint or burn: the increments record tx.origin, which is not
+ * the holder when a contract such as a multisig deposits, so they only contribute the want amount. Plain
+ * share transfers move shares together with their pro rata cost basis.
+ */
+const applyTransactionLogs = (state, logs) => {
+  let pending = null;
+  for (const log of logs) {
+    const { name, args } = vaultEvents.parseLog(log);
+    if (name === 'Transfer') {
+      if (args.from === ethers.constants.AddressZero) {
+        pending = { holder: args.to, shares: args.value };
+      } else if (args.to === ethers.constants.AddressZero) {
+        pending = { holder: args.from, shares: args.value };
+      } else {
+        const sender = positionOf(state, args.from);
+        const receiver = positionOf(state, args.to);
+        const cost = costOf(sender, args.value);
+        sender.shares = sender.shares.sub(args.value);
+        sender.costBasis = sender.costBasis.sub(cost);
+        receiver.shares = receiver.shares.add(args.value);
+        receiver.costBasis = receiver.costBasis.add(cost);
+      }
+    } else if (name === 'DepositsIncremented') {
+      const position = positionOf(state, pending.holder);
+      position.deposited = position.deposited.add(args.amount);
+      position.costBasis = position.costBasis.add(args.amount);
+      position.shares = position.shares.add(pending.shares);
+      pending = null;
+    } else {
+      const position = positionOf(state, pending.holder);
+      const cost = costOf(position, pending.shares);
+      position.withdrawn = position.withdrawn.add(args.amount);
+      position.realizedPnl = position.realizedPnl.add(args.amount).sub(cost);
+      position.costBasis = position.costBasis.sub(cost);
+      position.shares = position.shares.sub(pending.shares);
+      pending = null;
+    }
+  }
+};
+
+/**
+ * Scans the vault's deposit, withdrawal and share transfer events from `state.lastBlock + 1` up to
+ * `toBlock` in batches of `batchSize` blocks, updating `state` in place. `onBatch` is called after every
+ * batch so callers can persist progress.
+ */
+const indexVaultEvents = async (provider, state, { toBlock, batchSize = 2000, onBatch = () => {} }) => {
+  for (let from = state.lastBlock + 1; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    const logs = await provider.getLogs({ address: state.vault, topics: [TOPICS], fromBlock: from, toBlock: to });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    let transaction = [];
+    for (const log of logs) {
+      if (transaction.length > 0 && transaction[0].transactionHash !== log.transactionHash) {
+        applyTransactionLogs(state, transaction);
+        transaction = [];
+      }
+      transaction.push(log);
+    }
+    applyTransactionLogs(state, transaction);
+
+    state.lastBlock = to;
+    onBatch(state);
+  }
+  return state;
+};
+
+/**
+ * Values every indexed position at `blockTag`: share value is `balanceOf` x `getPricePerFullShare()`,
+ * unrealized PnL is that value minus the remaining cost basis. All amounts are in want wei.
+ */
+const valuePositions = async (vault, state, blockTag = 'latest') => {
+  const pricePerShare = await vault.getPricePerFullShare({ blockTag });
+  const rows = [];
+  for (const user of Object.keys(state.positions).sort()) {
+    const position = state.positions[user];
+    const balance = await vault.balanceOf(user, { blockTag });
+    const value = balance.mul(pricePerShare).div(WAD);
+    const unrealizedPnl = value.sub(position.costBasis);
+    rows.push(
+      Object.assign({ user }, position, {
+        balance,
+        value,
+        unrealizedPnl,
+        totalPnl: position.realizedPnl.add(unrealizedPnl),
+      }),
+    );
+  }
+  return { pricePerShare, rows };
+};
+
+module.exports = {
+  createIndexerState,
+  loadIndexerCache,
+  saveIndexerCache,
+  indexVaultEvents,
+  valuePositions,
+};
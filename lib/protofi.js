@@ -0,0 +1,13 @@
+// Addresses hardcoded in ReaperAutoCompoundProtofiFarmer, which reads them as WFTM(), PROTO(), PROTOFI_ROUTER()
+// and MASTER_CHEF(). Prefer those getters when a strategy is at hand.
+const WFTM = '0x21be370D5312f44cB42ce377BC9b8a0cEF1A4C83';
+const PROTO = '0xa23c4e69e5Eaf4500F2f9301717f12B578b948FB';
+const PROTOFI_ROUTER = '0xF4C587a0972Ac2039BFF67Bc44574bB403eF5235';
+const MASTER_CHEF = '0xa71f52aee8311c22b6329EF7715A5B8aBF1c6588';
+
+module.exports = {
+  WFTM,
+  PROTO,
+  PROTOFI_ROUTER,
+  MASTER_CHEF,
+};
@@ -0,0 +1,235 @@
+const { ethers } = require('ethers');
+const { readHarvestLog, calculateAPR, rollingReturn } = require('./apr');
+const { readRewardState } = require('./rewards');
+
+const { BigNumber } = ethers;
+const PERCENT_DIVISOR = 10000;
+
+const vaultInterface = new ethers.utils.Interface([
+  'function token() view returns (address)',
+  'function strategy() view returns (address)',
+  'function balance() view returns (uint256)',
+  'function available() view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address) view returns (uint256)',
+  'function getPricePerFullShare() view returns (uint256)',
+  'function depositFee() view returns (uint256)',
+  'function tvlCap() view returns (uint256)',
+  'function hasReadAndAcceptedTerms(address) view returns (bool)',
+  'function cumulativeDeposits(address) view returns (uint256)',
+  'function cumulativeWithdrawals(address) view returns (uint256)',
+  'function agreeToTerms() returns (bool)',
+  'function deposit(uint256 amount)',
+  'function withdraw(uint256 shares)',
+]);
+const strategyInterface = new ethers.utils.Interface([
+  'function balanceOf() view returns (uint256)',
+  'function balanceOfPool() view returns (uint256)',
+  'function paused() view returns (bool)',
+  'function poolId() view returns (uint256)',
+  'function securityFee() view returns (uint256)',
+  'function totalFee() view returns (uint256)',
+  'function callFee() view returns (uint256)',
+  'function treasuryFee() view returns (uint256)',
+  'function strategistFee() view returns (uint256)',
+  'function treasury() view returns (address)',
+  'function strategistRemitter() view returns (address)',
+  'function minProtoToSell() view returns (uint256)',
+  'function estimateHarvest() view returns (uint256 profit, uint256 callFeeToUser)',
+  'function harvestLogLength() view returns (uint256)',
+  'function harvestLog(uint256) view returns (uint256 timestamp, uint256 vaultSharePrice)',
+  'function MASTER_CHEF() view returns (address)',
+  'function PROTOFI_ROUTER() view returns (address)',
+  'function PROTO() view returns (address)',
+  'function WFTM() view returns (address)',
+]);
+const erc20Interface = new ethers.utils.Interface([
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+]);
+
+/**
+ * Read-only client of a ReaperVaultv1_3 and its strategy. Amounts are BigNumbers in the units of the
+ * vault's want token, whose decimals are read from the token rather than assumed; parseWant() and
+ * formatWant() convert from and to human readable amounts. Previews reproduce the vault and strategy
+ * fee math at the latest block.
+ */
+class ReaperVault {
+  constructor({ vault, strategy, want, symbol, decimals }) {
+    this.vault = vault;
+    this.strategy = strategy;
+    this.want = want;
+    this.symbol = symbol;
+    this.decimals = decimals;
+    this.address = vault.address;
+  }
+
+  /**
+   * Connects to the vault at `address` and the strategy and want token it points to.
+   */
+  static async at(address, signerOrProvider) {
+    const vault = new ethers.Contract(address, vaultInterface, signerOrProvider);
+    const want = new ethers.Contract(await vault.token(), erc20Interface, signerOrProvider);
+    return new ReaperVault({
+      vault,
+      strategy: new ethers.Contract(await vault.strategy(), strategyInterface, signerOrProvider),
+      want,
+      symbol: await want.symbol(),
+      decimals: await want.decimals(),
+    });
+  }
+
+  parseWant(amount) {
+    return ethers.utils.parseUnits(amount, this.decimals);
+  }
+
+  formatWant(amount) {
+    return ethers.utils.formatUnits(amount, this.decimals);
+  }
+
+  /**
+   * Vault-wide figures: `balance` (vault plus strategy), the `available` part idle in the vault, the
+   * share supply and price, the cap and room left under it, both fees in basis points and whether the
+   * strategy is paused.
+   */
+  async readState() {
+    const balance = await this.vault.balance();
+    const tvlCap = await this.vault.tvlCap();
+    return {
+      vault: this.address,
+      strategy: this.strategy.address,
+      want: this.want.address,
+      symbol: this.symbol,
+      decimals: this.decimals,
+      balance,
+      available: await this.vault.available(),
+      strategyBalance: await this.strategy.balanceOf(),
+      totalSupply: await this.vault.totalSupply(),
+      pricePerFullShare: await this.vault.getPricePerFullShare(),
+      tvlCap,
+      capacity: tvlCap.gt(balance) ? tvlCap.sub(balance) : BigNumber.from(0),
+      depositFee: (await this.vault.depositFee()).toNumber(),
+      securityFee: (await this.strategy.securityFee()).toNumber(),
+      paused: await this.strategy.paused(),
+    };
+  }
+
+  /**
+   * Position of `account`: its shares and what withdrawing them all pays out now (`value`, after
+   * securityFee), its want balance and allowance to the vault, the vault's cumulative deposit and
+   * withdrawal counters, `pnl` (value plus withdrawals minus deposits) and whether it accepted the terms.
+   */
+  async position(account) {
+    const shares = await this.vault.balanceOf(account);
+    const deposited = await this.vault.cumulativeDeposits(account);
+    const withdrawn = await this.vault.cumulativeWithdrawals(account);
+    const value = shares.isZero() ? BigNumber.from(0) : (await this.previewWithdraw(shares)).amount;
+    return {
+      account,
+      shares,
+      value,
+      walletBalance: await this.want.balanceOf(account),
+      allowance: await this.want.allowance(account, this.address),
+      deposited,
+      withdrawn,
+      pnl: value.add(withdrawn).sub(deposited),
+      acceptedTerms: await this.hasAcceptedTerms(account),
+    };
+  }
+
+  /**
+   * Whether `account` called agreeToTerms(). The vault never enforces it; front-ends gate on it.
+   */
+  hasAcceptedTerms(account) {
+    return this.vault.hasReadAndAcceptedTerms(account);
+  }
+
+  /**
+   * Shares deposit(`amount`) mints after `depositFee`. Throws when the deposit is empty or would take
+   * the vault past its tvlCap, the two cases in which deposit() reverts.
+   */
+  async previewDeposit(amount) {
+    amount = BigNumber.from(amount);
+    if (amount.isZero()) {
+      throw new Error('Nothing to deposit');
+    }
+    const pool = await this.vault.balance();
+    const tvlCap = await this.vault.tvlCap();
+    if (pool.add(amount).gt(tvlCap)) {
+      throw new Error(
+        `Vault ${this.address} is full: ${this.formatWant(amount)} ${this.symbol} would exceed its tvlCap of ` +
+          `${this.formatWant(tvlCap)}`,
+      );
+    }
+    const depositFee = await this.vault.depositFee();
+    const afterFee = amount.mul(BigNumber.from(PERCENT_DIVISOR).sub(depositFee)).div(PERCENT_DIVISOR);
+    const supply = await this.vault.totalSupply();
+    return {
+      amount,
+      fee: amount.sub(afterFee),
+      shares: supply.isZero() ? afterFee : afterFee.mul(supply).div(pool),
+    };
+  }
+
+  /**
+   * Want paid out by withdraw(`shares`). The vault pays from its idle balance first and pulls the rest
+   * from the strategy, which keeps `securityFee` of the amount pulled. Returns the gross `redeemed`
+   * amount, the `fromVault` / `fromStrategy` split, the `fee` and the `amount` received.
+   */
+  async previewWithdraw(shares) {
+    shares = BigNumber.from(shares);
+    if (shares.isZero()) {
+      throw new Error('Nothing to withdraw');
+    }
+    const supply = await this.vault.totalSupply();
+    if (shares.gt(supply)) {
+      throw new Error(`Vault ${this.address} has only ${ethers.utils.formatEther(supply)} shares`);
+    }
+    const redeemed = (await this.vault.balance()).mul(shares).div(supply);
+    const idle = await this.vault.available();
+    const fromVault = redeemed.lt(idle) ? redeemed : idle;
+    const fromStrategy = redeemed.sub(fromVault);
+    const fee = fromStrategy.mul(await this.strategy.securityFee()).div(PERCENT_DIVISOR);
+    return { shares, redeemed, fromVault, fromStrategy, fee, amount: redeemed.sub(fee) };
+  }
+
+  /**
+   * What a harvest() now would collect and pay its caller, see readRewardState().
+   */
+  estimateHarvest() {
+    return readRewardState(this.strategy);
+  }
+
+  readHarvestLog() {
+    return readHarvestLog(this.strategy);
+  }
+
+  /**
+   * Off-chain averageAPRAcrossLastNHarvests(): the mean APR of the last `harvests` log intervals, in
+   * basis points, or null while the log has fewer than two entries.
+   */
+  async averageAPR(harvests) {
+    const log = await this.readHarvestLog();
+    if (log.length < 2) {
+      return null;
+    }
+    const aprs = [];
+    for (let i = log.length - 1; i > 0 && aprs.length < harvests; i--) {
+      aprs.push(calculateAPR(log[i - 1], log[i]));
+    }
+    return Math.trunc(aprs.reduce((sum, apr) => sum + apr, 0) / aprs.length);
+  }
+
+  /**
+   * Share price APR and APY, in percent, over the `days` before the latest harvest, see rollingReturn().
+   */
+  async rollingReturn(days) {
+    return rollingReturn(await this.readHarvestLog(), days);
+  }
+}
+
+module.exports = {
+  ReaperVault,
+};
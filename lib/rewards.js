@@ -0,0 +1,168 @@
+const { ethers } = require('ethers');
+const { readFeeParams, expectedFees } = require('./fee-audit');
+
+const { BigNumber } = ethers;
+
+const masterChefInterface = new ethers.utils.Interface([
+  'function userInfo(uint256 pid, address user) view returns (uint256 amount, uint256 rewardDebt, uint256 rewardLockedUp, uint256 nextHarvestUntil)',
+  'function getPoolInfo(uint256 pid) view returns (address lpToken, uint256 allocPoint, uint256 lastRewardBlock, uint256 accProtonPerShare, uint256 depositFeeBP, uint256 harvestInterval, bool isElectronRewards)',
+  'function pendingProton(uint256 pid, address user) view returns (uint256)',
+  'function canHarvest(uint256 pid, address user) view returns (bool)',
+  'function electron() view returns (address)',
+]);
+const erc20Interface = new ethers.utils.Interface(['function balanceOf(address) view returns (uint256)']);
+const routerInterface = new ethers.utils.Interface([
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+]);
+
+// ProtonToken burns 1.8% of every transfer between accounts that are not excluded from the fee.
+const afterTransferBurn = amount => amount.sub(amount.mul(18).div(1000));
+
+const formatDate = timestamp => new Date(timestamp * 1000).toISOString();
+
+/**
+ * Reason a harvest at this block would convert nothing to WFTM.
+ */
+const zeroYieldStatus = ({ rewardToken, locked, protoToSell }) => {
+  if (rewardToken === 'ELCT') {
+    return 'electron-rewards';
+  }
+  if (!locked.isZero()) {
+    return 'rewards-locked';
+  }
+  return protoToSell.isZero() ? 'nothing-pending' : 'below-min-proto';
+};
+
+/**
+ * Off-chain accounting of what a harvest() of `strategy` would actually collect at the latest block.
+ *
+ * The MasterChef only pays out once `canHarvest` is true; before that, harvest() moves the pending rewards
+ * into `rewardLockedUp` and nothing is sold. Pools with `isElectronRewards` pay ELCT, which the strategy
+ * never sells. estimateHarvest() ignores both and prices pendingProton() (which includes the locked
+ * rewards) as if it were sold now, so it can report a profit for a harvest that yields nothing.
+ *
+ * Rewards are split into `claimable` (paid by a harvest now) and `locked`, both in pendingProton() terms,
+ * and `nextPayoutAt` is the timestamp from which a harvest pays them out. `protoToSell` is the PROTO the
+ * strategy would hold after claiming, `expectedWftm` the WFTM _chargeFees() would see and `expectedCallFee` /
+ * `expectedProfit` the counterparts of estimateHarvest(). `status` is 'yields' or the reason the harvest
+ * converts nothing: 'electron-rewards', 'rewards-locked', 'below-min-proto' or 'nothing-pending'.
+ */
+const readRewardState = async strategy => {
+  const { provider, address } = strategy;
+  const block = await provider.getBlock('latest');
+  const blockTag = block.number;
+  const masterChef = new ethers.Contract(await strategy.MASTER_CHEF(), masterChefInterface, provider);
+  const router = new ethers.Contract(await strategy.PROTOFI_ROUTER(), routerInterface, provider);
+  const tokens = {
+    PROTO: await strategy.PROTO(),
+    ELCT: await masterChef.electron(),
+    WFTM: await strategy.WFTM(),
+  };
+  const poolId = (await strategy.poolId({ blockTag })).toNumber();
+
+  const pool = await masterChef.getPoolInfo(poolId, { blockTag });
+  const user = await masterChef.userInfo(poolId, address, { blockTag });
+  const canHarvest = await masterChef.canHarvest(poolId, address, { blockTag });
+  const rewardLockedUp = user.rewardLockedUp;
+  const pending = (await masterChef.pendingProton(poolId, address, { blockTag })).sub(rewardLockedUp);
+  const harvestInterval = pool.harvestInterval.toNumber();
+  const nextHarvestUntil = user.nextHarvestUntil.toNumber();
+
+  // The first claim of a position only starts the lockup clock, at now + harvestInterval.
+  const paysNow = nextHarvestUntil === 0 ? harvestInterval === 0 : canHarvest;
+  const rewards = pending.add(rewardLockedUp);
+  const zero = BigNumber.from(0);
+  let nextPayoutAt = block.timestamp;
+  if (!paysNow) {
+    nextPayoutAt = nextHarvestUntil === 0 ? block.timestamp + harvestInterval : nextHarvestUntil;
+  }
+
+  const balances = {};
+  for (const [symbol, token] of Object.entries(tokens)) {
+    balances[symbol] = await new ethers.Contract(token, erc20Interface, provider).balanceOf(address, { blockTag });
+  }
+
+  let protoToSell = balances.PROTO;
+  if (paysNow && !pool.isElectronRewards) {
+    // pendingProton() nets the transfer burn off the fresh rewards only, not off rewardLockedUp.
+    protoToSell = protoToSell.add(pending).add(afterTransferBurn(rewardLockedUp));
+  }
+  const minProtoToSell = await strategy.minProtoToSell({ blockTag });
+  let swapOutput = zero;
+  if (!protoToSell.isZero() && protoToSell.gte(minProtoToSell)) {
+    const amounts = await router.getAmountsOut(afterTransferBurn(protoToSell), [tokens.PROTO, tokens.WFTM], {
+      blockTag,
+    });
+    swapOutput = amounts[1];
+  }
+  const expectedWftm = balances.WFTM.add(swapOutput);
+  const fees = expectedFees(expectedWftm, await readFeeParams(strategy, blockTag));
+
+  let estimate;
+  try {
+    const { profit, callFeeToUser } = await strategy.estimateHarvest({ blockTag });
+    estimate = { profit, callFeeToUser };
+  } catch (error) {
+    estimate = { error: error.reason || error.message };
+  }
+
+  const state = {
+    strategy: address,
+    poolId,
+    blockNumber: block.number,
+    timestamp: block.timestamp,
+    rewardToken: pool.isElectronRewards ? 'ELCT' : 'PROTO',
+    harvestInterval,
+    canHarvest,
+    nextHarvestUntil,
+    nextPayoutAt,
+    pending,
+    rewardLockedUp,
+    claimable: paysNow ? rewards : zero,
+    locked: paysNow ? zero : rewards,
+    balances,
+    minProtoToSell,
+    protoToSell,
+    expectedWftm,
+    expectedCallFee: fees.caller,
+    expectedProfit: expectedWftm.sub(fees.wftmFee),
+    estimateHarvest: estimate,
+    warnings: [],
+  };
+  state.status = expectedWftm.isZero() ? zeroYieldStatus(state) : 'yields';
+
+  const { warnings } = state;
+  if (pool.isElectronRewards) {
+    warnings.push('pool pays rewards in ELCT, the strategy never sells them');
+  }
+  if (!balances.ELCT.isZero()) {
+    warnings.push(
+      `${ethers.utils.formatEther(balances.ELCT)} ELCT stranded on the strategy, only an upgrade can move it`,
+    );
+  }
+  if (!state.locked.isZero()) {
+    warnings.push(
+      `${ethers.utils.formatEther(state.locked)} ${state.rewardToken} locked in the MasterChef until ${formatDate(
+        nextPayoutAt,
+      )}`,
+    );
+  }
+  if (!protoToSell.isZero() && protoToSell.lt(minProtoToSell)) {
+    warnings.push(
+      `${ethers.utils.formatEther(protoToSell)} PROTO is below minProtoToSell (${ethers.utils.formatEther(
+        minProtoToSell,
+      )}), harvest will not sell it`,
+    );
+  }
+  if (state.status !== 'yields' && estimate.profit && !estimate.profit.isZero()) {
+    warnings.push(
+      `estimateHarvest() reports ${ethers.utils.formatEther(estimate.profit)} WFTM profit, a harvest now sells nothing`,
+    );
+  }
+  return state;
+};
+
+module.exports = {
+  afterTransferBurn,
+  readRewardState,
+};
@@ -0,0 +1,251 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { ROLES } = require('./strategy-state');
+
+const accessControlInterface = new ethers.utils.Interface([
+  'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+  'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'function getRoleMemberCount(bytes32 role) view returns (uint256)',
+  'function getRoleMember(bytes32 role, uint256 index) view returns (address)',
+  ...ROLES.map(role => `function ${role}() view returns (bytes32)`),
+]);
+const ownableInterface = new ethers.utils.Interface([
+  'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+  'function owner() view returns (address)',
+]);
+const treasuryInterface = new ethers.utils.Interface(['function accountant() view returns (address)']);
+
+const ROLE_GRANTED = accessControlInterface.getEventTopic('RoleGranted');
+const ROLE_REVOKED = accessControlInterface.getEventTopic('RoleRevoked');
+const OWNERSHIP_TRANSFERRED = ownableInterface.getEventTopic('OwnershipTransferred');
+
+// Permissions an expected-permissions file may list for each contract.
+const PERMISSIONS = {
+  vault: ['owner'],
+  strategy: ROLES,
+  treasury: ['owner', 'accountant'],
+};
+
+const getLogs = async (provider, { address, topics, fromBlock, toBlock, batchSize }) => {
+  const logs = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    logs.push(...(await provider.getLogs({ address, topics, fromBlock: from, toBlock: to })));
+  }
+  return logs;
+};
+
+const eventOf = (log, parsed) => ({
+  event: parsed.name,
+  blockNumber: log.blockNumber,
+  transactionHash: log.transactionHash,
+});
+
+/**
+ * Replays the OwnershipTransferred events of an Ownable contract and checks the result against owner().
+ * `fromEvents` is null when the range holds no transfer (the contract was deployed before `fromBlock`).
+ */
+const ownerInventory = async (provider, address, range) => {
+  const contract = new ethers.Contract(address, ownableInterface, provider);
+  const logs = await getLogs(provider, Object.assign({ address, topics: [OWNERSHIP_TRANSFERRED] }, range));
+  const events = logs.map(log => {
+    const parsed = ownableInterface.parseLog(log);
+    return Object.assign(eventOf(log, parsed), {
+      previousOwner: parsed.args.previousOwner,
+      newOwner: parsed.args.newOwner,
+    });
+  });
+  const owner = await contract.owner({ blockTag: range.toBlock });
+  const fromEvents = events.length > 0 ? events[events.length - 1].newOwner : null;
+  const mismatches = [];
+  if (fromEvents !== null && fromEvents !== owner) {
+    mismatches.push(`owner() is ${owner}, OwnershipTransferred events end at ${fromEvents}`);
+  }
+  return { owner, fromEvents, events, mismatches };
+};
+
+/**
+ * Replays the RoleGranted / RoleRevoked events of the strategy and checks every role against hasRole() and
+ * the AccessControlEnumerable member list. Roles are reported by name, unknown role ids by their hash.
+ */
+const roleInventory = async (provider, address, range) => {
+  const contract = new ethers.Contract(address, accessControlInterface, provider);
+  const names = {};
+  for (const role of ROLES) {
+    names[await contract[role]()] = role;
+  }
+  const logs = await getLogs(provider, Object.assign({ address, topics: [[ROLE_GRANTED, ROLE_REVOKED]] }, range));
+
+  const holders = {};
+  const events = [];
+  for (const log of logs) {
+    const parsed = accessControlInterface.parseLog(log);
+    const { role, account, sender } = parsed.args;
+    holders[role] = holders[role] || new Set();
+    if (parsed.name === 'RoleGranted') {
+      holders[role].add(account);
+    } else {
+      holders[role].delete(account);
+    }
+    events.push(Object.assign(eventOf(log, parsed), { role: names[role] || role, account, sender }));
+  }
+
+  const roles = {};
+  const mismatches = [];
+  const blockTag = range.toBlock;
+  for (const role of Array.from(new Set(Object.keys(names).concat(Object.keys(holders))))) {
+    const name = names[role] || role;
+    const fromEvents = Array.from(holders[role] || []).sort();
+    const count = (await contract.getRoleMemberCount(role, { blockTag })).toNumber();
+    const members = [];
+    for (let i = 0; i < count; i++) {
+      members.push(await contract.getRoleMember(role, i, { blockTag }));
+    }
+    members.sort();
+    for (const account of fromEvents) {
+      if (!(await contract.hasRole(role, account, { blockTag }))) {
+        mismatches.push(`${name}: events grant ${account}, hasRole() is false`);
+      }
+    }
+    for (const account of members.filter(member => !fromEvents.includes(member))) {
+      mismatches.push(`${name}: ${account} is a member without a RoleGranted event in range`);
+    }
+    roles[name] = members;
+  }
+  return { roles, events, mismatches };
+};
+
+/**
+ * Reconstructs who holds which permission on a vault deployment between `fromBlock` and `toBlock`: the
+ * vault and treasury owners from OwnershipTransferred events, the strategy roles from RoleGranted /
+ * RoleRevoked events, each cross-checked against owner(), hasRole() and the role member lists. The
+ * treasury accountant has no event and is read from accountant(). Contracts are given by address;
+ * `treasury` is optional and skipped when it is not a contract (fees sent to a plain account).
+ */
+const buildRoleInventory = async (
+  provider,
+  { vault, strategy, treasury },
+  { fromBlock, toBlock, batchSize = 2000 },
+) => {
+  const range = { fromBlock, toBlock, batchSize };
+  const inventory = { fromBlock, toBlock, contracts: {}, mismatches: [] };
+  const record = (name, address, entry) => {
+    inventory.contracts[name] = Object.assign({ address }, entry);
+    inventory.mismatches.push(...entry.mismatches.map(mismatch => `${name}: ${mismatch}`));
+  };
+
+  const vaultOwner = await ownerInventory(provider, vault, range);
+  record('vault', vault, {
+    permissions: { owner: [vaultOwner.owner] },
+    events: vaultOwner.events,
+    mismatches: vaultOwner.mismatches,
+  });
+
+  const strategyRoles = await roleInventory(provider, strategy, range);
+  record('strategy', strategy, {
+    permissions: strategyRoles.roles,
+    events: strategyRoles.events,
+    mismatches: strategyRoles.mismatches,
+  });
+
+  if (treasury && (await provider.getCode(treasury)) === '0x') {
+    inventory.contracts.treasury = { address: treasury, permissions: {}, events: [], note: 'not a contract' };
+  } else if (treasury) {
+    const treasuryOwner = await ownerInventory(provider, treasury, range);
+    const accountant = await new ethers.Contract(treasury, treasuryInterface, provider).accountant({
+      blockTag: toBlock,
+    });
+    record('treasury', treasury, {
+      permissions: {
+        owner: [treasuryOwner.owner],
+        accountant: accountant === ethers.constants.AddressZero ? [] : [accountant],
+      },
+      events: treasuryOwner.events,
+      mismatches: treasuryOwner.mismatches,
+    });
+  }
+  return inventory;
+};
+
+/**
+ * Loads an expected-permissions file: `{ "vault": { "owner" }, "strategy": { "<ROLE>": [...] },
+ * "treasury": { "owner", "accountant" } }`. Each value is an address or a list of addresses; permissions
+ * that are left out are not checked. Returns the lists of checksummed addresses per contract.
+ */
+const loadExpectedPermissions = file => {
+  const resolved = path.resolve(file);
+  const raw = require(resolved);
+  const errors = [];
+  const expected = {};
+
+  for (const [contract, permissions] of Object.entries(raw)) {
+    if (!PERMISSIONS[contract]) {
+      errors.push(`unknown contract "${contract}", expected one of ${Object.keys(PERMISSIONS).join(', ')}`);
+      continue;
+    }
+    expected[contract] = {};
+    for (const [permission, value] of Object.entries(permissions)) {
+      if (!PERMISSIONS[contract].includes(permission)) {
+        errors.push(
+          `${contract}.${permission} is not a permission, expected one of ${PERMISSIONS[contract].join(', ')}`,
+        );
+        continue;
+      }
+      const addresses = Array.isArray(value) ? value : [value];
+      const invalid = addresses.filter(address => !ethers.utils.isAddress(address));
+      if (invalid.length > 0) {
+        errors.push(`${contract}.${permission} has invalid addresses: ${invalid.join(', ')}`);
+        continue;
+      }
+      expected[contract][permission] = addresses.map(address => ethers.utils.getAddress(address)).sort();
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid expected permissions ${resolved}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return expected;
+};
+
+/**
+ * Compares an inventory with the expected permissions. Returns one entry per permission that drifted,
+ * with the holders that are `missing` and the ones that are `unexpected`.
+ */
+const diffPermissions = (inventory, expected) => {
+  const drift = [];
+  for (const [contract, permissions] of Object.entries(expected)) {
+    const actual = inventory.contracts[contract] ? inventory.contracts[contract].permissions : {};
+    for (const [permission, holders] of Object.entries(permissions)) {
+      const current = actual[permission] || [];
+      const missing = holders.filter(holder => !current.includes(holder));
+      const unexpected = current.filter(holder => !holders.includes(holder));
+      if (missing.length > 0 || unexpected.length > 0) {
+        drift.push({ contract, permission, expected: holders, actual: current, missing, unexpected });
+      }
+    }
+  }
+  return drift;
+};
+
+/**
+ * Renders drift as a diff: `-` for expected holders that are missing, `+` for unexpected ones.
+ */
+const formatDrift = drift =>
+  drift
+    .map(entry =>
+      [
+        `${entry.contract}.${entry.permission}`,
+        ...entry.missing.map(holder => `  - ${holder}`),
+        ...entry.unexpected.map(holder => `  + ${holder}`),
+      ].join('\n'),
+    )
+    .join('\n');
+
+module.exports = {
+  PERMISSIONS,
+  buildRoleInventory,
+  loadExpectedPermissions,
+  diffPermissions,
+  formatDrift,
+};
@@ -0,0 +1,331 @@
+const { ethers } = require('ethers');
+const { afterTransferBurn } = require('./rewards');
+
+const { BigNumber } = ethers;
+const PERCENT_DIVISOR = 10000;
+
+const factoryInterface = new ethers.utils.Interface([
+  'function allPairsLength() view returns (uint256)',
+  'function allPairs(uint256) view returns (address)',
+  'function getPair(address tokenA, address tokenB) view returns (address)',
+]);
+const routerInterface = new ethers.utils.Interface(['function factory() view returns (address)']);
+const pairInterface = new ethers.utils.Interface([
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function totalSupply() view returns (uint256)',
+]);
+const tokenInterface = new ethers.utils.Interface([
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+]);
+// The strategy's routes are public arrays: their getters take an index and revert past the end.
+const ROUTES = ['protoToWftmRoute', 'wftmToLp0Route', 'wftmToLp1Route'];
+const strategyInterface = new ethers.utils.Interface(
+  ROUTES.map(route => `function ${route}(uint256) view returns (address)`).concat([
+    'function PROTOFI_ROUTER() view returns (address)',
+    'function PROTO() view returns (address)',
+    'function WFTM() view returns (address)',
+    'function want() view returns (address)',
+    'function lpToken0() view returns (address)',
+    'function lpToken1() view returns (address)',
+    'function totalFee() view returns (uint256)',
+  ]),
+);
+
+const pairKey = (tokenA, tokenB) =>
+  tokenA.toLowerCase() < tokenB.toLowerCase() ? `${tokenA}-${tokenB}` : `${tokenB}-${tokenA}`;
+
+/**
+ * Off-chain port of ProtofiLibrary.getAmountOut(): the pair keeps 9985 of every 10000 wei swapped in.
+ */
+const getAmountOut = (amountIn, reserveIn, reserveOut) => {
+  if (amountIn.isZero() || reserveIn.isZero() || reserveOut.isZero()) {
+    return BigNumber.from(0);
+  }
+  const amountInWithFee = amountIn.mul(9985);
+  return amountInWithFee.mul(reserveOut).div(reserveIn.mul(PERCENT_DIVISOR).add(amountInWithFee));
+};
+
+const addPair = async (graph, provider, address) => {
+  const pair = new ethers.Contract(address, pairInterface, provider);
+  const [reserve0, reserve1] = await pair.getReserves();
+  if (reserve0.isZero() || reserve1.isZero()) {
+    return;
+  }
+  const token0 = await pair.token0();
+  const token1 = await pair.token1();
+  graph.pairs[pairKey(token0, token1)] = {
+    address,
+    token0,
+    token1,
+    reserve0,
+    reserve1,
+    totalSupply: await pair.totalSupply(),
+  };
+  for (const [token, other] of [
+    [token0, token1],
+    [token1, token0],
+  ]) {
+    graph.neighbours[token] = graph.neighbours[token] || [];
+    graph.neighbours[token].push(other);
+  }
+};
+
+/**
+ * Loads the pairs of a ProtoFi factory that hold liquidity, with their reserves at the latest block. With
+ * `tokens`, only the pairs between those tokens are looked up with getPair(); otherwise every pair of
+ * allPairs() is read, which costs a few calls per pair on a large factory.
+ */
+const loadPairGraph = async (provider, { factory, tokens }) => {
+  const contract = new ethers.Contract(factory, factoryInterface, provider);
+  const graph = { factory, pairs: {}, neighbours: {} };
+  if (tokens) {
+    for (let i = 0; i < tokens.length; i++) {
+      for (let j = i + 1; j < tokens.length; j++) {
+        const address = await contract.getPair(tokens[i], tokens[j]);
+        if (address !== ethers.constants.AddressZero) {
+          await addPair(graph, provider, address);
+        }
+      }
+    }
+    return graph;
+  }
+  const length = (await contract.allPairsLength()).toNumber();
+  for (let i = 0; i < length; i++) {
+    await addPair(graph, provider, await contract.allPairs(i));
+  }
+  return graph;
+};
+
+/**
+ * Copy of `graph` whose reserves can be moved by simulated swaps without touching the original.
+ */
+const cloneGraph = graph => {
+  const pairs = {};
+  for (const [key, pair] of Object.entries(graph.pairs)) {
+    pairs[key] = Object.assign({}, pair);
+  }
+  return Object.assign({}, graph, { pairs });
+};
+
+/**
+ * Every path of at most `maxHops` swaps from `from` to `to` that visits no token twice.
+ */
+const findPaths = (graph, from, to, maxHops = 3) => {
+  const paths = [];
+  const walk = path => {
+    const last = path[path.length - 1];
+    if (last === to) {
+      paths.push(path);
+      return;
+    }
+    if (path.length > maxHops) {
+      return;
+    }
+    for (const next of graph.neighbours[last] || []) {
+      if (!path.includes(next)) {
+        walk(path.concat([next]));
+      }
+    }
+  };
+  walk([from]);
+  return paths;
+};
+
+/**
+ * Simulates swapExactTokensForTokensSupportingFeeOnTransferTokens() along `path` on the graph's reserves.
+ * Every transfer of `proto` (into the first pair, between pairs and out to the recipient) loses the 1.8%
+ * transfer burn. Returns the output, or null when a pair of the path does not exist. With `commit`, the
+ * graph's reserves are moved as the swap would move them.
+ */
+const simulateSwap = (graph, path, amountIn, { proto, commit = false }) => {
+  const moved = [];
+  const transfer = (token, amount) => (token === proto ? afterTransferBurn(amount) : amount);
+  let amount = amountIn;
+  for (let i = 0; i < path.length - 1; i++) {
+    const pair = graph.pairs[pairKey(path[i], path[i + 1])];
+    if (!pair) {
+      return null;
+    }
+    const received = transfer(path[i], amount);
+    const inIsToken0 = pair.token0 === path[i];
+    const [reserveIn, reserveOut] = inIsToken0 ? [pair.reserve0, pair.reserve1] : [pair.reserve1, pair.reserve0];
+    amount = getAmountOut(received, reserveIn, reserveOut);
+    moved.push({ pair, reserveIn: reserveIn.add(received), reserveOut: reserveOut.sub(amount), inIsToken0 });
+  }
+  if (commit) {
+    for (const { pair, reserveIn, reserveOut, inIsToken0 } of moved) {
+      pair.reserve0 = inIsToken0 ? reserveIn : reserveOut;
+      pair.reserve1 = inIsToken0 ? reserveOut : reserveIn;
+    }
+  }
+  return transfer(path[path.length - 1], amount);
+};
+
+/**
+ * Ranks every path of at most `maxHops` swaps from `from` to `to` by what `amountIn` buys through it,
+ * best first; equal outputs prefer fewer hops.
+ */
+const rankRoutes = (graph, from, to, amountIn, { proto, maxHops = 3 }) => {
+  const byOutput = (a, b) => {
+    if (a.amountOut.eq(b.amountOut)) {
+      return a.path.length - b.path.length;
+    }
+    return b.amountOut.gt(a.amountOut) ? 1 : -1;
+  };
+  return findPaths(graph, from, to, maxHops)
+    .map(path => ({ path, amountOut: simulateSwap(graph, path, amountIn, { proto }) }))
+    .sort(byOutput);
+};
+
+// ethers reports every failed eth_call as CALL_EXCEPTION. A transport failure (rate limit, timeout) keeps
+// the provider's error in `error.error`, a revert has none or one that says it reverted.
+const isRevert = error =>
+  error.code === 'CALL_EXCEPTION' && (!error.error || /revert/i.test(error.error.message || ''));
+
+// Public array getters revert past the last element, which is the only way to find their length. Any
+// other failure is rethrown rather than read as a shorter array.
+const readArray = async (contract, getter) => {
+  const values = [];
+  for (;;) {
+    try {
+      values.push(await contract[getter](values.length));
+    } catch (error) {
+      if (!isRevert(error)) {
+        throw error;
+      }
+      return values;
+    }
+  }
+};
+
+/**
+ * Reads the swap routes and tokens of a ReaperAutoCompoundProtofiFarmer.
+ */
+const readStrategyRoutes = async (address, provider) => {
+  const strategy = new ethers.Contract(address, strategyInterface, provider);
+  const routes = {};
+  for (const route of ROUTES) {
+    routes[route] = await readArray(strategy, route);
+  }
+  return {
+    routes,
+    router: await strategy.PROTOFI_ROUTER(),
+    proto: await strategy.PROTO(),
+    wftm: await strategy.WFTM(),
+    want: await strategy.want(),
+    lpToken0: await strategy.lpToken0(),
+    lpToken1: await strategy.lpToken1(),
+    totalFee: await strategy.totalFee(),
+  };
+};
+
+/**
+ * Simulates the swaps of one harvest on a copy of `graph`, the way harvest() runs them: `protoAmount` PROTO
+ * is sold along protoToWftmRoute, _chargeFees() takes `totalFee` of the WFTM, and _addLiquidity() sends half
+ * of the rest down wftmToLp0Route / wftmToLp1Route (for the LP tokens that are not WFTM) before adding
+ * liquidity. Each leg takes its path from `routes`, or from `choose(route, graph, amountIn)` when given,
+ * which sees the reserves the earlier legs left. Returns each leg and the LP minted; the LP is null when a
+ * route goes through a pair that does not exist.
+ */
+const simulateHarvest = (graph, { routes, protoAmount, strategy, choose }) => {
+  const simulated = cloneGraph(graph);
+  const { proto, wftm, want, lpToken0, lpToken1, totalFee } = strategy;
+  const legs = {};
+  const swap = (route, amountIn) => {
+    const path = (choose && choose(route, simulated, amountIn)) || routes[route];
+    const amountOut = simulateSwap(simulated, path, amountIn, { proto, commit: true });
+    legs[route] = { path, amountIn, amountOut };
+    return amountOut;
+  };
+
+  const wftmOut = swap('protoToWftmRoute', protoAmount);
+  if (wftmOut === null) {
+    return { legs, liquidity: null };
+  }
+  const wrappedHalf = wftmOut.sub(wftmOut.mul(totalFee).div(PERCENT_DIVISOR)).div(2);
+  const lp0 = lpToken0 === wftm ? wrappedHalf : swap('wftmToLp0Route', wrappedHalf);
+  const lp1 = lpToken1 === wftm ? wrappedHalf : swap('wftmToLp1Route', wrappedHalf);
+  const pair = simulated.pairs[pairKey(lpToken0, lpToken1)];
+  if (lp0 === null || lp1 === null || !pair || pair.address !== want) {
+    return { legs, liquidity: null };
+  }
+
+  // addLiquidity() takes both balances in the pair's ratio; PROTO burns on its way into the pair.
+  const [reserve0, reserve1] =
+    pair.token0 === lpToken0 ? [pair.reserve0, pair.reserve1] : [pair.reserve1, pair.reserve0];
+  let [amount0, amount1] = [lp0, lp1];
+  const optimal1 = lp0.mul(reserve1).div(reserve0);
+  if (optimal1.lte(lp1)) {
+    amount1 = optimal1;
+  } else {
+    amount0 = lp1.mul(reserve0).div(reserve1);
+  }
+  const burn = (token, amount) => (token === proto ? afterTransferBurn(amount) : amount);
+  const liquidity0 = burn(lpToken0, amount0).mul(pair.totalSupply).div(reserve0);
+  const liquidity1 = burn(lpToken1, amount1).mul(pair.totalSupply).div(reserve1);
+  return { legs, liquidity: liquidity0.lt(liquidity1) ? liquidity0 : liquidity1 };
+};
+
+/**
+ * Compares one harvest of `protoAmount` PROTO through the strategy's current routes with the same harvest
+ * through the best route of at most `maxHops` swaps for each leg, each picked on the input and reserves the
+ * earlier best legs leave. `candidates` holds the ranked paths per leg; `gainBps` is the extra LP minted by
+ * the best routes, null when either harvest mints nothing.
+ */
+const compareHarvestRoutes = (graph, strategy, { protoAmount, maxHops = 3 }) => {
+  const { proto, wftm } = strategy;
+  const ends = {
+    protoToWftmRoute: [proto, wftm],
+    wftmToLp0Route: [wftm, strategy.lpToken0],
+    wftmToLp1Route: [wftm, strategy.lpToken1],
+  };
+  const candidates = {};
+  const choose = (route, simulated, amountIn) => {
+    const [from, to] = ends[route];
+    candidates[route] = rankRoutes(simulated, from, to, amountIn, { proto, maxHops });
+    return candidates[route].length > 0 ? candidates[route][0].path : null;
+  };
+
+  const current = simulateHarvest(graph, { routes: strategy.routes, protoAmount, strategy });
+  const best = simulateHarvest(graph, { routes: strategy.routes, protoAmount, strategy, choose });
+  let gainBps = null;
+  if (best.liquidity && current.liquidity && !current.liquidity.isZero()) {
+    gainBps = best.liquidity.sub(current.liquidity).mul(PERCENT_DIVISOR).div(current.liquidity).toNumber();
+  }
+  return { protoAmount, current, best, candidates, gainBps };
+};
+
+/**
+ * Looks up the symbol and decimals of `tokens`, falling back to the address and 18 decimals.
+ */
+const readTokens = async (provider, tokens) => {
+  const info = {};
+  for (const token of tokens) {
+    const contract = new ethers.Contract(token, tokenInterface, provider);
+    try {
+      info[token] = { symbol: await contract.symbol(), decimals: await contract.decimals() };
+    } catch (error) {
+      info[token] = { symbol: token, decimals: 18 };
+    }
+  }
+  return info;
+};
+
+const factoryOf = async (router, provider) => new ethers.Contract(router, routerInterface, provider).factory();
+
+module.exports = {
+  ROUTES,
+  getAmountOut,
+  loadPairGraph,
+  findPaths,
+  simulateSwap,
+  rankRoutes,
+  readStrategyRoutes,
+  simulateHarvest,
+  compareHarvestRoutes,
+  readTokens,
+  factoryOf,
+};
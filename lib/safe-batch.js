@@ -0,0 +1,276 @@
+const { ethers } = require('ethers');
+const { ROLES } = require('./strategy-state');
+const { checkCaller, collectFeeUpdate } = require('./strategy-admin');
+const { PERCENT_DIVISOR, parseTvlCap } = require('./vault-config');
+const { withSnapshot } = require('./harvest-simulation');
+
+// Version of the Safe Transaction Builder app whose JSON format the batches follow.
+const TX_BUILDER_VERSION = '1.16.5';
+
+// EIP-1967 implementation slot, where the UUPS strategy proxy stores its implementation.
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+const STRATEGY_FEE_FIELDS = [
+  'totalFee',
+  'callFee',
+  'treasuryFee',
+  'strategistFee',
+  'securityFee',
+  'treasury',
+  'strategistRemitter',
+  'minProtoToSell',
+];
+
+const erc20Interface = new ethers.utils.Interface(['function balanceOf(address) view returns (uint256)']);
+
+const isAddress = value => typeof value === 'string' && ethers.utils.isAddress(value);
+
+/**
+ * Turns a changes file into the privileged vault and strategy calls `safe` has to make, in order: vault
+ * deposit fee, TVL cap and token rescues, then strategy fees (see collectFeeUpdate()), role grants and
+ * revocations, and the upgrade proposal or execution. Values already in place are skipped. Throws if the
+ * changes are invalid or if `safe` lacks the ownership or role a call requires.
+ */
+const planSafeCalls = async ({ vault, strategy }, changes, safe) => {
+  const errors = [];
+  const calls = [];
+  const vaultChanges = changes.vault || {};
+  const strategyChanges = changes.strategy || {};
+
+  if (vaultChanges.depositFee !== undefined) {
+    const fee = vaultChanges.depositFee;
+    if (!(Number.isInteger(fee) && fee >= 0 && fee <= PERCENT_DIVISOR)) {
+      errors.push(`vault.depositFee must be an integer number of basis points between 0 and ${PERCENT_DIVISOR}`);
+    } else if (!(await vault.depositFee()).eq(fee)) {
+      calls.push({ contract: vault, method: 'updateDepositFee', args: [fee] });
+    }
+  }
+
+  if (vaultChanges.tvlCap !== undefined) {
+    let tvlCap;
+    try {
+      tvlCap = parseTvlCap(vaultChanges.tvlCap);
+    } catch (error) {
+      errors.push(`vault.tvlCap must be an amount of want tokens or "max": ${vaultChanges.tvlCap}`);
+    }
+    if (tvlCap && !(await vault.tvlCap()).eq(tvlCap)) {
+      calls.push(
+        vaultChanges.tvlCap === 'max'
+          ? { contract: vault, method: 'removeTvlCap', args: [] }
+          : { contract: vault, method: 'updateTvlCap', args: [tvlCap] },
+      );
+    }
+  }
+
+  const want = await vault.token();
+  for (const token of vaultChanges.rescueTokens || []) {
+    if (!isAddress(token)) {
+      errors.push(`vault.rescueTokens: not an address: ${token}`);
+    } else if (ethers.utils.getAddress(token) === want) {
+      errors.push(`vault.rescueTokens: ${token} is the vault's want and cannot be rescued`);
+    } else {
+      calls.push({ contract: vault, method: 'inCaseTokensGetStuck', args: [ethers.utils.getAddress(token)] });
+    }
+  }
+
+  const feeOptions = {};
+  for (const field of STRATEGY_FEE_FIELDS) {
+    if (strategyChanges[field] !== undefined) {
+      feeOptions[field] = strategyChanges[field];
+    }
+  }
+  const feeUpdate = await collectFeeUpdate(strategy, feeOptions);
+  feeUpdate.calls.forEach(call => calls.push(Object.assign({ contract: strategy }, call)));
+  feeUpdate.errors.forEach(error => errors.push(`strategy.${error}`));
+
+  for (const [key, method, grant] of [
+    ['grantRoles', 'grantRole', true],
+    ['revokeRoles', 'revokeRole', false],
+  ]) {
+    for (const [role, accounts] of Object.entries(strategyChanges[key] || {})) {
+      if (!ROLES.includes(role)) {
+        errors.push(`strategy.${key}: unknown role ${role}, expected one of ${ROLES.join(', ')}`);
+        continue;
+      }
+      const roleHash = await strategy[role]();
+      for (const account of accounts) {
+        if (!isAddress(account)) {
+          errors.push(`strategy.${key}.${role}: not an address: ${account}`);
+        } else if ((await strategy.hasRole(roleHash, account)) !== grant) {
+          calls.push({ contract: strategy, method, args: [roleHash, ethers.utils.getAddress(account)] });
+        }
+      }
+    }
+  }
+
+  if (strategyChanges.proposeUpgrade && strategyChanges.upgradeTo !== undefined) {
+    errors.push(
+      'strategy.proposeUpgrade and strategy.upgradeTo cannot share a batch, the upgrade timelock lies between',
+    );
+  } else if (strategyChanges.proposeUpgrade) {
+    calls.push({ contract: strategy, method: 'initiateUpgradeCooldown', args: [] });
+  } else if (strategyChanges.upgradeTo !== undefined) {
+    if (!isAddress(strategyChanges.upgradeTo)) {
+      errors.push(`strategy.upgradeTo: not an address: ${strategyChanges.upgradeTo}`);
+    } else if ((await strategy.provider.getCode(strategyChanges.upgradeTo)) === '0x') {
+      errors.push(`strategy.upgradeTo: no contract deployed at ${strategyChanges.upgradeTo}`);
+    } else {
+      calls.push({
+        contract: strategy,
+        method: 'upgradeTo',
+        args: [ethers.utils.getAddress(strategyChanges.upgradeTo)],
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid Safe batch changes:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  if (calls.some(call => call.contract === vault) && (await vault.owner()) !== safe) {
+    throw new Error(`${safe} does not own vault ${vault.address}`);
+  }
+  for (const call of calls.filter(call => call.contract === strategy)) {
+    await checkCaller(strategy, call.method, safe);
+  }
+  return calls;
+};
+
+/**
+ * Packs `calls` as a Safe Transaction Builder batch: each transaction carries its encoded `data` as well as
+ * the method and input values the Transaction Builder displays.
+ */
+const buildSafeBatch = (calls, { chainId, safe, name, description = '', createdAt = Date.now() }) => ({
+  version: '1.0',
+  chainId: String(chainId),
+  createdAt,
+  meta: {
+    name,
+    description,
+    txBuilderVersion: TX_BUILDER_VERSION,
+    createdFromSafeAddress: safe,
+    createdFromOwnerAddress: '',
+  },
+  transactions: calls.map(({ contract, method, args }) => {
+    const fragment = contract.interface.getFunction(method);
+    const contractInputsValues = {};
+    fragment.inputs.forEach((input, index) => {
+      contractInputsValues[input.name] = String(args[index]);
+    });
+    return {
+      to: contract.address,
+      value: '0',
+      data: contract.interface.encodeFunctionData(fragment, args),
+      contractMethod: {
+        inputs: fragment.inputs.map(input => ({ internalType: input.type, name: input.name, type: input.type })),
+        name: fragment.name,
+        payable: fragment.payable,
+      },
+      contractInputsValues,
+    };
+  }),
+});
+
+const field = (name, expected, actual) => ({ field: name, expected: String(expected), actual: String(actual) });
+
+// State each privileged call must leave behind, read right after the call is mined.
+const EFFECTS = {
+  updateDepositFee: async (vault, [fee]) => [field('depositFee', fee, await vault.depositFee())],
+  updateTvlCap: async (vault, [tvlCap]) => [field('tvlCap', tvlCap, await vault.tvlCap())],
+  removeTvlCap: async vault => [field('tvlCap', ethers.constants.MaxUint256, await vault.tvlCap())],
+  inCaseTokensGetStuck: async (vault, [token]) => {
+    const balance = await new ethers.Contract(token, erc20Interface, vault.provider).balanceOf(vault.address);
+    return [field(`balanceOf(${token})`, 0, balance)];
+  },
+  updateTotalFee: async (strategy, [fee]) => [field('totalFee', fee, await strategy.totalFee())],
+  updateFees: async (strategy, [callFee, treasuryFee, strategistFee]) => [
+    field('callFee', callFee, await strategy.callFee()),
+    field('treasuryFee', treasuryFee, await strategy.treasuryFee()),
+    field('strategistFee', strategistFee, await strategy.strategistFee()),
+  ],
+  updateSecurityFee: async (strategy, [fee]) => [field('securityFee', fee, await strategy.securityFee())],
+  updateTreasury: async (strategy, [treasury]) => [field('treasury', treasury, await strategy.treasury())],
+  updateStrategistRemitter: async (strategy, [remitter]) => [
+    field('strategistRemitter', remitter, await strategy.strategistRemitter()),
+  ],
+  setMinProtoToSell: async (strategy, [amount]) => [field('minProtoToSell', amount, await strategy.minProtoToSell())],
+  grantRole: async (strategy, [role, account]) => [
+    field(`hasRole(${role}, ${account})`, true, await strategy.hasRole(role, account)),
+  ],
+  revokeRole: async (strategy, [role, account]) => [
+    field(`hasRole(${role}, ${account})`, false, await strategy.hasRole(role, account)),
+  ],
+  initiateUpgradeCooldown: async (strategy, args, receipt) => {
+    const { timestamp } = await strategy.provider.getBlock(receipt.blockNumber);
+    return [field('upgradeProposalTime', timestamp, await strategy.upgradeProposalTime())];
+  },
+  upgradeTo: async (strategy, [implementation]) => {
+    const slot = await strategy.provider.getStorageAt(strategy.address, IMPLEMENTATION_SLOT);
+    return [field('implementation', implementation, ethers.utils.getAddress(ethers.utils.hexDataSlice(slot, 12)))];
+  },
+};
+
+/**
+ * Replays a Safe batch on a throwaway snapshot of a Hardhat chain (local or fork), sending every transaction
+ * from the impersonated Safe, and checks after each one that it left the state its call promises (EFFECTS).
+ * Stops at the first revert. Each transaction is decoded with the first of `interfaces` (the vault's and the
+ * strategy's) that knows its selector.
+ */
+const verifySafeBatch = async (provider, batch, interfaces) => {
+  const safe = batch.meta.createdFromSafeAddress;
+  const decode = transaction => {
+    for (const contractInterface of interfaces) {
+      try {
+        const call = contractInterface.parseTransaction({ data: transaction.data });
+        return Object.assign({ contract: new ethers.Contract(transaction.to, contractInterface, provider) }, call);
+      } catch (error) {
+        // Not a function of this contract, try the next one.
+      }
+    }
+    throw new Error(`Batch transaction to ${transaction.to} calls neither a vault nor a strategy function`);
+  };
+
+  return withSnapshot(provider, async () => {
+    await provider.send('hardhat_impersonateAccount', [safe]);
+    await provider.send('hardhat_setBalance', [safe, ethers.utils.parseEther('100').toHexString()]);
+    const signer = provider.getSigner(safe);
+
+    const results = [];
+    try {
+      for (const transaction of batch.transactions) {
+        const { contract, name, args } = decode(transaction);
+        const result = { to: transaction.to, method: name, args: args.map(String) };
+        results.push(result);
+
+        let receipt;
+        try {
+          const sent = await signer.sendTransaction({
+            to: transaction.to,
+            data: transaction.data,
+            value: transaction.value,
+          });
+          receipt = await sent.wait();
+        } catch (error) {
+          Object.assign(result, { status: 'reverted', error: error.reason || error.message });
+          break;
+        }
+        result.checks = EFFECTS[name] ? await EFFECTS[name](contract, args, receipt) : [];
+        result.status = result.checks.every(check => check.expected === check.actual) ? 'ok' : 'mismatch';
+      }
+    } finally {
+      await provider.send('hardhat_stopImpersonatingAccount', [safe]);
+    }
+
+    return {
+      safe,
+      ok: results.length === batch.transactions.length && results.every(result => result.status === 'ok'),
+      results,
+    };
+  });
+};
+
+module.exports = {
+  planSafeCalls,
+  buildSafeBatch,
+  verifySafeBatch,
+};
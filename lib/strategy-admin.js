@@ -0,0 +1,218 @@
+const { ethers } = require('ethers');
+const { readStrategyState, diffStrategyState } = require('./strategy-state');
+
+const PERCENT_DIVISOR = 10000;
+
+// Operational getters admin actions move on top of the configuration tracked by readStrategyState().
+const OPERATIONAL_GETTERS = ['paused', 'minProtoToSell', 'balanceOf', 'balanceOfPool', 'balanceOfWant'];
+
+// Who may call each admin function of ReaperAutoCompoundProtofiFarmer:
+// - admin: onlyRole(DEFAULT_ADMIN_ROLE)
+// - strategistOrOwner: _onlyStrategistOrOwner(), STRATEGIST or DEFAULT_ADMIN_ROLE
+// - remitter: updateStrategistRemitter(), the STRATEGIST if there is only one, STRATEGIST_MULTISIG otherwise
+const CALLERS = {
+  updateTotalFee: 'admin',
+  updateFees: 'admin',
+  updateSecurityFee: 'admin',
+  updateTreasury: 'admin',
+  updateStrategistRemitter: 'remitter',
+  setMinProtoToSell: 'strategistOrOwner',
+  pause: 'strategistOrOwner',
+  unpause: 'strategistOrOwner',
+  panic: 'strategistOrOwner',
+  retireStrat: 'strategistOrOwner',
+  grantRole: 'admin',
+  revokeRole: 'admin',
+  initiateUpgradeCooldown: 'admin',
+  upgradeTo: 'admin',
+};
+
+/**
+ * readStrategyState() plus the pause flag, the reward sale threshold and the want balances.
+ */
+const readAdminState = async strategy => {
+  const state = await readStrategyState(strategy);
+  for (const getter of OPERATIONAL_GETTERS) {
+    state[getter] = (await strategy[getter]()).toString();
+  }
+  return state;
+};
+
+const diffAdminState = (before, after) => {
+  const changes = diffStrategyState(before, after);
+  for (const getter of OPERATIONAL_GETTERS) {
+    if (before[getter] !== after[getter]) {
+      changes.push({ field: getter, before: before[getter], after: after[getter] });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Throws unless `account` holds the role(s) required to call `method` on `strategy` (see CALLERS).
+ */
+const checkCaller = async (strategy, method, account) => {
+  const has = async role => strategy.hasRole(await strategy[role](), account);
+  let allowed;
+  let required;
+  if (CALLERS[method] === 'admin') {
+    required = 'DEFAULT_ADMIN_ROLE';
+    allowed = await has('DEFAULT_ADMIN_ROLE');
+  } else if (CALLERS[method] === 'strategistOrOwner') {
+    required = 'STRATEGIST or DEFAULT_ADMIN_ROLE';
+    allowed = (await has('STRATEGIST')) || (await has('DEFAULT_ADMIN_ROLE'));
+  } else {
+    const strategists = await strategy.getRoleMemberCount(await strategy.STRATEGIST());
+    required = strategists.eq(1) ? 'STRATEGIST' : 'STRATEGIST_MULTISIG';
+    allowed = await has(required);
+  }
+  if (!allowed) {
+    throw new Error(`${account} cannot call ${method} on strategy ${strategy.address}: requires ${required}`);
+  }
+};
+
+/**
+ * Turns the requested fee and recipient changes into strategy calls, validated against the strategy's
+ * MAX_FEE, STRATEGIST_MAX_FEE and MAX_SECURITY_FEE. Omitted options are left alone; a partial
+ * callFee/treasuryFee/strategistFee change keeps the current value of the others, and the call and treasury
+ * fees must still add up to 100%. Values equal to the current ones are skipped. Returns the calls and the
+ * validation errors.
+ */
+const collectFeeUpdate = async (strategy, options) => {
+  const errors = [];
+  const calls = [];
+  const current = async getter => (await strategy[getter]()).toString();
+  const asNumber = (name, value) => {
+    if (!/^\d+$/.test(String(value))) {
+      errors.push(`${name} must be a whole number of basis points, got "${value}"`);
+      return null;
+    }
+    return Number(value);
+  };
+
+  if (options.totalFee !== undefined) {
+    const totalFee = asNumber('totalFee', options.totalFee);
+    const max = (await strategy.MAX_FEE()).toNumber();
+    if (totalFee !== null && totalFee > max) {
+      errors.push(`totalFee ${totalFee} is above MAX_FEE (${max})`);
+    } else if (totalFee !== null && String(totalFee) !== (await current('totalFee'))) {
+      calls.push({ method: 'updateTotalFee', args: [totalFee] });
+    }
+  }
+
+  const split = ['callFee', 'treasuryFee', 'strategistFee'];
+  if (split.some(name => options[name] !== undefined)) {
+    const values = {};
+    for (const name of split) {
+      values[name] = asNumber(name, options[name] === undefined ? await current(name) : options[name]);
+    }
+    const max = (await strategy.STRATEGIST_MAX_FEE()).toNumber();
+    if (values.callFee !== null && values.treasuryFee !== null) {
+      if (values.callFee + values.treasuryFee !== PERCENT_DIVISOR) {
+        errors.push(`callFee + treasuryFee must be ${PERCENT_DIVISOR}, got ${values.callFee + values.treasuryFee}`);
+      }
+    }
+    if (values.strategistFee !== null && values.strategistFee > max) {
+      errors.push(`strategistFee ${values.strategistFee} is above STRATEGIST_MAX_FEE (${max})`);
+    }
+    let changed = false;
+    for (const name of split) {
+      changed = changed || String(values[name]) !== (await current(name));
+    }
+    if (changed) {
+      calls.push({ method: 'updateFees', args: split.map(name => values[name]) });
+    }
+  }
+
+  if (options.securityFee !== undefined) {
+    const securityFee = asNumber('securityFee', options.securityFee);
+    const max = (await strategy.MAX_SECURITY_FEE()).toNumber();
+    if (securityFee !== null && securityFee > max) {
+      errors.push(`securityFee ${securityFee} is above MAX_SECURITY_FEE (${max})`);
+    } else if (securityFee !== null && String(securityFee) !== (await current('securityFee'))) {
+      calls.push({ method: 'updateSecurityFee', args: [securityFee] });
+    }
+  }
+
+  for (const [name, method] of [
+    ['treasury', 'updateTreasury'],
+    ['strategistRemitter', 'updateStrategistRemitter'],
+  ]) {
+    if (options[name] === undefined) {
+      continue;
+    }
+    if (!ethers.utils.isAddress(options[name]) || options[name] === ethers.constants.AddressZero) {
+      errors.push(`${name} must be a non-zero address, got "${options[name]}"`);
+    } else {
+      const address = ethers.utils.getAddress(options[name]);
+      if (address !== (await strategy[name]())) {
+        calls.push({ method, args: [address] });
+      }
+    }
+  }
+
+  if (options.minProtoToSell !== undefined) {
+    if (!/^\d+$/.test(String(options.minProtoToSell))) {
+      errors.push(`minProtoToSell must be an amount in wei, got "${options.minProtoToSell}"`);
+    } else if (String(options.minProtoToSell) !== (await current('minProtoToSell'))) {
+      calls.push({ method: 'setMinProtoToSell', args: [String(options.minProtoToSell)] });
+    }
+  }
+
+  return { calls, errors };
+};
+
+/**
+ * collectFeeUpdate() that throws on invalid options.
+ */
+const planFeeUpdate = async (strategy, options) => {
+  const { calls, errors } = await collectFeeUpdate(strategy, options);
+  if (errors.length > 0) {
+    throw new Error(`Invalid fee update for strategy ${strategy.address}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return calls;
+};
+
+/**
+ * Encodes `calls` as unsigned transactions to the strategy, ready for a multisig or offline signer.
+ */
+const encodeCalls = (strategy, calls) =>
+  calls.map(({ method, args }) => ({
+    to: strategy.address,
+    value: '0',
+    data: strategy.interface.encodeFunctionData(method, args),
+    method,
+    args: args.map(String),
+  }));
+
+/**
+ * Checks that `caller` may make every call, then, unless `calldata` is set, sends them in order from
+ * `signer` and returns the state diff. With `calldata`, returns the unsigned transactions instead.
+ */
+const runAdminCalls = async (strategy, calls, { signer, caller = signer.address, calldata = false }) => {
+  for (const { method } of calls) {
+    await checkCaller(strategy, method, caller);
+  }
+  if (calldata) {
+    return { transactions: encodeCalls(strategy, calls) };
+  }
+
+  const before = await readAdminState(strategy);
+  const receipts = [];
+  for (const { method, args } of calls) {
+    receipts.push(await (await strategy.connect(signer)[method](...args)).wait());
+  }
+  const after = await readAdminState(strategy);
+  return { receipts, changes: diffAdminState(before, after) };
+};
+
+module.exports = {
+  CALLERS,
+  readAdminState,
+  diffAdminState,
+  checkCaller,
+  collectFeeUpdate,
+  planFeeUpdate,
+  encodeCalls,
+  runAdminCalls,
+};
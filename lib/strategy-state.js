@@ -0,0 +1,68 @@
+// Plain getters of ReaperBaseStrategy / ReaperAutoCompoundProtofiFarmer that define what the strategy farms,
+// where its fees go and how they are split.
+const STATE_GETTERS = [
+  'vault',
+  'want',
+  'poolId',
+  'treasury',
+  'strategistRemitter',
+  'totalFee',
+  'callFee',
+  'treasuryFee',
+  'strategistFee',
+  'securityFee',
+];
+
+const ROLES = ['DEFAULT_ADMIN_ROLE', 'STRATEGIST', 'STRATEGIST_MULTISIG'];
+
+const roleMembers = async (strategy, role) => {
+  const count = (await strategy.getRoleMemberCount(role)).toNumber();
+  const members = [];
+  for (let i = 0; i < count; i++) {
+    members.push(await strategy.getRoleMember(role, i));
+  }
+  return members.sort();
+};
+
+/**
+ * Reads the configuration of a strategy proxy: the values in STATE_GETTERS (numbers as decimal strings)
+ * and the sorted members of every Reaper role.
+ */
+const readStrategyState = async strategy => {
+  const state = {};
+  for (const getter of STATE_GETTERS) {
+    state[getter] = (await strategy[getter]()).toString();
+  }
+  state.roles = {};
+  for (const role of ROLES) {
+    state.roles[role] = await roleMembers(strategy, await strategy[role]());
+  }
+  return state;
+};
+
+/**
+ * Returns one `{ field, before, after }` entry per value that differs between two readStrategyState() results.
+ * Role members are compared as comma separated lists under `roles.<ROLE>`.
+ */
+const diffStrategyState = (before, after) => {
+  const changes = [];
+  for (const getter of STATE_GETTERS) {
+    if (before[getter] !== after[getter]) {
+      changes.push({ field: getter, before: before[getter], after: after[getter] });
+    }
+  }
+  for (const role of ROLES) {
+    const previous = before.roles[role].join(',');
+    const current = after.roles[role].join(',');
+    if (previous !== current) {
+      changes.push({ field: `roles.${role}`, before: previous, after: current });
+    }
+  }
+  return changes;
+};
+
+module.exports = {
+  ROLES,
+  readStrategyState,
+  diffStrategyState,
+};
@@ -0,0 +1,229 @@
+const { ethers } = require('ethers');
+const { encodeCalls } = require('./strategy-admin');
+
+const { BigNumber } = ethers;
+
+const erc20Interface = new ethers.utils.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'function balanceOf(address) view returns (uint256)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+]);
+const TRANSFER = erc20Interface.getEventTopic('Transfer');
+
+// withdrawFTM() records its withdrawals with the zero address as token.
+const FTM = { address: ethers.constants.AddressZero, symbol: 'FTM', decimals: 18 };
+
+// Who may call each function of ReaperTreasury: the Ownable owner, or the accountant set by setAccountant().
+const CALLERS = {
+  withdrawTokens: 'owner',
+  withdrawFTM: 'owner',
+  setAccountant: 'owner',
+  markReviewed: 'accountant',
+};
+
+/**
+ * Reads the symbol and decimals of `token`, or FTM's for the zero address.
+ */
+const readTokenInfo = async (provider, token) => {
+  if (token === ethers.constants.AddressZero) {
+    return FTM;
+  }
+  const contract = new ethers.Contract(token, erc20Interface, provider);
+  return { address: token, symbol: await contract.symbol(), decimals: await contract.decimals() };
+};
+
+/**
+ * Reads every withdrawal the treasury recorded. The counter is private, so entries are read from index 0
+ * until the first one without a timestamp. Amounts are kept in wei and formatted with the token decimals.
+ */
+const readWithdrawals = async treasury => {
+  const tokens = {};
+  const withdrawals = [];
+  for (let index = 0; ; index++) {
+    const [amount, token, time, reviewed] = await treasury.viewWithdrawal(index);
+    if (time.isZero()) {
+      return withdrawals;
+    }
+    tokens[token] = tokens[token] || (await readTokenInfo(treasury.provider, token));
+    withdrawals.push({
+      index,
+      token,
+      symbol: tokens[token].symbol,
+      amount,
+      formatted: ethers.utils.formatUnits(amount, tokens[token].decimals),
+      time: time.toNumber(),
+      date: new Date(time.toNumber() * 1000).toISOString(),
+      reviewed,
+    });
+  }
+};
+
+/**
+ * Throws unless `account` may call `method` on `treasury` (see CALLERS).
+ */
+const checkTreasuryCaller = async (treasury, method, account) => {
+  const required = CALLERS[method];
+  const holder = required === 'owner' ? await treasury.owner() : await treasury.accountant();
+  if (holder !== account) {
+    throw new Error(`${account} cannot call ${method} on treasury ${treasury.address}: requires ${required} ${holder}`);
+  }
+};
+
+/**
+ * Turns the withdrawal indexes to mark reviewed into markReviewed() calls. Unknown indexes are rejected, as
+ * markReviewed() would record a review for a withdrawal that does not exist; reviewed ones are skipped.
+ */
+const planReview = (withdrawals, indexes) => {
+  const errors = [];
+  const calls = [];
+  for (const index of indexes) {
+    const withdrawal = withdrawals.find(entry => String(entry.index) === String(index));
+    if (!withdrawal) {
+      errors.push(`no withdrawal #${index}, the treasury holds ${withdrawals.length}`);
+    } else if (!withdrawal.reviewed && !calls.some(call => call.args[0] === withdrawal.index)) {
+      calls.push({ method: 'markReviewed', args: [withdrawal.index] });
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid review:\n  - ${errors.join('\n  - ')}`);
+  }
+  return calls;
+};
+
+/**
+ * Turns a withdrawal request into a withdrawTokens() or withdrawFTM() call. `token` is an ERC20 address or
+ * "FTM", `amount` is in token units or "all" for the whole treasury balance, which must cover it.
+ */
+const planWithdrawal = async (treasury, { token, to, amount }) => {
+  const errors = [];
+  const isFtm = String(token).toUpperCase() === FTM.symbol;
+  if (!isFtm && !ethers.utils.isAddress(token)) {
+    errors.push(`token must be an address or FTM, got "${token}"`);
+  }
+  if (!ethers.utils.isAddress(to) || to === ethers.constants.AddressZero) {
+    errors.push(`to must be a non-zero address, got "${to}"`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid withdrawal from treasury ${treasury.address}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const info = isFtm ? FTM : await readTokenInfo(treasury.provider, ethers.utils.getAddress(token));
+  const balance = isFtm
+    ? await treasury.provider.getBalance(treasury.address)
+    : await new ethers.Contract(info.address, erc20Interface, treasury.provider).balanceOf(treasury.address);
+  let wei;
+  if (amount === 'all') {
+    wei = balance;
+  } else {
+    try {
+      wei = ethers.utils.parseUnits(String(amount), info.decimals);
+    } catch (error) {
+      errors.push(`amount must be a number of ${info.symbol} or "all", got "${amount}"`);
+    }
+  }
+  if (wei && wei.isZero()) {
+    errors.push(`nothing to withdraw, the treasury holds 0 ${info.symbol}`);
+  } else if (wei && wei.gt(balance)) {
+    errors.push(
+      `amount ${ethers.utils.formatUnits(wei, info.decimals)} ${info.symbol} is above the treasury balance ` +
+        `(${ethers.utils.formatUnits(balance, info.decimals)})`,
+    );
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid withdrawal from treasury ${treasury.address}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const recipient = ethers.utils.getAddress(to);
+  return isFtm
+    ? { method: 'withdrawFTM', args: [recipient, wei.toString()], token: info }
+    : { method: 'withdrawTokens', args: [info.address, recipient, wei.toString()], token: info };
+};
+
+/**
+ * Checks that `caller` may make every call, then, unless `calldata` is set, sends them in order from
+ * `signer` and returns the receipts. With `calldata`, returns the unsigned transactions instead.
+ */
+const runTreasuryCalls = async (treasury, calls, { signer, caller = signer.address, calldata = false }) => {
+  for (const { method } of calls) {
+    await checkTreasuryCaller(treasury, method, caller);
+  }
+  if (calldata) {
+    return { transactions: encodeCalls(treasury, calls) };
+  }
+  const receipts = [];
+  for (const { method, args } of calls) {
+    receipts.push(await (await treasury.connect(signer)[method](...args)).wait());
+  }
+  return { receipts };
+};
+
+/**
+ * Sums the WFTM `_chargeFees()` sent from `strategy` to the treasury between `fromBlock` and `toBlock`.
+ */
+const readFeeIncome = async (provider, { wftm, strategy, treasury, fromBlock, toBlock, batchSize = 2000 }) => {
+  const topics = [TRANSFER, ethers.utils.hexZeroPad(strategy, 32), ethers.utils.hexZeroPad(treasury, 32)];
+  let received = BigNumber.from(0);
+  let transfers = 0;
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    for (const log of await provider.getLogs({ address: wftm, topics, fromBlock: from, toBlock: to })) {
+      received = received.add(erc20Interface.parseLog(log).args.value);
+      transfers++;
+    }
+  }
+  return { received, transfers };
+};
+
+/**
+ * Summarizes the treasury per asset: FTM and each of `tokens` (WFTM first, where the harvest fees land).
+ * Each row holds the current balance, what was withdrawn and how much of it still awaits review. With a
+ * `fees` range, the WFTM row also holds the fees the strategy sent to the treasury in that range.
+ */
+const summarizeTreasury = async (treasury, { tokens, withdrawals, fees }) => {
+  const provider = treasury.provider;
+  const assets = [FTM];
+  for (const token of tokens) {
+    assets.push(await readTokenInfo(provider, ethers.utils.getAddress(token)));
+  }
+
+  const rows = [];
+  for (const asset of assets) {
+    const balance =
+      asset === FTM
+        ? await provider.getBalance(treasury.address)
+        : await new ethers.Contract(asset.address, erc20Interface, provider).balanceOf(treasury.address);
+    const sum = entries => entries.reduce((total, entry) => total.add(entry.amount), BigNumber.from(0));
+    const own = withdrawals.filter(entry => entry.token === asset.address);
+    const pending = own.filter(entry => !entry.reviewed);
+    const row = {
+      asset: asset.symbol,
+      token: asset.address,
+      balance: ethers.utils.formatUnits(balance, asset.decimals),
+      withdrawals: own.length,
+      withdrawn: ethers.utils.formatUnits(sum(own), asset.decimals),
+      pendingReview: pending.length,
+      pendingAmount: ethers.utils.formatUnits(sum(pending), asset.decimals),
+    };
+    if (fees && asset.address === fees.wftm) {
+      const income = await readFeeIncome(provider, Object.assign({ treasury: treasury.address }, fees));
+      row.feesReceived = ethers.utils.formatUnits(income.received, asset.decimals);
+      row.feeTransfers = income.transfers;
+    }
+    rows.push(row);
+  }
+  return rows;
+};
+
+module.exports = {
+  FTM,
+  CALLERS,
+  readTokenInfo,
+  readWithdrawals,
+  checkTreasuryCaller,
+  planReview,
+  planWithdrawal,
+  runTreasuryCalls,
+  readFeeIncome,
+  summarizeTreasury,
+};
@@ -0,0 +1,99 @@
+const path = require('path');
+const { ethers } = require('ethers');
+
+const PERCENT_DIVISOR = 10000;
+const REQUIRED_FIELDS = [
+  'want',
+  'tokenName',
+  'tokenSymbol',
+  'depositFee',
+  'tvlCap',
+  'poolId',
+  'treasury',
+  'strategistRemitter',
+  'strategists',
+];
+
+const parseTvlCap = tvlCap => {
+  if (tvlCap === 'max') {
+    return ethers.constants.MaxUint256;
+  }
+  return ethers.utils.parseEther(String(tvlCap));
+};
+
+/**
+ * Loads a per-vault deployment config (.json or .js) and validates it.
+ *
+ * `tvlCap` is expressed in whole want tokens (or "max" for no cap) and is
+ * returned as a BigNumber in wei. The vault name defaults to the file name.
+ */
+const loadVaultConfig = configPath => {
+  const file = path.resolve(configPath);
+  const raw = require(file);
+  const errors = [];
+
+  for (const field of REQUIRED_FIELDS) {
+    if (raw[field] === undefined || raw[field] === '') {
+      errors.push(`missing "${field}"`);
+    }
+  }
+
+  for (const field of ['want', 'treasury', 'strategistRemitter']) {
+    if (raw[field] !== undefined && !ethers.utils.isAddress(raw[field])) {
+      errors.push(`"${field}" is not an address: ${raw[field]}`);
+    }
+  }
+
+  if (raw.strategists !== undefined) {
+    if (!Array.isArray(raw.strategists) || raw.strategists.length === 0) {
+      errors.push('"strategists" must be a non-empty array');
+    } else {
+      raw.strategists
+        .filter(strategist => !ethers.utils.isAddress(strategist))
+        .forEach(strategist => errors.push(`strategist is not an address: ${strategist}`));
+    }
+  }
+
+  if (
+    raw.depositFee !== undefined &&
+    !(Number.isInteger(raw.depositFee) && raw.depositFee >= 0 && raw.depositFee <= PERCENT_DIVISOR)
+  ) {
+    errors.push(`"depositFee" must be an integer number of basis points between 0 and ${PERCENT_DIVISOR}`);
+  }
+
+  if (raw.poolId !== undefined && !(Number.isInteger(raw.poolId) && raw.poolId >= 0)) {
+    errors.push('"poolId" must be a non-negative integer');
+  }
+
+  let tvlCap;
+  if (raw.tvlCap !== undefined) {
+    try {
+      tvlCap = parseTvlCap(raw.tvlCap);
+    } catch (error) {
+      errors.push(`"tvlCap" must be an amount of want tokens or "max": ${raw.tvlCap}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid vault config ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    name: raw.name || path.basename(file, path.extname(file)),
+    want: raw.want,
+    tokenName: raw.tokenName,
+    tokenSymbol: raw.tokenSymbol,
+    depositFee: raw.depositFee,
+    tvlCap,
+    poolId: raw.poolId,
+    treasury: raw.treasury,
+    strategistRemitter: raw.strategistRemitter,
+    strategists: raw.strategists,
+  };
+};
+
+module.exports = {
+  PERCENT_DIVISOR,
+  parseTvlCap,
+  loadVaultConfig,
+};
@@ -0,0 +1,390 @@
+const { ethers } = require('ethers');
+
+const { BigNumber } = ethers;
+const PERCENT_DIVISOR = 10000;
+// ProtofiLibrary.getAmountOut() keeps 9985 of every 10000 wei swapped: a 0.15% swap fee.
+const SWAP_FEE_DIVISOR = 10000;
+const SWAP_FEE_KEEP = 9985;
+
+const vaultInterface = new ethers.utils.Interface([
+  'function token() view returns (address)',
+  'function strategy() view returns (address)',
+  'function balance() view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address) view returns (uint256)',
+  'function depositFee() view returns (uint256)',
+  'function tvlCap() view returns (uint256)',
+  'function deposit(uint256 amount)',
+  'function withdraw(uint256 shares)',
+]);
+const strategyInterface = new ethers.utils.Interface([
+  'function PROTOFI_ROUTER() view returns (address)',
+  'function WFTM() view returns (address)',
+  'function securityFee() view returns (uint256)',
+]);
+const pairInterface = new ethers.utils.Interface([
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function totalSupply() view returns (uint256)',
+]);
+const erc20Interface = new ethers.utils.Interface([
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+]);
+const wftmInterface = new ethers.utils.Interface(['function deposit() payable', 'function withdraw(uint256 wad)']);
+const routerInterface = new ethers.utils.Interface([
+  'function getAmountsOut(uint amountIn, address[] path) view returns (uint[] amounts)',
+  'function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut) pure returns (uint amountOut)',
+  'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline) returns (uint[] amounts)',
+  'function addLiquidity(address tokenA, address tokenB, uint amountADesired, uint amountBDesired, uint amountAMin, uint amountBMin, address to, uint deadline) returns (uint amountA, uint amountB, uint liquidity)',
+  'function removeLiquidity(address tokenA, address tokenB, uint liquidity, uint amountAMin, uint amountBMin, address to, uint deadline) returns (uint amountA, uint amountB)',
+]);
+
+// Native FTM, wrapped into WFTM on the way in and unwrapped on the way out.
+const FTM = 'FTM';
+
+const sqrt = value => {
+  if (value.lt(2)) {
+    return value;
+  }
+  let x = value;
+  let y = x.add(1).div(2);
+  while (y.lt(x)) {
+    x = y;
+    y = value.div(x).add(x).div(2);
+  }
+  return x;
+};
+
+const min = (a, b) => (a.lt(b) ? a : b);
+
+const withSlippage = (amount, slippage) => amount.mul(PERCENT_DIVISOR - slippage).div(PERCENT_DIVISOR);
+
+/**
+ * How much of `amountIn` to swap into the other token of a pair holding `reserveIn` of the input, so that
+ * what is left and what the swap returns match the pair's ratio after the swap. Solves
+ * `(amountIn - s) / (reserveIn + s) = out(s) / (reserveOut - out(s))` for the pair's 0.15% swap fee:
+ * `s = (sqrt(((F + k) * r)^2 + 4 * k * F * r * a) - (F + k) * r) / (2 * k)` with F = 10000 and k = 9985.
+ */
+const optimalSwapAmount = (amountIn, reserveIn) => {
+  const sum = BigNumber.from(SWAP_FEE_DIVISOR + SWAP_FEE_KEEP);
+  const root = sqrt(
+    sum
+      .mul(reserveIn)
+      .pow(2)
+      .add(reserveIn.mul(amountIn).mul(4 * SWAP_FEE_KEEP * SWAP_FEE_DIVISOR)),
+  );
+  return root.sub(sum.mul(reserveIn)).div(2 * SWAP_FEE_KEEP);
+};
+
+/**
+ * Loads what a zap into `vault` needs: the LP pair it takes, the pair tokens, and the router and WFTM the
+ * strategy uses. `signerOrProvider` also signs the zap transactions.
+ */
+const loadZap = async (vaultAddress, signerOrProvider) => {
+  const vault = new ethers.Contract(vaultAddress, vaultInterface, signerOrProvider);
+  const strategy = new ethers.Contract(await vault.strategy(), strategyInterface, signerOrProvider);
+  const pair = new ethers.Contract(await vault.token(), pairInterface, signerOrProvider);
+  const tokens = {};
+  for (const address of [await pair.token0(), await pair.token1()]) {
+    const token = new ethers.Contract(address, erc20Interface, signerOrProvider);
+    tokens[address] = { address, contract: token, symbol: await token.symbol(), decimals: await token.decimals() };
+  }
+  const wftm = await strategy.WFTM();
+  return {
+    vault,
+    strategy,
+    pair,
+    lp: new ethers.Contract(pair.address, erc20Interface, signerOrProvider),
+    tokens,
+    token0: await pair.token0(),
+    token1: await pair.token1(),
+    wftm: new ethers.Contract(wftm, wftmInterface, signerOrProvider),
+    router: new ethers.Contract(await strategy.PROTOFI_ROUTER(), routerInterface, signerOrProvider),
+  };
+};
+
+/**
+ * Resolves a zap token: "FTM" for native FTM, which goes through WFTM, or one of the pair tokens.
+ */
+const resolveToken = (zap, token) => {
+  if (String(token).toUpperCase() === FTM) {
+    if (!zap.tokens[zap.wftm.address]) {
+      throw new Error(`Pair ${zap.pair.address} does not hold WFTM, it cannot zap FTM`);
+    }
+    return { address: zap.wftm.address, native: true, symbol: FTM, decimals: 18 };
+  }
+  const address = ethers.utils.isAddress(token) ? ethers.utils.getAddress(token) : null;
+  if (!zap.tokens[address]) {
+    const symbols = Object.values(zap.tokens).map(info => `${info.symbol} (${info.address})`);
+    throw new Error(`Cannot zap "${token}", expected FTM or a token of the pair: ${symbols.join(', ')}`);
+  }
+  const info = zap.tokens[address];
+  return { address, native: false, symbol: info.symbol, decimals: info.decimals };
+};
+
+const reservesOf = async (zap, tokenIn) => {
+  const [reserve0, reserve1] = await zap.pair.getReserves();
+  return tokenIn === zap.token0 ? [reserve0, reserve1] : [reserve1, reserve0];
+};
+
+const checkSlippage = slippage => {
+  if (!Number.isInteger(slippage) || slippage < 0 || slippage >= PERCENT_DIVISOR) {
+    throw new Error(`slippage must be a whole number of basis points below ${PERCENT_DIVISOR}, got "${slippage}"`);
+  }
+};
+
+/**
+ * Vault shares `liquidity` LP buys at the current pool balance, after the deposit fee.
+ */
+const quoteDeposit = async (zap, liquidity) => {
+  const pool = await zap.vault.balance();
+  const supply = await zap.vault.totalSupply();
+  const afterFee = liquidity
+    .mul(BigNumber.from(PERCENT_DIVISOR).sub(await zap.vault.depositFee()))
+    .div(PERCENT_DIVISOR);
+  return supply.isZero() ? afterFee : afterFee.mul(supply).div(pool);
+};
+
+/**
+ * Quotes a zap of `amount` (wei) of `token` into the vault: the optimal part to swap, what
+ * getAmountsOut() says it returns, the liquidity the pair mints for both halves and the vault shares that
+ * buys. Every minimum is the expected amount less `slippage` basis points.
+ */
+const quoteZapIn = async (zap, { token, amount, slippage }) => {
+  checkSlippage(slippage);
+  const input = resolveToken(zap, token);
+  const other = input.address === zap.token0 ? zap.token1 : zap.token0;
+  amount = BigNumber.from(amount);
+  if (amount.isZero()) {
+    throw new Error('Nothing to zap');
+  }
+
+  const [reserveIn, reserveOut] = await reservesOf(zap, input.address);
+  const swapIn = optimalSwapAmount(amount, reserveIn);
+  const path = [input.address, other];
+  const [, swapOut] = await zap.router.getAmountsOut(swapIn, path);
+  const keep = amount.sub(swapIn);
+
+  // The pair mints against its reserves after the swap.
+  const lpSupply = await zap.pair.totalSupply();
+  const liquidity = min(
+    keep.mul(lpSupply).div(reserveIn.add(swapIn)),
+    swapOut.mul(lpSupply).div(reserveOut.sub(swapOut)),
+  );
+
+  const tvlCap = await zap.vault.tvlCap();
+  if ((await zap.vault.balance()).add(liquidity).gt(tvlCap)) {
+    throw new Error(`Vault ${zap.vault.address} is full: ${liquidity} LP would exceed its tvlCap of ${tvlCap}`);
+  }
+  const shares = await quoteDeposit(zap, liquidity);
+
+  return {
+    token: input,
+    amount,
+    slippage,
+    swap: { path, amountIn: swapIn, amountOut: swapOut, amountOutMin: withSlippage(swapOut, slippage) },
+    liquidity: { tokens: path, amounts: [keep, swapOut], expected: liquidity, min: withSlippage(liquidity, slippage) },
+    shares: { expected: shares, min: withSlippage(shares, slippage) },
+  };
+};
+
+// Approves exactly what the next call spends, so a zap leaves no standing allowance behind.
+const ensureAllowance = async (token, owner, spender, amount) => {
+  if ((await token.allowance(owner, spender)).lt(amount)) {
+    await (await token.approve(spender, amount)).wait();
+  }
+};
+
+const balanceOf = (zap, token, account) =>
+  new ethers.Contract(token, erc20Interface, zap.vault.provider).balanceOf(account);
+
+/**
+ * Executes a zap-in quote from the zap's signer: wraps FTM, swaps, adds liquidity and deposits the LP into the
+ * vault. Throws, leaving the tokens with the signer, when the pair mints less than the quote's minimum or the
+ * deposit would buy fewer shares. Returns the amounts moved and the pair tokens addLiquidity() left over.
+ */
+const zapIn = async (zap, quote, { deadline }) => {
+  const signer = zap.vault.signer;
+  const account = await signer.getAddress();
+  const [input, other] = quote.swap.path;
+  const before = {
+    [input]: await balanceOf(zap, input, account),
+    [other]: await balanceOf(zap, other, account),
+    lp: await balanceOf(zap, zap.pair.address, account),
+    shares: await zap.vault.balanceOf(account),
+  };
+
+  if (quote.token.native) {
+    await (await zap.wftm.deposit({ value: quote.amount })).wait();
+  }
+  await ensureAllowance(zap.tokens[input].contract, account, zap.router.address, quote.amount);
+  await (
+    await zap.router.swapExactTokensForTokens(
+      quote.swap.amountIn,
+      quote.swap.amountOutMin,
+      quote.swap.path,
+      account,
+      deadline,
+    )
+  ).wait();
+  const swapped = (await balanceOf(zap, other, account)).sub(before[other]);
+
+  const keep = quote.liquidity.amounts[0];
+  await ensureAllowance(zap.tokens[other].contract, account, zap.router.address, swapped);
+  await (
+    await zap.router.addLiquidity(
+      input,
+      other,
+      keep,
+      swapped,
+      withSlippage(keep, quote.slippage),
+      withSlippage(swapped, quote.slippage),
+      account,
+      deadline,
+    )
+  ).wait();
+  const liquidity = (await balanceOf(zap, zap.pair.address, account)).sub(before.lp);
+  if (liquidity.lt(quote.liquidity.min)) {
+    throw new Error(
+      `Pair minted ${liquidity} LP, below the minimum of ${quote.liquidity.min}; the LP was not deposited`,
+    );
+  }
+
+  const requote = await quoteDeposit(zap, liquidity);
+  if (requote.lt(quote.shares.min)) {
+    throw new Error(
+      `Deposit would buy ${requote} shares, below the minimum of ${quote.shares.min}; the LP was not deposited`,
+    );
+  }
+  await ensureAllowance(zap.lp, account, zap.vault.address, liquidity);
+  await (await zap.vault.deposit(liquidity)).wait();
+
+  // What addLiquidity() did not take stays with the signer; FTM stays wrapped.
+  const spent = quote.token.native ? BigNumber.from(0) : quote.amount;
+  return {
+    swapped,
+    liquidity,
+    shares: (await zap.vault.balanceOf(account)).sub(before.shares),
+    leftovers: {
+      [input]: (await balanceOf(zap, input, account)).sub(before[input].sub(spent)),
+      [other]: (await balanceOf(zap, other, account)).sub(before[other]),
+    },
+  };
+};
+
+/**
+ * Quotes a zap of `shares` out of the vault into `token`: the LP the withdrawal returns after the
+ * strategy's securityFee (charged on what the vault pulls from the strategy), the pair tokens
+ * removeLiquidity() returns and the swap of the other token, priced on the reserves left after the removal.
+ */
+const quoteZapOut = async (zap, { shares, token, slippage }) => {
+  checkSlippage(slippage);
+  const output = resolveToken(zap, token);
+  const other = output.address === zap.token0 ? zap.token1 : zap.token0;
+  shares = BigNumber.from(shares);
+  if (shares.isZero()) {
+    throw new Error('Nothing to zap out');
+  }
+
+  const owed = (await zap.vault.balance()).mul(shares).div(await zap.vault.totalSupply());
+  const idle = await balanceOf(zap, zap.pair.address, zap.vault.address);
+  const fee = owed.gt(idle)
+    ? owed
+        .sub(idle)
+        .mul(await zap.strategy.securityFee())
+        .div(PERCENT_DIVISOR)
+    : BigNumber.from(0);
+  const liquidity = owed.sub(fee);
+
+  const [reserveOut, reserveOther] = await reservesOf(zap, output.address);
+  const lpSupply = await zap.pair.totalSupply();
+  const removed = [liquidity.mul(reserveOut).div(lpSupply), liquidity.mul(reserveOther).div(lpSupply)];
+  const swapOut = removed[1].isZero()
+    ? removed[1]
+    : await zap.router.getAmountOut(removed[1], reserveOther.sub(removed[1]), reserveOut.sub(removed[0]));
+  const total = removed[0].add(swapOut);
+
+  return {
+    token: output,
+    shares,
+    slippage,
+    liquidity: { expected: liquidity, min: withSlippage(liquidity, slippage), securityFee: fee },
+    removed: {
+      tokens: [output.address, other],
+      amounts: removed,
+      min: removed.map(amount => withSlippage(amount, slippage)),
+    },
+    swap: {
+      path: [other, output.address],
+      amountIn: removed[1],
+      amountOut: swapOut,
+      amountOutMin: withSlippage(swapOut, slippage),
+    },
+    amountOut: { expected: total, min: withSlippage(total, slippage) },
+  };
+};
+
+/**
+ * Executes a zap-out quote from the zap's signer: withdraws the shares, removes the liquidity, swaps the
+ * other pair token into the chosen one and unwraps WFTM for FTM. Returns the amount received.
+ */
+const zapOut = async (zap, quote, { deadline }) => {
+  const signer = zap.vault.signer;
+  const account = await signer.getAddress();
+  const [output, other] = quote.removed.tokens;
+  const lpBefore = await balanceOf(zap, zap.pair.address, account);
+  const before = { [output]: await balanceOf(zap, output, account), [other]: await balanceOf(zap, other, account) };
+
+  await (await zap.vault.withdraw(quote.shares)).wait();
+  const liquidity = (await balanceOf(zap, zap.pair.address, account)).sub(lpBefore);
+  if (liquidity.lt(quote.liquidity.min)) {
+    throw new Error(`Vault returned ${liquidity} LP, below the minimum of ${quote.liquidity.min}`);
+  }
+
+  await ensureAllowance(zap.lp, account, zap.router.address, liquidity);
+  await (
+    await zap.router.removeLiquidity(
+      output,
+      other,
+      liquidity,
+      quote.removed.min[0],
+      quote.removed.min[1],
+      account,
+      deadline,
+    )
+  ).wait();
+  const received = (await balanceOf(zap, other, account)).sub(before[other]);
+  if (!received.isZero()) {
+    await ensureAllowance(zap.tokens[other].contract, account, zap.router.address, received);
+    await (
+      await zap.router.swapExactTokensForTokens(received, quote.swap.amountOutMin, quote.swap.path, account, deadline)
+    ).wait();
+  }
+
+  const amountOut = (await balanceOf(zap, output, account)).sub(before[output]);
+  if (amountOut.lt(quote.amountOut.min)) {
+    throw new Error(`Zap out returned ${amountOut}, below the minimum of ${quote.amountOut.min}`);
+  }
+  if (quote.token.native) {
+    await (await zap.wftm.withdraw(amountOut)).wait();
+  }
+  return { liquidity, amountOut };
+};
+
+module.exports = {
+  FTM,
+  sqrt,
+  optimalSwapAmount,
+  loadZap,
+  resolveToken,
+  quoteZapIn,
+  quoteDeposit,
+  zapIn,
+  quoteZapOut,
+  zapOut,
+};
@@ -1,7 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity >= 0.6.12;
 
-import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-v3/math/SafeMath.sol";
 import "./libs/ProtofiERC20.sol";
 import "./interfaces/IMoneyPot.sol";
 
@@ -1,11 +1,11 @@
 // SPDX-License-Identifier: MIT
 pragma solidity >= 0.6.12;
 
-import "@openzeppelin/contracts/math/SafeMath.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-v3/math/SafeMath.sol";
+import "@openzeppelin/contracts-v3/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-v3/token/ERC20/SafeERC20.sol";
+import "@openzeppelin/contracts-v3/access/Ownable.sol";
+import "@openzeppelin/contracts-v3/utils/ReentrancyGuard.sol";
 
 import "./ProtonToken.sol";
 import "./ElectronToken.sol";
@@ -1,9 +1,10 @@
+const hre = require('hardhat');
+const { getDeployment } = require('../lib/deployments');
+
 async function main() {
-  const vaultAddress = '0x5e071787abcA51fF64Dff517F0Fbbb73CF458DBE';
+  const { vault: vaultAddress, want: wantAddress } = getDeployment(hre.network.name, process.env.VAULT);
   const ERC20 = await ethers.getContractFactory('contracts/ERC20.sol:ERC20');
-  //const fUSDTAddress = '0x049d68029688eabf473097a2fc38ef61633a3c7a';
-  const fraxAddress = '0xdc301622e621166bd8e82f2ca0a26c13ad0be355';
-  const erc20 = await ERC20.attach(fraxAddress);
+  const erc20 = await ERC20.attach(wantAddress);
   const [deployer] = await ethers.getSigners();
   console.log(await erc20.allowance(deployer.address, vaultAddress));
   // await erc20.approve(vaultAddress, ethers.utils.parseEther('100'));
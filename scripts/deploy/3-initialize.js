@@ -1,18 +0,0 @@
-async function main() {
-  const vaultAddress = '0x0a88F3fAF8AfbAF6dD9cddBfa9B592a83F7e0fd2';
-  const strategyAddress = '';
-
-  const Vault = await ethers.getContractFactory('ReaperVaultv1_3');
-  const vault = Vault.attach(vaultAddress);
-
-  //const options = { gasPrice: 2000000000000, gasLimit: 9000000 };
-  await vault.initialize(strategyAddress);
-  console.log('Vault initialized');
-}
-
-main()
-  .then(() => process.exit(0))
-  .catch(error => {
-    console.error(error);
-    process.exit(1);
-  });
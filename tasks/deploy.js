@@ -0,0 +1,75 @@
+const { task, types } = require('hardhat/config');
+const { loadVaultConfig } = require('../lib/vault-config');
+const { readDeployments, saveDeployment } = require('../lib/deployments');
+
+// ReaperVaultv1_3.initialize() only succeeds this many seconds after constructionTime.
+const INITIALIZATION_WINDOW = 1200;
+
+task('deploy:vault', 'Deploys a vault and its UUPS strategy from a config file and links them')
+  .addParam('vaultConfig', 'Path to the vault config (.json or .js)', undefined, types.inputFile)
+  .addFlag('force', 'Overwrite an existing deployment record with the same name')
+  .setAction(async ({ vaultConfig, force }, hre) => {
+    const { ethers, upgrades, network } = hre;
+    const config = loadVaultConfig(vaultConfig);
+
+    if (readDeployments(network.name)[config.name] && !force) {
+      throw new Error(`"${config.name}" is already deployed on ${network.name}; pass --force to overwrite the record`);
+    }
+
+    const [deployer] = await ethers.getSigners();
+    console.log(`Deploying ${config.name} to ${network.name} from ${deployer.address}`);
+
+    const Vault = await ethers.getContractFactory('ReaperVaultv1_3');
+    const vault = await Vault.deploy(
+      config.want,
+      config.tokenName,
+      config.tokenSymbol,
+      config.depositFee,
+      config.tvlCap,
+    );
+    await vault.deployed();
+    console.log('Vault deployed to:', vault.address);
+    const initializeBy = (await vault.constructionTime()).toNumber() + INITIALIZATION_WINDOW;
+
+    const Strategy = await ethers.getContractFactory('ReaperAutoCompoundProtofiFarmer');
+    const strategy = await upgrades.deployProxy(
+      Strategy,
+      [vault.address, [config.treasury, config.strategistRemitter], config.strategists, config.want, config.poolId],
+      { kind: 'uups' },
+    );
+    await strategy.deployed();
+    console.log('Strategy deployed to:', strategy.address);
+
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    if (timestamp > initializeBy) {
+      throw new Error(
+        `Initialization window for vault ${vault.address} closed ${timestamp - initializeBy}s ago; ` +
+          `strategy ${strategy.address} has to be set through the timelock`,
+      );
+    }
+    console.log(`Initializing vault with ${initializeBy - timestamp}s left in the window`);
+    await (await vault.initialize(strategy.address)).wait();
+    console.log('Vault initialized');
+
+    const { blockNumber } = await vault.deployTransaction.wait();
+    const record = {
+      vault: vault.address,
+      strategy: strategy.address,
+      strategyImplementation: await upgrades.erc1967.getImplementationAddress(strategy.address),
+      want: config.want,
+      poolId: config.poolId,
+      tokenName: config.tokenName,
+      tokenSymbol: config.tokenSymbol,
+      depositFee: config.depositFee,
+      tvlCap: config.tvlCap.toString(),
+      treasury: config.treasury,
+      strategistRemitter: config.strategistRemitter,
+      strategists: config.strategists,
+      deployer: deployer.address,
+      deploymentBlock: blockNumber,
+    };
+    const file = saveDeployment(network.name, config.name, record);
+    console.log(`Deployment record written to ${file}`);
+
+    return record;
+  });
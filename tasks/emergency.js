@@ -0,0 +1,106 @@
+const { task, types } = require('hardhat/config');
+const { getDeployment } = require('../lib/deployments');
+const { preflightEmergency, runEmergency, simulateEmergency } = require('../lib/emergency');
+const { formatTable, formatJson, writeOutput } = require('../lib/output');
+
+const FORMATS = ['table', 'json'];
+const STEP_COLUMNS = ['step', 'method', 'status', 'transaction', 'detail'];
+const SNAPSHOT_COLUMNS = [
+  'snapshot',
+  'blockNumber',
+  'paused',
+  'balanceOfPool',
+  'balanceOfWant',
+  'vaultBalance',
+  'vaultAvailable',
+  'pricePerFullShare',
+];
+
+task(
+  'emergency',
+  'Pulls a strategy out of the MasterChef, confirms the want is back in the vault and recovers stray tokens',
+)
+  .addParam('vault', 'Name of the vault in the deployment record')
+  .addFlag(
+    'retire',
+    'Harvest and withdraw with retireStrat() instead of panic(), falling back to panic() if it reverts',
+  )
+  .addFlag('skipRecover', 'Do not sweep stray tokens out of the vault with inCaseTokensGetStuck()')
+  .addOptionalParam('tokens', 'Comma separated tokens to recover besides the reward and pair tokens')
+  .addOptionalParam('maxLoss', 'Loss of vault balance or share price tolerated, in basis points', 0, types.int)
+  .addFlag('simulate', 'Run the whole sequence on a snapshot of a Hardhat chain and revert it')
+  .addOptionalParam('from', 'Account to simulate the sequence as, defaults to the first signer')
+  .addOptionalParam('format', 'Output format: table or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { ethers, network } = hre;
+    const { format, output, simulate } = args;
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}", expected one of ${FORMATS.join(', ')}`);
+    }
+    if (args.from && !simulate) {
+      throw new Error('--from only applies with --simulate, a real run sends from the first signer');
+    }
+    const deployment = getDeployment(network.name, args.vault);
+    const [signer] = await ethers.getSigners();
+    const vault = await ethers.getContractAt('ReaperVaultv1_3', deployment.vault);
+    const strategy = await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', deployment.strategy);
+    const account = args.from ? ethers.utils.getAddress(args.from) : signer.address;
+    const tokens = args.tokens ? args.tokens.split(',').map(token => token.trim()) : [];
+    const options = { retire: args.retire, recover: !args.skipRecover, tokens, maxLossBps: args.maxLoss };
+
+    const checks = await preflightEmergency(vault, strategy, account, options);
+    const failed = checks.filter(check => !check.ok).map(check => check.detail);
+    if (failed.length > 0) {
+      console.log(formatTable(checks, ['check', 'ok', 'detail']));
+      throw new Error(`Emergency preflight failed for ${args.vault} as ${account}:\n  - ${failed.join('\n  - ')}`);
+    }
+
+    const report = simulate
+      ? await simulateEmergency(vault, strategy, account, options)
+      : await runEmergency(vault, strategy, signer, options);
+    Object.assign(report, { vault: vault.address, strategy: strategy.address, account, simulated: simulate, checks });
+
+    if (format === 'json') {
+      writeOutput(formatJson(report), output);
+    } else {
+      const snapshots = Object.entries(report.snapshots).map(([name, snapshot]) =>
+        Object.assign({ snapshot: name }, snapshot),
+      );
+      const lines = [
+        formatTable(checks, ['check', 'ok', 'detail']),
+        '',
+        formatTable(report.steps, STEP_COLUMNS),
+        '',
+        formatTable(snapshots, SNAPSHOT_COLUMNS),
+      ];
+      if (report.fallback) {
+        lines.push(`retireStrat() would revert (${report.fallback.reason}), fell back to panic()`);
+      }
+      if (report.forfeited) {
+        const { pending, rewardLockedUp } = report.forfeited;
+        lines.push(
+          `emergencyWithdraw() forfeits ${ethers.utils.formatEther(pending)} pending and ` +
+            `${ethers.utils.formatEther(rewardLockedUp)} locked PROTO`,
+        );
+      }
+      if (report.loss) {
+        lines.push(
+          `Vault balance change: ${ethers.utils.formatEther(report.loss.amount.mul(-1))} want, ` +
+            `loss ${report.loss.balanceBps} bps, share price loss ${report.loss.pricePerShareBps} bps`,
+        );
+      }
+      if (simulate) {
+        lines.push('Simulated on a snapshot that was reverted, nothing was sent');
+      }
+      writeOutput(lines.join('\n'), output);
+    }
+
+    if (!report.ok) {
+      const stopped = report.steps[report.steps.length - 1];
+      throw new Error(
+        `Emergency ${simulate ? 'simulation ' : ''}stopped at ${stopped.step} (${stopped.status}): ${stopped.detail}`,
+      );
+    }
+    return report;
+  });
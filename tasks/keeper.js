@@ -0,0 +1,41 @@
+const { task, types } = require('hardhat/config');
+const { getDeployment } = require('../lib/deployments');
+const { loadKeeperConfig, createLogger, runKeeper } = require('../lib/keeper');
+
+task('keeper:run', 'Polls strategies and harvests them when the call fee covers the gas cost')
+  .addParam('keeperConfig', 'Path to the keeper config (.json or .js)', undefined, types.inputFile)
+  .addFlag('dryRun', 'Log the decisions without sending harvest transactions')
+  .addOptionalParam('rounds', 'Stop after this many rounds instead of running forever', undefined, types.int)
+  .addOptionalParam('gasPrice', 'Gas price in gwei, instead of the network gas price', undefined, types.string)
+  .setAction(async ({ keeperConfig, dryRun, rounds, gasPrice }, hre) => {
+    const { ethers, network } = hre;
+    const config = loadKeeperConfig(keeperConfig);
+    const [signer] = await ethers.getSigners();
+
+    const targets = [];
+    for (const entry of config.strategies) {
+      const address = entry.vault ? getDeployment(network.name, entry.vault).strategy : entry.strategy;
+      targets.push(
+        Object.assign({}, entry, {
+          strategy: await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', address),
+        }),
+      );
+    }
+
+    const log = createLogger();
+    log('started', {
+      keeper: signer.address,
+      network: network.name,
+      strategies: targets.map(target => target.strategy.address),
+      pollInterval: config.pollInterval,
+      dryRun,
+    });
+    await runKeeper(targets, {
+      signer,
+      dryRun,
+      rounds,
+      log,
+      pollInterval: config.pollInterval,
+      gasPrice: gasPrice === undefined ? undefined : ethers.utils.parseUnits(gasPrice, 'gwei'),
+    });
+  });
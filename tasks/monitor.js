@@ -0,0 +1,39 @@
+const { task, types } = require('hardhat/config');
+const { getDeployment } = require('../lib/deployments');
+const { createLogger } = require('../lib/keeper');
+const { loadMonitorConfig, createSink, runMonitor } = require('../lib/monitor');
+
+task('monitor:run', 'Polls vault and strategy health and sends alerts when a rule fires or recovers')
+  .addParam('monitorConfig', 'Path to the monitor config (.json or .js)', undefined, types.inputFile)
+  .addOptionalParam('rounds', 'Stop after this many rounds instead of running forever', undefined, types.int)
+  .setAction(async ({ monitorConfig, rounds }, hre) => {
+    const { ethers, network } = hre;
+    const config = loadMonitorConfig(monitorConfig);
+
+    const targets = [];
+    for (const entry of config.vaults) {
+      const deployment = getDeployment(network.name, entry.name);
+      targets.push(
+        Object.assign({}, entry, {
+          vault: await ethers.getContractAt('ReaperVaultv1_3', deployment.vault),
+          strategy: await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', deployment.strategy),
+        }),
+      );
+    }
+
+    const log = createLogger();
+    log('started', {
+      network: network.name,
+      vaults: targets.map(target => target.name),
+      rules: targets.map(target => Object.keys(target.rules)),
+      sinks: config.sinks.map(sink => sink.type),
+      pollInterval: config.pollInterval,
+    });
+    return runMonitor(targets, {
+      rounds,
+      log,
+      sinks: config.sinks.map(sink => createSink(sink)),
+      pollInterval: config.pollInterval,
+      renotifyAfter: config.renotifyAfter,
+    });
+  });
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('hardhat/config');
+const { scanPools, vaultConfigFor } = require('../lib/pool-scanner');
+const { formatTable, formatCsv, formatJson, assertFormat, writeOutput } = require('../lib/output');
+
+const POOL_COLUMNS = [
+  'pid',
+  'pool',
+  'allocPoint',
+  'depositFee',
+  'harvestInterval',
+  'tvl',
+  'protoPerDay',
+  'apr',
+  'status',
+];
+const DEFAULT_TEMPLATE = path.join(__dirname, '..', 'config', 'vaults', 'protofi-ftm-usdc.json');
+
+task('pools:scan', 'Lists the ProtoFi MasterChef pools, their reward APR and whether the strategy can farm them')
+  .addOptionalParam('blockTime', 'Average seconds per block, used to annualize emissions', 1, types.float)
+  .addOptionalParam('outDir', 'Write a vault deployment config for every viable pool to this directory')
+  .addOptionalParam('template', 'Vault config to take fee recipients, strategists and caps from', DEFAULT_TEMPLATE)
+  .addFlag('force', 'Overwrite existing vault configs in --out-dir')
+  .addOptionalParam('format', 'Output format: table, csv or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .setAction(async ({ blockTime, outDir, template, force, format, output }, hre) => {
+    const { ethers } = hre;
+    assertFormat(format);
+    if (!(blockTime > 0)) {
+      throw new Error(`Invalid --block-time ${blockTime}, expected a positive number of seconds`);
+    }
+    const report = await scanPools(ethers.provider, { blockTime });
+
+    const written = [];
+    if (outDir) {
+      const base = JSON.parse(fs.readFileSync(path.resolve(template), 'utf8'));
+      fs.mkdirSync(outDir, { recursive: true });
+      for (const pool of report.pools.filter(candidate => candidate.viable)) {
+        const { name, config } = vaultConfigFor(pool, base);
+        const file = path.join(outDir, `${name}.json`);
+        if (fs.existsSync(file) && !force) {
+          console.log(`Skipping pool ${pool.pid}, ${file} already exists (pass --force to overwrite)`);
+          continue;
+        }
+        fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`);
+        written.push(file);
+      }
+    }
+
+    if (format === 'json') {
+      writeOutput(formatJson(report), output);
+    } else {
+      const rows = report.pools.map(pool => ({
+        pid: pool.pid,
+        pool: pool.symbol,
+        allocPoint: pool.allocPoint.toString(),
+        depositFee: pool.depositFeeBP,
+        harvestInterval: pool.harvestInterval,
+        tvl: pool.tvl ? ethers.utils.formatEther(pool.tvl) : '',
+        protoPerDay: ethers.utils.formatEther(pool.rewardsPerDay),
+        apr: pool.apr === null ? '' : pool.apr,
+        status: [pool.viable ? 'ok' : 'unsupported', ...pool.issues, ...pool.warnings].join('; '),
+      }));
+      writeOutput((format === 'csv' ? formatCsv : formatTable)(rows, POOL_COLUMNS), output);
+    }
+    for (const file of written) {
+      console.log(`Vault config written to ${file}`);
+    }
+    return Object.assign({ configs: written }, report);
+  });
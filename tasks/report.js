@@ -0,0 +1,363 @@
+const path = require('path');
+const { task, types } = require('hardhat/config');
+const { getDeployment, resolveStrategyAddress } = require('../lib/deployments');
+const { readHarvestLog, harvestLogRows, rollingReturn } = require('../lib/apr');
+const {
+  createIndexerState,
+  loadIndexerCache,
+  saveIndexerCache,
+  indexVaultEvents,
+  valuePositions,
+} = require('../lib/positions');
+const { PARTIES, auditFees } = require('../lib/fee-audit');
+const { readRewardState } = require('../lib/rewards');
+const {
+  createSeriesState,
+  loadSeriesCache,
+  saveSeriesCache,
+  backfillSeries,
+  seriesRows,
+} = require('../lib/performance');
+const { formatTable, formatCsv, formatJson, assertFormat, writeOutput } = require('../lib/output');
+
+const HARVEST_COLUMNS = ['index', 'date', 'timestamp', 'vaultSharePrice', 'intervalAPR'];
+const ROLLING_COLUMNS = ['window', 'from', 'to', 'days', 'partial', 'apr', 'apy'];
+const VIEWS = ['all', 'harvests', 'rolling'];
+const POSITION_COLUMNS = [
+  'user',
+  'deposited',
+  'withdrawn',
+  'shares',
+  'value',
+  'costBasis',
+  'realizedPnl',
+  'unrealizedPnl',
+  'totalPnl',
+];
+const FEE_COLUMNS = [
+  'block',
+  'transaction',
+  'harvester',
+  'totalFee',
+  'callFee',
+  'treasuryFee',
+  'strategistFee',
+  'wftmFee',
+  'caller',
+  'treasury',
+  'strategist',
+  'status',
+];
+const REWARD_COLUMNS = ['field', 'value'];
+const SERIES_COLUMNS = [
+  'block',
+  'date',
+  'tvl',
+  'pricePerFullShare',
+  'totalSupply',
+  'apr',
+  'feeDrag',
+  'harvests',
+  'harvestFees',
+  'deposits',
+  'deposited',
+  'withdrawals',
+  'withdrawn',
+  'netFlow',
+];
+
+const harvestStatus = harvest => {
+  if (harvest.unverifiable) {
+    return `unverifiable: ${harvest.unverifiable}`;
+  }
+  return harvest.mismatches.length === 0 ? 'ok' : harvest.mismatches.join('; ');
+};
+
+task('report:apr', "Reports a strategy's harvest log and rolling APR/APY")
+  .addOptionalParam('vault', 'Name of the vault in the deployment record')
+  .addOptionalParam('strategy', 'Strategy address, instead of --vault')
+  .addOptionalParam('windows', 'Comma separated rolling windows in days', '7,30,90')
+  .addOptionalParam('view', `Part of the report to output: ${VIEWS.join(', ')}`, 'all')
+  .addOptionalParam('format', 'Output format: table, csv or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { windows, view, format, output } = args;
+    assertFormat(format);
+    if (!VIEWS.includes(view)) {
+      throw new Error(`Unknown view "${view}", expected one of ${VIEWS.join(', ')}`);
+    }
+    if (format === 'csv' && view === 'all') {
+      throw new Error('CSV output holds a single table; pass --view harvests or --view rolling');
+    }
+    const days = windows.split(',').map(Number);
+    if (days.some(day => !(day > 0))) {
+      throw new Error(`Invalid --windows "${windows}", expected positive numbers of days`);
+    }
+
+    const address = resolveStrategyAddress(hre.network.name, args);
+    const strategy = await hre.ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', address);
+    const log = await readHarvestLog(strategy);
+    const report = {
+      strategy: address,
+      harvests: harvestLogRows(log),
+      rolling: days.map(day => rollingReturn(log, day)),
+    };
+
+    if (format === 'json') {
+      const selected = view === 'all' ? report : { strategy: address, [view]: report[view] };
+      writeOutput(formatJson(selected), output);
+    } else {
+      const render = format === 'csv' ? formatCsv : formatTable;
+      const sections = [];
+      if (view !== 'rolling') {
+        sections.push(render(report.harvests, HARVEST_COLUMNS));
+      }
+      if (view !== 'harvests') {
+        sections.push(render(report.rolling, ROLLING_COLUMNS));
+      }
+      writeOutput(sections.join('\n\n'), output);
+    }
+
+    return report;
+  });
+
+task('report:positions', 'Reports cost basis and PnL per vault depositor from the vault events')
+  .addParam('vault', 'Name of the vault in the deployment record')
+  .addOptionalParam('cache', 'Indexer cache file, defaults to one per network and vault in the Hardhat cache')
+  .addOptionalParam('fromBlock', 'First block to scan when there is no cache', undefined, types.int)
+  .addOptionalParam('toBlock', 'Last block to scan and to value positions at', undefined, types.int)
+  .addOptionalParam('batchSize', 'Blocks per eth_getLogs request', 2000, types.int)
+  .addOptionalParam('format', 'Output format: table, csv or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .setAction(async ({ vault, cache, fromBlock, toBlock, batchSize, format, output }, hre) => {
+    const { ethers, network } = hre;
+    assertFormat(format);
+    const deployment = getDeployment(network.name, vault);
+    const cacheFile = cache || path.join(hre.config.paths.cache, `positions-${network.name}-${deployment.vault}.json`);
+    const lastBlock = toBlock === undefined ? await ethers.provider.getBlockNumber() : toBlock;
+
+    let state = loadIndexerCache(cacheFile, deployment.vault);
+    if (!state) {
+      state = createIndexerState(deployment.vault, fromBlock === undefined ? deployment.deploymentBlock : fromBlock);
+    } else if (state.lastBlock > lastBlock) {
+      throw new Error(`Cache ${cacheFile} is already indexed up to block ${state.lastBlock}, past ${lastBlock}`);
+    }
+    await indexVaultEvents(ethers.provider, state, {
+      toBlock: lastBlock,
+      batchSize,
+      onBatch: progress => saveIndexerCache(cacheFile, progress),
+    });
+
+    const vaultContract = await ethers.getContractAt('ReaperVaultv1_3', deployment.vault);
+    const want = await ethers.getContractAt('contracts/ERC20.sol:ERC20', await vaultContract.token());
+    const decimals = await want.decimals();
+    const shareDecimals = await vaultContract.decimals();
+    const { pricePerShare, rows } = await valuePositions(vaultContract, state, lastBlock);
+
+    if (format === 'json') {
+      writeOutput(
+        formatJson({ vault: deployment.vault, block: lastBlock, decimals, pricePerShare, positions: rows }),
+        output,
+      );
+    } else {
+      const render = format === 'csv' ? formatCsv : formatTable;
+      const formatted = rows.map(row => {
+        const units = { user: row.user };
+        for (const column of POSITION_COLUMNS.slice(1)) {
+          units[column] = ethers.utils.formatUnits(row[column], column === 'shares' ? shareDecimals : decimals);
+        }
+        return units;
+      });
+      writeOutput(render(formatted, POSITION_COLUMNS), output);
+    }
+
+    return { block: lastBlock, pricePerShare, positions: rows };
+  });
+
+task('report:fees', 'Audits the WFTM fees paid by each harvest against the fee settings in effect')
+  .addOptionalParam('vault', 'Name of the vault in the deployment record')
+  .addOptionalParam('strategy', 'Strategy address, instead of --vault')
+  .addOptionalParam('fromBlock', 'First block to scan, defaults to the deployment block', undefined, types.int)
+  .addOptionalParam('toBlock', 'Last block to scan', undefined, types.int)
+  .addOptionalParam('batchSize', 'Blocks per eth_getLogs request', 2000, types.int)
+  .addOptionalParam('format', 'Output format: table, csv or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .addFlag('strict', 'Fail when any harvest paid fees that do not match its settings')
+  .setAction(async (args, hre) => {
+    const { ethers, network } = hre;
+    const { batchSize, format, output, strict } = args;
+    assertFormat(format);
+    const address = resolveStrategyAddress(network.name, args);
+    let { fromBlock } = args;
+    if (fromBlock === undefined) {
+      if (!args.vault) {
+        throw new Error('Pass --from-block when auditing a --strategy address');
+      }
+      fromBlock = getDeployment(network.name, args.vault).deploymentBlock;
+    }
+    const toBlock = args.toBlock === undefined ? await ethers.provider.getBlockNumber() : args.toBlock;
+
+    const strategy = await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', address);
+    const audit = await auditFees(strategy, { fromBlock, toBlock, batchSize });
+    const report = Object.assign({ strategy: address, fromBlock, toBlock }, audit);
+
+    if (format === 'json') {
+      writeOutput(formatJson(report), output);
+    } else {
+      const rows = audit.harvests.map(harvest => {
+        const row = {
+          block: harvest.blockNumber,
+          transaction: harvest.transactionHash,
+          harvester: harvest.harvester,
+          wftmFee: ethers.utils.formatEther(harvest.wftmFee),
+          status: harvestStatus(harvest),
+        };
+        for (const param of ['totalFee', 'callFee', 'treasuryFee', 'strategistFee']) {
+          row[param] = harvest.params[param].toString();
+        }
+        for (const party of PARTIES) {
+          row[party] = ethers.utils.formatEther(harvest.parties[party].actual);
+        }
+        return row;
+      });
+      if (format === 'csv') {
+        writeOutput(formatCsv(rows, FEE_COLUMNS), output);
+      } else {
+        const totals = PARTIES.map(party => `${party} ${ethers.utils.formatEther(audit.totals[party])}`).join(', ');
+        writeOutput(
+          [
+            formatTable(rows, FEE_COLUMNS),
+            `${audit.harvests.length} harvests in blocks ${fromBlock}-${toBlock}, ${audit.mismatches} with mismatches, ` +
+              `${audit.unverifiable} unverifiable`,
+            `WFTM paid: ${totals}`,
+          ].join('\n'),
+          output,
+        );
+      }
+    }
+
+    if (strict && audit.mismatches > 0) {
+      throw new Error(`${audit.mismatches} harvests paid fees that do not match the fee settings`);
+    }
+    return report;
+  });
+
+task('report:rewards', 'Reports claimable, locked and stranded rewards and what a harvest would sell right now')
+  .addOptionalParam('vault', 'Name of the vault in the deployment record')
+  .addOptionalParam('strategy', 'Strategy address, instead of --vault')
+  .addOptionalParam('format', 'Output format: table, csv or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { ethers, network } = hre;
+    const { format, output } = args;
+    assertFormat(format);
+    const address = resolveStrategyAddress(network.name, args);
+    const strategy = await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', address);
+    const state = await readRewardState(strategy);
+
+    if (format === 'json') {
+      writeOutput(formatJson(state), output);
+    } else {
+      const { formatEther } = ethers.utils;
+      const estimate = state.estimateHarvest;
+      const rows = [
+        ['status', state.status],
+        ['rewardToken', state.rewardToken],
+        ['harvestInterval', state.harvestInterval],
+        ['canHarvest', state.canHarvest],
+        ['nextPayoutAt', new Date(state.nextPayoutAt * 1000).toISOString()],
+        ['pending', formatEther(state.pending)],
+        ['rewardLockedUp', formatEther(state.rewardLockedUp)],
+        ['claimable', formatEther(state.claimable)],
+        ['locked', formatEther(state.locked)],
+        ...Object.entries(state.balances).map(([symbol, balance]) => [`balance${symbol}`, formatEther(balance)]),
+        ['protoToSell', formatEther(state.protoToSell)],
+        ['expectedWftm', formatEther(state.expectedWftm)],
+        ['expectedProfit', formatEther(state.expectedProfit)],
+        ['expectedCallFee', formatEther(state.expectedCallFee)],
+        ['estimateHarvestProfit', estimate.error ? `reverted: ${estimate.error}` : formatEther(estimate.profit)],
+        ['estimateHarvestCallFee', estimate.error ? '' : formatEther(estimate.callFeeToUser)],
+      ].map(([field, value]) => ({ field, value }));
+      if (format === 'csv') {
+        writeOutput(formatCsv(rows, REWARD_COLUMNS), output);
+      } else {
+        const lines = [`Strategy ${address}, pool ${state.poolId}, block ${state.blockNumber}`];
+        lines.push(formatTable(rows, REWARD_COLUMNS));
+        lines.push(...state.warnings.map(warning => `Warning: ${warning}`));
+        writeOutput(lines.join('\n'), output);
+      }
+    }
+    return state;
+  });
+
+task('report:performance', 'Samples share price, TVL and supply at block intervals and exports the time series')
+  .addParam('vault', 'Name of the vault in the deployment record')
+  .addOptionalParam('interval', 'Blocks between samples', 3600, types.int)
+  .addOptionalParam('fromBlock', 'First block to sample, defaults to the deployment block', undefined, types.int)
+  .addOptionalParam('toBlock', 'Last block to sample up to', undefined, types.int)
+  .addOptionalParam('cache', 'Sample cache file, defaults to one per network and vault in the Hardhat cache')
+  .addOptionalParam('batchSize', 'Blocks per eth_getLogs request', 2000, types.int)
+  .addOptionalParam('format', 'Output format: table, csv or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { ethers, network } = hre;
+    const { interval, format, output } = args;
+    assertFormat(format);
+    if (interval < 1) {
+      throw new Error(`--interval must be at least 1 block, got ${interval}`);
+    }
+    const deployment = getDeployment(network.name, args.vault);
+    const cacheFile =
+      args.cache || path.join(hre.config.paths.cache, `performance-${network.name}-${deployment.vault}.json`);
+    const toBlock = args.toBlock === undefined ? await ethers.provider.getBlockNumber() : args.toBlock;
+    const key = {
+      vault: deployment.vault,
+      strategy: deployment.strategy,
+      fromBlock: args.fromBlock === undefined ? deployment.deploymentBlock : args.fromBlock,
+      interval,
+    };
+
+    const state = loadSeriesCache(cacheFile, key) || createSeriesState(key);
+    const cached = state.samples.length;
+    const vault = await ethers.getContractAt('ReaperVaultv1_3', deployment.vault);
+    const strategy = await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', deployment.strategy);
+    await backfillSeries(vault, strategy, state, {
+      toBlock,
+      batchSize: args.batchSize,
+      onSample: progress => saveSeriesCache(cacheFile, progress),
+    });
+    const rows = seriesRows(state).filter(row => row.block <= toBlock);
+    const report = { vault: deployment.vault, strategy: deployment.strategy, interval, cached, samples: rows };
+
+    if (format === 'json') {
+      writeOutput(formatJson(report), output);
+    } else {
+      const want = await ethers.getContractAt('contracts/ERC20.sol:ERC20', await vault.token());
+      const decimals = await want.decimals();
+      const { formatEther, formatUnits } = ethers.utils;
+      const formatted = rows.map(row =>
+        Object.assign({}, row, {
+          tvl: formatUnits(row.balance, decimals),
+          pricePerFullShare: formatEther(row.pricePerFullShare),
+          totalSupply: formatEther(row.totalSupply),
+          harvestFees: formatEther(row.harvestFees),
+          deposited: formatUnits(row.deposited, decimals),
+          withdrawn: formatUnits(row.withdrawn, decimals),
+          netFlow: formatUnits(row.netFlow, decimals),
+        }),
+      );
+      if (format === 'csv') {
+        writeOutput(formatCsv(formatted, SERIES_COLUMNS), output);
+      } else {
+        writeOutput(
+          [
+            formatTable(formatted, SERIES_COLUMNS),
+            `${rows.length} samples every ${interval} blocks, ${cached} from cache; apr and feeDrag in basis points, ` +
+              'harvestFees in WFTM',
+          ].join('\n'),
+          output,
+        );
+      }
+    }
+    return report;
+  });
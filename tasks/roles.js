@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('hardhat/config');
+const { getDeployment } = require('../lib/deployments');
+const { buildRoleInventory, loadExpectedPermissions, diffPermissions, formatDrift } = require('../lib/role-inventory');
+const { formatTable, formatJson, assertFormat, writeOutput } = require('../lib/output');
+
+const PERMISSION_COLUMNS = ['contract', 'address', 'permission', 'holders'];
+
+const defaultExpectedPath = (network, vault) =>
+  path.join(__dirname, '..', 'config', 'permissions', network, `${vault}.json`);
+
+task('roles:check', 'Lists who holds which permission on a vault deployment and checks it against the expected holders')
+  .addParam('vault', 'Name of the vault in the deployment record')
+  .addOptionalParam(
+    'expected',
+    'Expected-permissions file, defaults to config/permissions/<network>/<vault>.json when it exists',
+    undefined,
+    types.string,
+  )
+  .addOptionalParam('treasury', 'ReaperTreasury address, defaults to the fee treasury of the deployment record')
+  .addOptionalParam('fromBlock', 'First block to scan, defaults to the deployment block', undefined, types.int)
+  .addOptionalParam('toBlock', 'Last block to scan', undefined, types.int)
+  .addOptionalParam('batchSize', 'Blocks per eth_getLogs request', 2000, types.int)
+  .addOptionalParam('format', 'Output format: table or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .addFlag('allowMismatches', 'Do not fail when the scanned events and the current state disagree')
+  .setAction(async (args, hre) => {
+    const { ethers, network } = hre;
+    const { vault, batchSize, format, output, allowMismatches } = args;
+    assertFormat(format);
+    if (format === 'csv') {
+      throw new Error('roles:check prints a table or json');
+    }
+    const deployment = getDeployment(network.name, vault);
+    const fromBlock = args.fromBlock === undefined ? deployment.deploymentBlock : args.fromBlock;
+    const toBlock = args.toBlock === undefined ? await ethers.provider.getBlockNumber() : args.toBlock;
+
+    let expectedFile = args.expected;
+    if (expectedFile === undefined && fs.existsSync(defaultExpectedPath(network.name, vault))) {
+      expectedFile = defaultExpectedPath(network.name, vault);
+    }
+
+    const inventory = await buildRoleInventory(
+      ethers.provider,
+      {
+        vault: deployment.vault,
+        strategy: deployment.strategy,
+        treasury: args.treasury || deployment.treasury,
+      },
+      { fromBlock, toBlock, batchSize },
+    );
+    const drift = expectedFile ? diffPermissions(inventory, loadExpectedPermissions(expectedFile)) : [];
+    const report = Object.assign({ vault, expected: expectedFile || null, drift }, inventory);
+
+    if (format === 'json') {
+      writeOutput(formatJson(report), output);
+    } else {
+      const rows = [];
+      for (const [contract, entry] of Object.entries(inventory.contracts)) {
+        for (const [permission, holders] of Object.entries(entry.permissions)) {
+          rows.push({ contract, address: entry.address, permission, holders: holders.join(', ') || '(none)' });
+        }
+        if (entry.note) {
+          rows.push({ contract, address: entry.address, permission: '', holders: entry.note });
+        }
+      }
+      const lines = [formatTable(rows, PERMISSION_COLUMNS)];
+      lines.push(...inventory.mismatches.map(mismatch => `Events and state disagree: ${mismatch}`));
+      if (!expectedFile) {
+        lines.push(`No expected permissions for ${vault} on ${network.name}, pass --expected to check for drift`);
+      } else if (drift.length === 0) {
+        lines.push(`Permissions match ${expectedFile}`);
+      } else {
+        lines.push(
+          `Permissions drifted from ${expectedFile} (- expected but missing, + unexpected):`,
+          formatDrift(drift),
+        );
+      }
+      writeOutput(lines.join('\n'), output);
+    }
+
+    if (drift.length > 0) {
+      throw new Error(`Permissions of ${vault} drifted from ${expectedFile}:\n${formatDrift(drift)}`);
+    }
+    if (inventory.mismatches.length > 0 && !allowMismatches) {
+      throw new Error(
+        `Events and state of ${vault} disagree, pass --allow-mismatches to accept:\n` +
+          inventory.mismatches.map(mismatch => `  - ${mismatch}`).join('\n'),
+      );
+    }
+    return report;
+  });
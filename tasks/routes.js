@@ -0,0 +1,133 @@
+const { task, types } = require('hardhat/config');
+const { resolveStrategyAddress } = require('../lib/deployments');
+const { readRewardState } = require('../lib/rewards');
+const {
+  ROUTES,
+  loadPairGraph,
+  readStrategyRoutes,
+  compareHarvestRoutes,
+  readTokens,
+  factoryOf,
+} = require('../lib/routes');
+const { formatTable, formatJson, writeOutput } = require('../lib/output');
+
+const LEG_COLUMNS = ['leg', 'route', 'amountIn', 'amountOut', 'bestRoute', 'bestIn', 'bestOut', 'gain'];
+const CANDIDATE_COLUMNS = ['leg', 'rank', 'route', 'amountOut'];
+const FORMATS = ['table', 'json'];
+
+task('routes:check', "Ranks swap routes for a strategy's harvest legs against the routes it uses")
+  .addOptionalParam('vault', 'Name of the vault in the deployment record')
+  .addOptionalParam('strategy', 'Strategy address, instead of --vault')
+  .addOptionalParam('amount', 'PROTO sold per harvest, defaults to what a harvest would sell now')
+  .addOptionalParam('maxHops', 'Longest route to consider, in swaps', 3, types.int)
+  .addOptionalParam(
+    'tokens',
+    'Comma separated tokens routes may go through, instead of reading every pair of the factory',
+  )
+  .addOptionalParam('top', 'Candidate routes to list per leg', 3, types.int)
+  .addOptionalParam('format', 'Output format: table or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { ethers, network } = hre;
+    const { format, output, maxHops, top } = args;
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}", expected one of ${FORMATS.join(', ')}`);
+    }
+    const address = resolveStrategyAddress(network.name, args);
+    const provider = ethers.provider;
+    const strategy = await readStrategyRoutes(address, provider);
+
+    let protoAmount;
+    if (args.amount !== undefined) {
+      protoAmount = ethers.utils.parseEther(args.amount);
+    } else {
+      protoAmount = (await readRewardState(await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', address)))
+        .protoToSell;
+      if (protoAmount.isZero()) {
+        throw new Error(`Strategy ${address} has no PROTO to sell now, pass --amount`);
+      }
+    }
+
+    let tokens;
+    if (args.tokens) {
+      const routeTokens = [strategy.proto, strategy.wftm, strategy.lpToken0, strategy.lpToken1];
+      const hubs = args.tokens.split(',').map(token => ethers.utils.getAddress(token.trim()));
+      tokens = Array.from(new Set(routeTokens.concat(hubs)));
+    }
+    const graph = await loadPairGraph(provider, { factory: await factoryOf(strategy.router, provider), tokens });
+    const comparison = compareHarvestRoutes(graph, strategy, { protoAmount, maxHops });
+
+    const info = await readTokens(provider, Object.keys(graph.neighbours));
+    const routeName = path => (path ? path.map(token => (info[token] ? info[token].symbol : token)).join(' > ') : '');
+    const amountOf = (value, path) => {
+      if (value === null || value === undefined) {
+        return 'no pair';
+      }
+      const token = path[path.length - 1];
+      return ethers.utils.formatUnits(value, info[token] ? info[token].decimals : 18);
+    };
+    const amountIn = (value, path) => (value === undefined ? '' : amountOf(value, path.slice(0, 1)));
+
+    const legs = ROUTES.filter(route => comparison.current.legs[route] || comparison.best.legs[route]).map(route => {
+      const current = comparison.current.legs[route] || {};
+      const best = comparison.best.legs[route] || {};
+      let gain = '';
+      if (current.amountOut && best.amountOut && !current.amountOut.isZero()) {
+        gain = `${best.amountOut.sub(current.amountOut).mul(10000).div(current.amountOut)} bps`;
+      }
+      return {
+        leg: route,
+        route: routeName(current.path),
+        path: current.path,
+        amountIn: current.path ? amountIn(current.amountIn, current.path) : '',
+        amountOut: current.path ? amountOf(current.amountOut, current.path) : '',
+        bestRoute: routeName(best.path),
+        bestPath: best.path,
+        bestIn: best.path ? amountIn(best.amountIn, best.path) : '',
+        bestOut: best.path ? amountOf(best.amountOut, best.path) : '',
+        gain,
+      };
+    });
+    const candidates = [];
+    for (const [route, ranked] of Object.entries(comparison.candidates)) {
+      ranked.slice(0, top).forEach((candidate, index) => {
+        candidates.push({
+          leg: route,
+          rank: index + 1,
+          route: routeName(candidate.path),
+          path: candidate.path,
+          amountOut: amountOf(candidate.amountOut, candidate.path),
+        });
+      });
+    }
+
+    const report = {
+      strategy: address,
+      protoAmount,
+      maxHops,
+      pairs: Object.keys(graph.pairs).length,
+      liquidity: { current: comparison.current.liquidity, best: comparison.best.liquidity },
+      gainBps: comparison.gainBps,
+      legs,
+      candidates,
+    };
+    if (format === 'json') {
+      writeOutput(formatJson(report), output);
+      return report;
+    }
+
+    const liquidity = value => (value ? `${ethers.utils.formatEther(value)} LP` : 'nothing (a route has no pair)');
+    const lines = [
+      `Harvest of ${ethers.utils.formatEther(protoAmount)} PROTO for strategy ${address}, ${report.pairs} pairs`,
+      formatTable(legs, LEG_COLUMNS),
+      `Current routes mint ${liquidity(report.liquidity.current)}, best routes mint ${liquidity(
+        report.liquidity.best,
+      )}`,
+    ];
+    if (comparison.gainBps !== null) {
+      lines.push(`Best routes gain ${comparison.gainBps} bps of LP per harvest`);
+    }
+    lines.push('', formatTable(candidates, CANDIDATE_COLUMNS));
+    writeOutput(lines.join('\n'), output);
+    return report;
+  });
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('hardhat/config');
+const { getDeployment } = require('../lib/deployments');
+const { planSafeCalls, buildSafeBatch, verifySafeBatch } = require('../lib/safe-batch');
+const { formatTable, formatJson, writeOutput } = require('../lib/output');
+
+const FORMATS = ['table', 'json'];
+const VERIFY_COLUMNS = ['index', 'method', 'args', 'status', 'details'];
+
+const loadContracts = async (hre, vaultName) => {
+  const { ethers, network } = hre;
+  const deployment = getDeployment(network.name, vaultName);
+  return {
+    vault: await ethers.getContractAt('ReaperVaultv1_3', deployment.vault),
+    strategy: await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', deployment.strategy),
+  };
+};
+
+const readJson = file => JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+task('safe:batch', 'Exports privileged vault and strategy changes as a Safe Transaction Builder batch')
+  .addParam('vault', 'Name of the vault in the deployment record')
+  .addParam('safe', 'Address of the Safe that owns the vault and administers the strategy')
+  .addParam('changes', 'JSON file describing the vault and strategy changes')
+  .addOptionalParam('name', 'Batch name shown in the Transaction Builder', undefined, types.string)
+  .addOptionalParam('description', 'Batch description shown in the Transaction Builder', '', types.string)
+  .addOptionalParam('output', 'Write the batch to this file instead of stdout', undefined, types.string)
+  .setAction(async ({ vault, safe, changes, name, description, output }, hre) => {
+    const { ethers } = hre;
+    const contracts = await loadContracts(hre, vault);
+    const safeAddress = ethers.utils.getAddress(safe);
+    const calls = await planSafeCalls(contracts, readJson(changes), safeAddress);
+    if (calls.length === 0) {
+      throw new Error(`Nothing to change for ${vault}, every value is already in place`);
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const batch = buildSafeBatch(calls, {
+      chainId,
+      safe: safeAddress,
+      name: name || `${vault} admin changes`,
+      description,
+    });
+    writeOutput(formatJson(batch), output);
+    return batch;
+  });
+
+task('safe:verify', 'Replays a Safe batch on a Hardhat chain as the impersonated Safe and checks the result')
+  .addParam('batch', 'Safe Transaction Builder batch file')
+  .addOptionalParam('format', 'Output format: table or json', 'table')
+  .setAction(async ({ batch, format }, hre) => {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}", expected one of ${FORMATS.join(', ')}`);
+    }
+    const { ethers } = hre;
+    const interfaces = [];
+    for (const name of ['ReaperVaultv1_3', 'ReaperAutoCompoundProtofiFarmer']) {
+      interfaces.push((await ethers.getContractFactory(name)).interface);
+    }
+    const report = await verifySafeBatch(ethers.provider, readJson(batch), interfaces);
+
+    if (format === 'json') {
+      console.log(formatJson(report));
+    } else {
+      const rows = report.results.map((result, index) => ({
+        index,
+        method: result.method,
+        args: result.args.join(', '),
+        status: result.status,
+        details:
+          result.status === 'reverted'
+            ? result.error
+            : result.checks.map(check => `${check.field}=${check.actual} (expected ${check.expected})`).join('; '),
+      }));
+      console.log(formatTable(rows, VERIFY_COLUMNS));
+    }
+
+    if (!report.ok) {
+      throw new Error(`Safe batch ${batch} failed verification`);
+    }
+    console.log(`All ${report.results.length} transactions verified as ${report.safe}`);
+    return report;
+  });
@@ -0,0 +1,95 @@
+const { task, types } = require('hardhat/config');
+const { resolveStrategyAddress } = require('../lib/deployments');
+const { erc20Interface, simulateHarvest } = require('../lib/harvest-simulation');
+const { formatTable, formatCsv, formatJson, assertFormat, writeOutput } = require('../lib/output');
+
+const LEG_COLUMNS = ['leg', 'swap', 'sent', 'quoted', 'spot', 'realized', 'slippageBps', 'priceImpactBps'];
+const FRONT_RUN_COLUMNS = [
+  'percent',
+  'frontRunAmount',
+  'legRealized',
+  'legLoss',
+  'legLossBps',
+  'wantAdded',
+  'wantLoss',
+  'wantLossBps',
+  'attackerProfit',
+];
+
+task('harvest:simulate', 'Simulates a harvest on a snapshot and reports the price impact of each swap')
+  .addOptionalParam('vault', 'Name of the vault in the deployment record')
+  .addOptionalParam('strategy', 'Strategy address, instead of --vault')
+  .addOptionalParam('frontRun', 'Comma separated front-run sizes, in % of the swap input reserve', '', types.string)
+  .addOptionalParam('leg', 'Index of the swap leg to front-run', 0, types.int)
+  .addOptionalParam('format', 'Output format: table, csv or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { ethers, network } = hre;
+    const { frontRun, leg, format, output } = args;
+    assertFormat(format);
+    const percents = frontRun === '' ? [] : frontRun.split(',').map(Number);
+    if (percents.some(percent => !(percent > 0 && percent < 100))) {
+      throw new Error(`Invalid --front-run "${frontRun}", expected percentages between 0 and 100`);
+    }
+    if (format === 'csv' && percents.length > 0) {
+      throw new Error('CSV output holds a single table; use --format json to get legs and front-runs together');
+    }
+
+    const address = resolveStrategyAddress(network.name, args);
+    const strategy = await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', address);
+    const [caller] = await ethers.getSigners();
+    const report = await simulateHarvest(strategy, caller, { frontRun: { percents, leg } });
+
+    if (format === 'json') {
+      writeOutput(formatJson(Object.assign({ strategy: address }, report)), output);
+      return report;
+    }
+
+    const tokens = {};
+    const tokenOf = async token => {
+      if (!tokens[token]) {
+        const contract = new ethers.Contract(token, erc20Interface, ethers.provider);
+        tokens[token] = { symbol: await contract.symbol(), decimals: await contract.decimals() };
+      }
+      return tokens[token];
+    };
+    const legRows = [];
+    for (const [index, swap] of report.legs.entries()) {
+      const tokenIn = await tokenOf(swap.tokenIn);
+      const tokenOut = await tokenOf(swap.tokenOut);
+      legRows.push({
+        leg: index,
+        swap: `${tokenIn.symbol}->${tokenOut.symbol}`,
+        sent: ethers.utils.formatUnits(swap.sent, tokenIn.decimals),
+        quoted: ethers.utils.formatUnits(swap.quoted, tokenOut.decimals),
+        spot: ethers.utils.formatUnits(swap.spot, tokenOut.decimals),
+        realized: ethers.utils.formatUnits(swap.realized, tokenOut.decimals),
+        slippageBps: swap.slippageBps,
+        priceImpactBps: swap.priceImpactBps,
+      });
+    }
+
+    const render = format === 'csv' ? formatCsv : formatTable;
+    const sections = [render(legRows, LEG_COLUMNS)];
+    if (report.frontRuns) {
+      const target = report.legs[leg];
+      const tokenIn = await tokenOf(target.tokenIn);
+      const tokenOut = await tokenOf(target.tokenOut);
+      const rows = report.frontRuns.map(run => ({
+        percent: run.percent,
+        frontRunAmount: ethers.utils.formatUnits(run.frontRunAmount, tokenIn.decimals),
+        legRealized: ethers.utils.formatUnits(run.legRealized, tokenOut.decimals),
+        legLoss: ethers.utils.formatUnits(run.legLoss, tokenOut.decimals),
+        legLossBps: run.legLossBps,
+        wantAdded: ethers.utils.formatEther(run.wantAdded),
+        wantLoss: ethers.utils.formatEther(run.wantLoss),
+        wantLossBps: run.wantLossBps,
+        attackerProfit: ethers.utils.formatUnits(run.attackerProfit, tokenIn.decimals),
+      }));
+      sections.push(
+        `Front-running leg ${leg} (${tokenIn.symbol}->${tokenOut.symbol}):\n${render(rows, FRONT_RUN_COLUMNS)}`,
+      );
+    }
+    writeOutput(sections.join('\n\n'), output);
+    return report;
+  });
@@ -0,0 +1,106 @@
+const { task, types } = require('hardhat/config');
+const { getDeployment } = require('../lib/deployments');
+const { planFeeUpdate, runAdminCalls } = require('../lib/strategy-admin');
+const { formatTable, formatJson, writeOutput } = require('../lib/output');
+
+// Every admin task acts on the strategy of a recorded vault and can emit unsigned calldata instead of sending.
+const adminTask = (name, description) =>
+  task(name, description)
+    .addParam('vault', 'Name of the vault in the deployment record')
+    .addFlag('calldata', 'Print the unsigned transactions instead of sending them')
+    .addOptionalParam('from', 'Account the --calldata calls are checked against, defaults to the first signer')
+    .addOptionalParam(
+      'output',
+      'Write the unsigned transactions to this file instead of stdout',
+      undefined,
+      types.string,
+    );
+
+const loadStrategy = async (hre, { vault, calldata, from }) => {
+  const { ethers, network } = hre;
+  if (from && !calldata) {
+    throw new Error('--from only applies with --calldata, sent calls come from the first signer');
+  }
+  const deployment = getDeployment(network.name, vault);
+  return ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', deployment.strategy);
+};
+
+/**
+ * Runs `calls` against the vault's strategy and reports the result: the unsigned transactions with
+ * --calldata, the before/after state diff otherwise.
+ */
+const runAndReport = async (hre, strategy, calls, { calldata, from, output }) => {
+  const [signer] = await hre.ethers.getSigners();
+  const caller = from ? hre.ethers.utils.getAddress(from) : signer.address;
+  const result = await runAdminCalls(strategy, calls, { signer, caller, calldata });
+
+  if (calldata) {
+    writeOutput(formatJson(result.transactions), output);
+    return result;
+  }
+  for (const receipt of result.receipts) {
+    console.log(`Transaction ${receipt.transactionHash} mined in block ${receipt.blockNumber}`);
+  }
+  if (result.changes.length === 0) {
+    console.log('No state change');
+  } else {
+    console.log(formatTable(result.changes, ['field', 'before', 'after']));
+  }
+  return result;
+};
+
+const requirePaused = async (strategy, paused) => {
+  if ((await strategy.paused()) !== paused) {
+    throw new Error(`Strategy ${strategy.address} is ${paused ? 'not ' : 'already '}paused`);
+  }
+};
+
+adminTask('strat:fees', "Updates the strategy's fees, fee recipients and reward sale threshold")
+  .addOptionalParam('totalFee', 'Total fee taken on harvests, in basis points of the profit')
+  .addOptionalParam('callFee', 'Share of the total fee paid to the harvest caller, in basis points')
+  .addOptionalParam('treasuryFee', 'Share of the total fee paid to the treasury, in basis points')
+  .addOptionalParam('strategistFee', 'Share of the treasury fee paid to the strategist, in basis points')
+  .addOptionalParam('securityFee', 'Fee charged on withdrawals, in basis points')
+  .addOptionalParam('treasury', 'New treasury address')
+  .addOptionalParam('strategistRemitter', 'New strategist remitter address')
+  .addOptionalParam('minProtoToSell', 'Minimum PROTO reward to sell on harvest, in wei')
+  .setAction(async (args, hre) => {
+    const strategy = await loadStrategy(hre, args);
+    const calls = await planFeeUpdate(strategy, args);
+    if (calls.length === 0) {
+      console.log('Nothing to update');
+      return { transactions: [], changes: [] };
+    }
+    return runAndReport(hre, strategy, calls, args);
+  });
+
+adminTask('strat:pause', 'Pauses the strategy and removes its token allowances').setAction(async (args, hre) => {
+  const strategy = await loadStrategy(hre, args);
+  await requirePaused(strategy, false);
+  return runAndReport(hre, strategy, [{ method: 'pause', args: [] }], args);
+});
+
+adminTask('strat:unpause', 'Unpauses the strategy, restores its allowances and deposits its want').setAction(
+  async (args, hre) => {
+    const strategy = await loadStrategy(hre, args);
+    await requirePaused(strategy, true);
+    return runAndReport(hre, strategy, [{ method: 'unpause', args: [] }], args);
+  },
+);
+
+adminTask(
+  'strat:panic',
+  'Emergency withdraws from the MasterChef, leaving rewards behind, and pauses the strategy',
+).setAction(async (args, hre) => {
+  const strategy = await loadStrategy(hre, args);
+  await requirePaused(strategy, false);
+  return runAndReport(hre, strategy, [{ method: 'panic', args: [] }], args);
+});
+
+adminTask(
+  'strat:retire',
+  'Harvests, withdraws everything from the MasterChef and sends the want back to the vault',
+).setAction(async (args, hre) => {
+  const strategy = await loadStrategy(hre, args);
+  return runAndReport(hre, strategy, [{ method: 'retireStrat', args: [] }], args);
+});
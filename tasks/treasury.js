@@ -0,0 +1,178 @@
+const { task, types } = require('hardhat/config');
+const { getDeployment } = require('../lib/deployments');
+const { readWithdrawals, planReview, planWithdrawal, runTreasuryCalls, summarizeTreasury } = require('../lib/treasury');
+const { formatTable, formatCsv, formatJson, assertFormat, writeOutput } = require('../lib/output');
+
+const WITHDRAWAL_COLUMNS = ['index', 'date', 'symbol', 'formatted', 'token', 'reviewed'];
+const BALANCE_COLUMNS = [
+  'asset',
+  'balance',
+  'feesReceived',
+  'feeTransfers',
+  'withdrawals',
+  'withdrawn',
+  'pendingReview',
+  'pendingAmount',
+];
+const STATUSES = ['all', 'pending', 'reviewed'];
+
+// Every treasury task targets the treasury of a recorded vault or a treasury address.
+const treasuryTask = (name, description) =>
+  task(name, description)
+    .addOptionalParam('vault', 'Name of the vault in the deployment record, whose treasury to use')
+    .addOptionalParam('treasury', 'Treasury address, instead of --vault');
+
+// Treasury tasks that send transactions can emit unsigned calldata instead, like the strat:* tasks.
+const treasuryCallTask = (name, description) =>
+  treasuryTask(name, description)
+    .addFlag('calldata', 'Print the unsigned transactions instead of sending them')
+    .addOptionalParam('from', 'Account the calls are checked against, defaults to the first signer')
+    .addOptionalParam(
+      'output',
+      'Write the unsigned transactions to this file instead of stdout',
+      undefined,
+      types.string,
+    );
+
+/**
+ * Returns the ReaperTreasury a task targets and, with --vault, the vault's deployment record.
+ */
+const loadTreasury = async (hre, { vault, treasury }) => {
+  if (!vault === !treasury) {
+    throw new Error('Pass exactly one of --vault or --treasury');
+  }
+  const deployment = vault ? getDeployment(hre.network.name, vault) : null;
+  const address = treasury || deployment.treasury;
+  if ((await hre.ethers.provider.getCode(address)) === '0x') {
+    throw new Error(`Treasury ${address} is not a contract`);
+  }
+  return { treasury: await hre.ethers.getContractAt('ReaperTreasury', address), deployment };
+};
+
+const runAndReport = async (hre, treasury, calls, { calldata, from, output }) => {
+  const [signer] = await hre.ethers.getSigners();
+  const caller = from ? hre.ethers.utils.getAddress(from) : signer.address;
+  const result = await runTreasuryCalls(treasury, calls, { signer, caller, calldata });
+
+  if (calldata) {
+    writeOutput(formatJson(result.transactions), output);
+    return result;
+  }
+  for (const receipt of result.receipts) {
+    console.log(`Transaction ${receipt.transactionHash} mined in block ${receipt.blockNumber}`);
+  }
+  return result;
+};
+
+treasuryTask('treasury:withdrawals', 'Lists the withdrawals recorded by the treasury and their review status')
+  .addOptionalParam('status', `Withdrawals to list: ${STATUSES.join(', ')}`, 'all')
+  .addOptionalParam('format', 'Output format: table, csv or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { status, format, output } = args;
+    assertFormat(format);
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Unknown status "${status}", expected one of ${STATUSES.join(', ')}`);
+    }
+    const { treasury } = await loadTreasury(hre, args);
+    const withdrawals = (await readWithdrawals(treasury)).filter(
+      withdrawal => status === 'all' || withdrawal.reviewed === (status === 'reviewed'),
+    );
+    const report = {
+      treasury: treasury.address,
+      owner: await treasury.owner(),
+      accountant: await treasury.accountant(),
+      withdrawals,
+    };
+
+    if (format === 'json') {
+      writeOutput(formatJson(report), output);
+    } else if (format === 'csv') {
+      writeOutput(formatCsv(withdrawals, WITHDRAWAL_COLUMNS), output);
+    } else {
+      const pending = withdrawals.filter(withdrawal => !withdrawal.reviewed).length;
+      writeOutput(
+        [
+          `Treasury ${report.treasury}, owner ${report.owner}, accountant ${report.accountant}`,
+          withdrawals.length === 0 ? 'No withdrawals' : formatTable(withdrawals, WITHDRAWAL_COLUMNS),
+          `${pending} of ${withdrawals.length} withdrawals awaiting review`,
+        ].join('\n'),
+        output,
+      );
+    }
+    return report;
+  });
+
+treasuryCallTask('treasury:review', 'Marks treasury withdrawals reviewed, as the accountant')
+  .addParam('indexes', 'Comma separated withdrawal indexes')
+  .setAction(async (args, hre) => {
+    const { treasury } = await loadTreasury(hre, args);
+    const indexes = args.indexes.split(',').map(index => index.trim());
+    const calls = planReview(await readWithdrawals(treasury), indexes);
+    if (calls.length === 0) {
+      console.log('Withdrawals already reviewed');
+      return { transactions: [], receipts: [] };
+    }
+    return runAndReport(hre, treasury, calls, args);
+  });
+
+treasuryCallTask('treasury:withdraw', 'Withdraws tokens or FTM from the treasury, as the owner')
+  .addParam('token', 'Token address, or FTM')
+  .addParam('to', 'Recipient address')
+  .addParam('amount', 'Amount in token units, or "all" for the whole balance')
+  .setAction(async (args, hre) => {
+    const { treasury } = await loadTreasury(hre, args);
+    const call = await planWithdrawal(treasury, args);
+    const decimals = call.token.decimals;
+    const amount = hre.ethers.utils.formatUnits(call.args[call.args.length - 1], decimals);
+    console.log(`Withdrawing ${amount} ${call.token.symbol} to ${call.args[call.args.length - 2]}`);
+    return runAndReport(hre, treasury, [call], args);
+  });
+
+treasuryTask('treasury:balances', 'Summarizes the treasury balances, harvest fee income and withdrawals')
+  .addOptionalParam('tokens', 'Comma separated token addresses to include besides WFTM')
+  .addOptionalParam(
+    'fromBlock',
+    'First block to count fee income from, defaults to the deployment block',
+    undefined,
+    types.int,
+  )
+  .addOptionalParam('toBlock', 'Last block to count fee income from, defaults to the latest', undefined, types.int)
+  .addOptionalParam('format', 'Output format: table, csv or json', 'table')
+  .addOptionalParam('output', 'Write the report to this file instead of stdout', undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { format, output } = args;
+    assertFormat(format);
+    const { treasury, deployment } = await loadTreasury(hre, args);
+    let tokens = args.tokens ? args.tokens.split(',').map(token => hre.ethers.utils.getAddress(token.trim())) : [];
+
+    // With --vault, WFTM comes from the strategy and its fee transfers to the treasury are counted.
+    let fees;
+    if (deployment) {
+      const strategy = await hre.ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', deployment.strategy);
+      const wftm = await strategy.WFTM();
+      tokens = [wftm].concat(tokens.filter(token => token !== wftm));
+      fees = {
+        wftm,
+        strategy: strategy.address,
+        fromBlock: args.fromBlock === undefined ? deployment.deploymentBlock : args.fromBlock,
+        toBlock: args.toBlock === undefined ? await hre.ethers.provider.getBlockNumber() : args.toBlock,
+      };
+    }
+    const withdrawals = await readWithdrawals(treasury);
+    const assets = await summarizeTreasury(treasury, { tokens, withdrawals, fees });
+    const report = { treasury: treasury.address, fees: fees || null, assets };
+
+    if (format === 'json') {
+      writeOutput(formatJson(report), output);
+    } else if (format === 'csv') {
+      writeOutput(formatCsv(assets, BALANCE_COLUMNS), output);
+    } else {
+      const lines = [`Treasury ${treasury.address}`, formatTable(assets, BALANCE_COLUMNS)];
+      if (fees) {
+        lines.push(`Fee income counted from strategy ${fees.strategy}, blocks ${fees.fromBlock} to ${fees.toBlock}`);
+      }
+      writeOutput(lines.join('\n'), output);
+    }
+    return report;
+  });
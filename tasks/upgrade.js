@@ -0,0 +1,120 @@
+const { task, types } = require('hardhat/config');
+const { getDeployment, saveDeployment } = require('../lib/deployments');
+const { readStrategyState, diffStrategyState } = require('../lib/strategy-state');
+
+const DEFAULT_STRATEGY_CONTRACT = 'ReaperAutoCompoundProtofiFarmer';
+
+/**
+ * Reads where the strategy stands in the ReaperBaseStrategy upgrade protocol. clearUpgradeCooldown() parks
+ * upgradeProposalTime 100 years in the future, so a proposal time ahead of the chain means nothing is proposed.
+ * _authorizeUpgrade() requires `upgradeProposalTime + UPGRADE_TIMELOCK < block.timestamp`, so `eligibleAt` is the
+ * first block timestamp that passes and `remaining` is measured from the earliest timestamp the next block can have.
+ */
+const getCooldown = async (strategy, provider) => {
+  const proposedAt = (await strategy.upgradeProposalTime()).toNumber();
+  const timelock = (await strategy.UPGRADE_TIMELOCK()).toNumber();
+  const { timestamp } = await provider.getBlock('latest');
+  const eligibleAt = proposedAt + timelock + 1;
+  return {
+    proposed: proposedAt <= timestamp,
+    proposedAt,
+    eligibleAt,
+    remaining: Math.max(eligibleAt - (timestamp + 1), 0),
+  };
+};
+
+const formatDuration = seconds => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours}h ${minutes}m ${seconds % 60}s`;
+};
+
+const formatTime = timestamp => new Date(timestamp * 1000).toISOString();
+
+const loadStrategy = async (hre, vaultName, contractName) => {
+  const { ethers, network } = hre;
+  const deployment = getDeployment(network.name, vaultName);
+  const [signer] = await ethers.getSigners();
+  const strategy = await ethers.getContractAt(contractName, deployment.strategy, signer);
+
+  if (!(await strategy.hasRole(await strategy.DEFAULT_ADMIN_ROLE(), signer.address))) {
+    throw new Error(`${signer.address} does not hold DEFAULT_ADMIN_ROLE on strategy ${strategy.address}`);
+  }
+  return { deployment, strategy };
+};
+
+/**
+ * Runs the storage layout and upgrade safety checks of the upgrades plugin against the implementation
+ * recorded for the proxy in the network manifest (.openzeppelin/<network>.json).
+ */
+const validateStrategyUpgrade = async (hre, proxy, contractName) => {
+  const Strategy = await hre.ethers.getContractFactory(contractName);
+  try {
+    await hre.upgrades.validateUpgrade(proxy, Strategy, { kind: 'uups' });
+  } catch (error) {
+    throw new Error(`${contractName} is not a safe upgrade for ${proxy}:\n${error.message}`);
+  }
+  return Strategy;
+};
+
+task('upgrade:propose', "Starts the strategy's upgrade cooldown after validating the new implementation")
+  .addParam('vault', 'Name of the vault in the deployment record')
+  .addOptionalParam('contract', 'Name of the new strategy implementation', DEFAULT_STRATEGY_CONTRACT, types.string)
+  .addFlag('force', 'Restart the cooldown even if an upgrade is already proposed')
+  .setAction(async ({ vault, contract, force }, hre) => {
+    const { strategy } = await loadStrategy(hre, vault, contract);
+    const cooldown = await getCooldown(strategy, hre.ethers.provider);
+    if (cooldown.proposed && !force) {
+      throw new Error(
+        `An upgrade was already proposed at ${formatTime(cooldown.proposedAt)} ` +
+          `(${formatDuration(cooldown.remaining)} left); pass --force to restart the cooldown`,
+      );
+    }
+
+    await validateStrategyUpgrade(hre, strategy.address, contract);
+    console.log(`${contract} is upgrade safe for ${strategy.address}`);
+
+    await (await strategy.initiateUpgradeCooldown()).wait();
+    const { eligibleAt, remaining } = await getCooldown(strategy, hre.ethers.provider);
+    console.log(`Upgrade cooldown started, executable after ${formatTime(eligibleAt)} (${formatDuration(remaining)})`);
+
+    return { eligibleAt };
+  });
+
+task('upgrade:execute', 'Upgrades the strategy once its cooldown has passed and checks its state is unchanged')
+  .addParam('vault', 'Name of the vault in the deployment record')
+  .addOptionalParam('contract', 'Name of the new strategy implementation', DEFAULT_STRATEGY_CONTRACT, types.string)
+  .setAction(async ({ vault, contract }, hre) => {
+    const { ethers, upgrades, network } = hre;
+    const { deployment, strategy } = await loadStrategy(hre, vault, contract);
+
+    const cooldown = await getCooldown(strategy, ethers.provider);
+    if (!cooldown.proposed) {
+      throw new Error(`No upgrade proposed for strategy ${strategy.address}; run upgrade:propose first`);
+    }
+    if (cooldown.remaining > 0) {
+      throw new Error(
+        `Upgrade cooldown still active for ${formatDuration(cooldown.remaining)} ` +
+          `(executable after ${formatTime(cooldown.eligibleAt)})`,
+      );
+    }
+
+    const Strategy = await validateStrategyUpgrade(hre, strategy.address, contract);
+    const before = await readStrategyState(strategy);
+    const previousImplementation = await upgrades.erc1967.getImplementationAddress(strategy.address);
+
+    const upgraded = await upgrades.upgradeProxy(strategy.address, Strategy, { kind: 'uups' });
+    await upgraded.deployTransaction.wait();
+    const implementation = await upgrades.erc1967.getImplementationAddress(strategy.address);
+    console.log(`Strategy ${strategy.address} upgraded from ${previousImplementation} to ${implementation}`);
+    saveDeployment(network.name, vault, Object.assign({}, deployment, { strategyImplementation: implementation }));
+
+    const changes = diffStrategyState(before, await readStrategyState(strategy));
+    if (changes.length > 0) {
+      const lines = changes.map(change => `  - ${change.field}: ${change.before} -> ${change.after}`);
+      throw new Error(`Strategy state changed during the upgrade:\n${lines.join('\n')}`);
+    }
+    console.log('want, poolId, fees and roles unchanged');
+
+    return { previousImplementation, implementation };
+  });
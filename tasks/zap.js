@@ -0,0 +1,115 @@
+const { task, types } = require('hardhat/config');
+const { getDeployment } = require('../lib/deployments');
+const { loadZap, resolveToken, quoteZapIn, zapIn, quoteZapOut, zapOut } = require('../lib/zap');
+const { formatTable } = require('../lib/output');
+
+const DEFAULT_SLIPPAGE = 50;
+const DEFAULT_DEADLINE = 1200;
+
+// Both zap tasks act for the first signer on a recorded vault and stop after the quote with --dry-run.
+const zapTask = (name, description) =>
+  task(name, description)
+    .addParam('vault', 'Name of the vault in the deployment record')
+    .addParam('token', 'FTM, or the address of one of the pair tokens')
+    .addOptionalParam('slippage', 'Slippage bound on every step, in basis points', DEFAULT_SLIPPAGE, types.int)
+    .addOptionalParam('deadline', 'Seconds the router accepts the transactions for', DEFAULT_DEADLINE, types.int)
+    .addFlag('dryRun', 'Print the quote without sending anything');
+
+const setup = async (hre, { vault, token }) => {
+  const [signer] = await hre.ethers.getSigners();
+  const zap = await loadZap(getDeployment(hre.network.name, vault).vault, signer);
+  return { signer, zap, token: resolveToken(zap, token) };
+};
+
+const deadlineFrom = async (hre, seconds) => (await hre.ethers.provider.getBlock('latest')).timestamp + seconds;
+
+const printQuote = rows => console.log(formatTable(rows, ['step', 'expected', 'minimum']));
+
+zapTask('zap:in', 'Swaps a single token into the vault LP and deposits it')
+  .addParam('amount', 'Amount of --token to zap, in token units')
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const { zap, token } = await setup(hre, args);
+    const amount = ethers.utils.parseUnits(args.amount, token.decimals);
+    const quote = await quoteZapIn(zap, { token: args.token, amount, slippage: args.slippage });
+
+    const [, other] = quote.swap.path;
+    const format = (value, address) => ethers.utils.formatUnits(value, zap.tokens[address].decimals);
+    printQuote([
+      {
+        step: `swap ${format(quote.swap.amountIn, token.address)} ${token.symbol}`,
+        expected: `${format(quote.swap.amountOut, other)} ${zap.tokens[other].symbol}`,
+        minimum: format(quote.swap.amountOutMin, other),
+      },
+      {
+        step: 'add liquidity',
+        expected: `${ethers.utils.formatEther(quote.liquidity.expected)} LP`,
+        minimum: ethers.utils.formatEther(quote.liquidity.min),
+      },
+      {
+        step: 'deposit',
+        expected: `${ethers.utils.formatEther(quote.shares.expected)} shares`,
+        minimum: ethers.utils.formatEther(quote.shares.min),
+      },
+    ]);
+    if (args.dryRun) {
+      return { quote };
+    }
+
+    const result = await zapIn(zap, quote, { deadline: await deadlineFrom(hre, args.deadline) });
+    console.log(
+      `Deposited ${ethers.utils.formatEther(result.liquidity)} LP for ${ethers.utils.formatEther(
+        result.shares,
+      )} shares`,
+    );
+    for (const [address, leftover] of Object.entries(result.leftovers)) {
+      if (!leftover.isZero()) {
+        console.log(`Left over: ${format(leftover, address)} ${zap.tokens[address].symbol}`);
+      }
+    }
+    return { quote, result };
+  });
+
+zapTask('zap:out', 'Withdraws vault shares and swaps the LP into a single token')
+  .addParam('shares', 'Shares to withdraw, in share units, or "all"')
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const { signer, zap, token } = await setup(hre, args);
+    const shares =
+      args.shares === 'all' ? await zap.vault.balanceOf(signer.address) : ethers.utils.parseEther(args.shares);
+    const quote = await quoteZapOut(zap, { shares, token: args.token, slippage: args.slippage });
+
+    const [, other] = quote.removed.tokens;
+    const format = (value, address) => ethers.utils.formatUnits(value, zap.tokens[address].decimals);
+    printQuote([
+      {
+        step: `withdraw ${ethers.utils.formatEther(shares)} shares`,
+        expected: `${ethers.utils.formatEther(quote.liquidity.expected)} LP`,
+        minimum: ethers.utils.formatEther(quote.liquidity.min),
+      },
+      {
+        step: 'remove liquidity',
+        expected: quote.removed.tokens
+          .map((address, i) => `${format(quote.removed.amounts[i], address)} ${zap.tokens[address].symbol}`)
+          .join(' + '),
+        minimum: quote.removed.tokens.map((address, i) => format(quote.removed.min[i], address)).join(' + '),
+      },
+      {
+        step: `swap ${format(quote.swap.amountIn, other)} ${zap.tokens[other].symbol}`,
+        expected: `${format(quote.swap.amountOut, token.address)} ${zap.tokens[token.address].symbol}`,
+        minimum: format(quote.swap.amountOutMin, token.address),
+      },
+      {
+        step: 'receive',
+        expected: `${format(quote.amountOut.expected, token.address)} ${token.symbol}`,
+        minimum: format(quote.amountOut.min, token.address),
+      },
+    ]);
+    if (args.dryRun) {
+      return { quote };
+    }
+
+    const result = await zapOut(zap, quote, { deadline: await deadlineFrom(hre, args.deadline) });
+    console.log(`Received ${format(result.amountOut, token.address)} ${token.symbol}`);
+    return { quote, result };
+  });
@@ -0,0 +1,86 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { ONE_DAY, rollingReturn } = require('../lib/apr');
+chai.use(solidity);
+const { expect } = chai;
+
+const HARVEST_DAYS = 10;
+
+describe('APR report', function () {
+  let fixture;
+  let strategy;
+
+  before(async function () {
+    fixture = await deployVaultFixture({ protofi: { protonPerBlock: ethers.utils.parseEther('10') } });
+    strategy = fixture.strategy;
+    for (let day = 0; day < HARVEST_DAYS; day++) {
+      await network.provider.send('evm_increaseTime', [ONE_DAY]);
+      await network.provider.send('evm_mine');
+      await strategy.harvest();
+    }
+  });
+
+  after(function () {
+    removeVaultFixture(fixture);
+  });
+
+  it('should report the harvest log with the on-chain interval APR', async function () {
+    const report = await hre.run('report:apr', { vault: VAULT, format: 'json' });
+
+    expect(report.strategy).to.equal(strategy.address);
+    expect(report.harvests).to.have.length((await strategy.harvestLogLength()).toNumber());
+    for (let i = 1; i < report.harvests.length; i++) {
+      const [timestamp, vaultSharePrice] = await strategy.harvestLog(i);
+      expect(report.harvests[i].timestamp).to.equal(timestamp.toNumber());
+      expect(report.harvests[i].vaultSharePrice).to.equal(vaultSharePrice.toString());
+      expect(report.harvests[i].intervalAPR).to.equal((await strategy.calculateAPRUsingLogs(i - 1, i)).toNumber());
+    }
+    expect(report.harvests[0].intervalAPR).to.equal(null);
+  });
+
+  it('should compute rolling APR and APY over the requested windows', async function () {
+    const { rolling } = await hre.run('report:apr', { strategy: strategy.address, windows: '7,90', format: 'json' });
+
+    const [week, quarter] = rolling;
+    expect(week.window).to.equal('7d');
+    expect(week.partial).to.equal(false);
+    expect(week.days).to.be.closeTo(7, 0.01);
+    expect(week.apr).to.be.gt(0);
+    expect(week.apy).to.be.gt(week.apr);
+    expect(quarter.partial).to.equal(true);
+    expect(quarter.days).to.be.closeTo(HARVEST_DAYS, 0.01);
+  });
+
+  it('should write a single table as CSV', async function () {
+    const output = path.join(fixture.workDir, 'harvests.csv');
+    await hre.run('report:apr', { vault: VAULT, format: 'csv', view: 'harvests', output });
+
+    const lines = fs.readFileSync(output, 'utf8').trim().split('\n');
+    expect(lines[0]).to.equal('index,date,timestamp,vaultSharePrice,intervalAPR');
+    expect(lines).to.have.length((await strategy.harvestLogLength()).toNumber() + 1);
+
+    try {
+      await hre.run('report:apr', { vault: VAULT, format: 'csv' });
+    } catch (error) {
+      expect(error.message).to.contain('single table');
+      return;
+    }
+    throw new Error('report:apr was expected to fail');
+  });
+
+  it('should annualize and compound the share price growth', function () {
+    const start = { timestamp: 0, vaultSharePrice: ethers.utils.parseEther('1') };
+    const middle = { timestamp: 3 * ONE_DAY, vaultSharePrice: ethers.utils.parseEther('1.004') };
+    const end = { timestamp: 7 * ONE_DAY, vaultSharePrice: ethers.utils.parseEther('1.01') };
+
+    const row = rollingReturn([start, middle, end], 7);
+    expect(row.partial).to.equal(false);
+    expect(row.apr).to.be.closeTo((0.01 * 365 * 100) / 7, 0.0001);
+    expect(row.apy).to.be.closeTo((Math.pow(1.01, 365 / 7) - 1) * 100, 0.0001);
+    expect(rollingReturn([start, middle, end], 4).from).to.equal(new Date(3 * ONE_DAY * 1000).toISOString());
+  });
+});
@@ -0,0 +1,102 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { deployProtofiFixture, POOL_IDS } = require('./fixtures/protofi');
+const { runAndCatch } = require('./fixtures/rejections');
+const { getDeployment } = require('../lib/deployments');
+chai.use(solidity);
+const { expect } = chai;
+
+describe('Deployment pipeline', function () {
+  let workDir;
+  let configPath;
+  let config;
+  let treasury;
+  let strategists;
+
+  beforeEach(async function () {
+    await network.provider.request({
+      method: 'hardhat_reset',
+      params: [],
+    });
+    const [owner, addr1, addr2] = await ethers.getSigners();
+    const { wftmUsdcPair } = await deployProtofiFixture({ signers: [] });
+    const Treasury = await ethers.getContractFactory('ReaperTreasury');
+    treasury = await Treasury.deploy();
+    strategists = [addr1.address, addr2.address];
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reaper-deploy-'));
+    process.env.DEPLOYMENTS_DIR = path.join(workDir, 'deployments');
+    config = {
+      name: 'test-ftm-usdc',
+      want: wftmUsdcPair.address,
+      tokenName: 'Protofi FTM-USDC Vault',
+      tokenSymbol: 'rf-PF-FTM-USDC',
+      depositFee: 10,
+      tvlCap: '1000',
+      poolId: POOL_IDS.WFTM_USDC,
+      treasury: treasury.address,
+      strategistRemitter: owner.address,
+      strategists,
+    };
+    configPath = path.join(workDir, `${config.name}.json`);
+    fs.writeFileSync(configPath, JSON.stringify(config));
+  });
+
+  afterEach(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should deploy, link and record the vault and strategy', async function () {
+    await hre.run('deploy:vault', { vaultConfig: configPath });
+
+    const record = getDeployment('hardhat', config.name);
+    const vault = await ethers.getContractAt('ReaperVaultv1_3', record.vault);
+    const strategy = await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', record.strategy);
+
+    expect(await vault.initialized()).to.equal(true);
+    expect(await vault.strategy()).to.equal(strategy.address);
+    expect(await vault.token()).to.equal(config.want);
+    expect(await vault.depositFee()).to.equal(config.depositFee);
+    expect(await vault.tvlCap()).to.equal(ethers.utils.parseEther(config.tvlCap));
+    expect(await strategy.vault()).to.equal(vault.address);
+    expect(await strategy.want()).to.equal(config.want);
+    expect(await strategy.poolId()).to.equal(config.poolId);
+    expect(await strategy.treasury()).to.equal(treasury.address);
+    expect(await strategy.strategistRemitter()).to.equal(config.strategistRemitter);
+    for (const strategist of strategists) {
+      expect(await strategy.hasRole(await strategy.STRATEGIST(), strategist)).to.equal(true);
+    }
+    expect(record.strategyImplementation).to.equal(
+      await hre.upgrades.erc1967.getImplementationAddress(strategy.address),
+    );
+    expect(record.tvlCap).to.equal(ethers.utils.parseEther(config.tvlCap).toString());
+  });
+
+  it('should refuse to overwrite an existing record unless forced', async function () {
+    await hre.run('deploy:vault', { vaultConfig: configPath });
+    const { vault } = getDeployment('hardhat', config.name);
+
+    const error = await runAndCatch('deploy:vault', { vaultConfig: configPath });
+    expect(error.message).to.contain('already deployed');
+    expect(getDeployment('hardhat', config.name).vault).to.equal(vault);
+
+    await hre.run('deploy:vault', { vaultConfig: configPath, force: true });
+    expect(getDeployment('hardhat', config.name).vault).to.not.equal(vault);
+  });
+
+  it('should reject an invalid config before deploying anything', async function () {
+    fs.writeFileSync(configPath, JSON.stringify(Object.assign({}, config, { treasury: '0x1234', depositFee: 20000 })));
+    const nonce = await ethers.provider.getTransactionCount((await ethers.getSigners())[0].address);
+
+    const error = await runAndCatch('deploy:vault', { vaultConfig: configPath });
+    expect(error.message).to.contain('Invalid vault config');
+    expect(error.message).to.contain('"treasury" is not an address');
+    expect(error.message).to.contain('"depositFee" must be');
+    expect(await ethers.provider.getTransactionCount((await ethers.getSigners())[0].address)).to.equal(nonce);
+  });
+});
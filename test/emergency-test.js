@@ -0,0 +1,101 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { runAndCatch } = require('./fixtures/rejections');
+chai.use(solidity);
+const { expect } = chai;
+
+const ONE_DAY = 24 * 60 * 60;
+
+describe('Emergency', function () {
+  let fixture;
+  let vault;
+  let strategy;
+  let owner;
+  let depositor;
+
+  const deploy = async options => {
+    fixture = await deployVaultFixture({ protofi: options });
+    ({ vault, strategy, owner, depositor } = fixture);
+    await network.provider.send('hardhat_mine', ['0x20']);
+  };
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  it('should rehearse on a snapshot, then panic and recover stray tokens', async function () {
+    await deploy({ protonPerBlock: ethers.utils.parseEther('10') });
+    const { wftm } = fixture;
+    const deposited = await strategy.balanceOfPool();
+    // WFTM sent to the vault by mistake.
+    await wftm.connect(depositor).deposit({ value: ethers.utils.parseEther('3') });
+    await wftm.connect(depositor).transfer(vault.address, ethers.utils.parseEther('3'));
+
+    const rehearsal = await hre.run('emergency', { vault: VAULT, simulate: true, format: 'json' });
+    expect(rehearsal.ok).to.equal(true);
+    expect(rehearsal.steps.map(step => [step.step, step.method, step.status])).to.deep.equal([
+      ['withdraw', 'panic', 'done'],
+      ['confirm', null, 'done'],
+      ['recover', 'inCaseTokensGetStuck', 'done'],
+    ]);
+    expect(rehearsal.forfeited.pending).to.be.gt(0);
+    expect(await strategy.paused()).to.equal(false);
+    expect(await strategy.balanceOfPool()).to.equal(deposited);
+
+    const ownerWftm = await wftm.balanceOf(owner.address);
+    const report = await hre.run('emergency', { vault: VAULT, format: 'table' });
+    expect(report.ok).to.equal(true);
+    expect(report.snapshots.confirm.balanceOfPool).to.equal(0);
+    expect(report.snapshots.confirm.vaultAvailable).to.equal(report.snapshots.before.vaultBalance);
+    expect(report.loss.balanceBps).to.equal(0);
+    expect(report.loss.pricePerShareBps).to.equal(0);
+    expect(await strategy.paused()).to.equal(true);
+    expect(await vault.available()).to.equal(deposited);
+    expect((await wftm.balanceOf(owner.address)).sub(ownerWftm)).to.equal(ethers.utils.parseEther('3'));
+
+    // Why --retire replaces panic() instead of following it: retireStrat() redeposits, which reverts while paused.
+    await expect(strategy.callStatic.retireStrat()).to.be.revertedWith('Pausable: paused');
+  });
+
+  it('should retire with a harvest, or fall back to panic when retireStrat would revert', async function () {
+    await deploy({ protonPerBlock: ethers.utils.parseEther('10'), harvestInterval: ONE_DAY });
+    await strategy.harvest();
+    await network.provider.send('hardhat_mine', ['0x20']);
+
+    // Rewards are locked up, so retireStrat() claims no PROTO and the harvest tries to sell nothing.
+    await strategy.setMinProtoToSell(0);
+    const fallback = await hre.run('emergency', { vault: VAULT, retire: true, simulate: true, format: 'json' });
+    expect(fallback.fallback.from).to.equal('retireStrat');
+    expect(fallback.steps[0].method).to.equal('panic');
+    expect(fallback.forfeited.rewardLockedUp).to.be.gt(0);
+
+    await strategy.setMinProtoToSell(1000);
+    await network.provider.send('evm_increaseTime', [ONE_DAY]);
+    await network.provider.send('evm_mine');
+    const report = await hre.run('emergency', { vault: VAULT, retire: true, skipRecover: true, format: 'json' });
+    expect(report.fallback).to.equal(null);
+    expect(report.forfeited).to.equal(null);
+    expect(report.steps.map(step => step.method)).to.deep.equal(['retireStrat', null]);
+    expect(report.loss.balanceBps).to.be.lt(0);
+    expect(await strategy.paused()).to.equal(false);
+    expect(await strategy.balanceOfPool()).to.equal(0);
+  });
+
+  it('should refuse to run without the roles or with the want as a stray token', async function () {
+    await deploy();
+    const [, , , outsider] = await ethers.getSigners();
+
+    let error = await runAndCatch('emergency', { vault: VAULT, simulate: true, from: outsider.address });
+    expect(error.message).to.contain('Emergency preflight failed');
+    expect(error.message).to.contain('cannot call panic');
+    expect(error.message).to.contain(`vault owner is ${owner.address}`);
+
+    error = await runAndCatch('emergency', { vault: VAULT, tokens: fixture.wftmUsdcPair.address });
+    expect(error.message).to.contain('inCaseTokensGetStuck refuses the vault want');
+
+    error = await runAndCatch('emergency', { vault: VAULT, from: owner.address });
+    expect(error.message).to.contain('--from only applies with --simulate');
+  });
+});
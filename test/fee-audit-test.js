@@ -0,0 +1,156 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { auditHarvestReceipt, readFeeParams } = require('../lib/fee-audit');
+chai.use(solidity);
+const { expect } = chai;
+
+describe('Harvest fee audit', function () {
+  let fixture;
+  let strategy;
+  let wftm;
+  let treasury;
+  let owner;
+  let harvesters;
+  let harvestReceipts;
+
+  const mineBlocks = async count => {
+    for (let i = 0; i < count; i++) {
+      await network.provider.send('evm_mine');
+    }
+  };
+
+  before(async function () {
+    const [, , , addr3, addr4] = await ethers.getSigners();
+    harvesters = [addr3, addr4];
+    fixture = await deployVaultFixture({
+      protofi: { protonPerBlock: ethers.utils.parseEther('10') },
+      config: { depositFee: 0 },
+    });
+    ({ strategy, wftm, treasury, owner } = fixture);
+
+    harvestReceipts = [];
+    await mineBlocks(50);
+    harvestReceipts.push(await (await strategy.connect(harvesters[0]).harvest()).wait());
+    await strategy.updateFees(2000, 8000, 5000);
+    await strategy.updateTotalFee(300);
+    await mineBlocks(50);
+    harvestReceipts.push(await (await strategy.connect(harvesters[1]).harvest()).wait());
+  });
+
+  after(function () {
+    removeVaultFixture(fixture);
+  });
+
+  it('should attribute every fee transfer and match the settings of each harvest', async function () {
+    const report = await hre.run('report:fees', {
+      vault: VAULT,
+      format: 'json',
+      output: path.join(fixture.workDir, 'fees.json'),
+    });
+
+    expect(report.harvests).to.have.length(2);
+    expect(report.mismatches).to.equal(0);
+    const [first, second] = report.harvests;
+    expect(first.harvester).to.equal(harvesters[0].address);
+    expect(first.params.totalFee).to.equal(450);
+    expect(first.params.callFee).to.equal(1000);
+    expect(second.harvester).to.equal(harvesters[1].address);
+    expect(second.params.totalFee).to.equal(300);
+    expect(second.params.strategistFee).to.equal(5000);
+
+    for (const harvest of report.harvests) {
+      expect(harvest.wftmFee).to.be.gt(0);
+      expect(harvest.wftmFee).to.equal(harvest.charged.mul(harvest.params.totalFee).div(10000));
+      const { caller, treasury: treasuryShare, strategist } = harvest.parties;
+      expect(caller.actual).to.equal(harvest.wftmFee.mul(harvest.params.callFee).div(10000));
+      expect(strategist.recipient).to.equal(owner.address);
+      expect(treasuryShare.actual.add(strategist.actual)).to.equal(
+        harvest.wftmFee.mul(harvest.params.treasuryFee).div(10000),
+      );
+    }
+
+    expect(await wftm.balanceOf(treasury.address)).to.equal(report.totals.treasury);
+    expect(await wftm.balanceOf(harvesters[1].address)).to.equal(second.parties.caller.actual);
+    expect(report.totals.caller).to.equal(first.parties.caller.actual.add(second.parties.caller.actual));
+  });
+
+  it('should flag transfers that differ from the fee settings', async function () {
+    const receipt = harvestReceipts[0];
+    const blockTag = receipt.blockNumber - 1;
+    const params = await readFeeParams(strategy, blockTag);
+    const wftmBefore = await wftm.balanceOf(strategy.address, { blockTag });
+    const context = { strategy: strategy.address, wftm: wftm.address, harvester: harvesters[0].address, wftmBefore };
+    expect(auditHarvestReceipt(Object.assign({ receipt, params }, context)).mismatches).to.deep.equal([]);
+
+    // Skim one wei off the treasury transfer.
+    const transferTopic = wftm.interface.getEventTopic('Transfer');
+    const treasuryTopic = ethers.utils.hexZeroPad(treasury.address.toLowerCase(), 32);
+    const logs = receipt.logs.map(log => {
+      if (log.address !== wftm.address || log.topics[0] !== transferTopic || log.topics[2] !== treasuryTopic) {
+        return log;
+      }
+      const value = ethers.BigNumber.from(log.data).sub(1);
+      return Object.assign({}, log, { data: ethers.utils.hexZeroPad(value.toHexString(), 32) });
+    });
+    const skimmed = auditHarvestReceipt(
+      Object.assign({ receipt: Object.assign({}, receipt, { logs }), params }, context),
+    );
+    expect(skimmed.mismatches).to.have.length(1);
+    expect(skimmed.mismatches[0]).to.match(/^treasury: received \d+, expected \d+$/);
+
+    const otherTreasury = Object.assign({}, params, { treasury: harvesters[1].address });
+    const redirected = auditHarvestReceipt(Object.assign({ receipt, params: otherTreasury }, context));
+    expect(redirected.mismatches).to.deep.equal([
+      `treasury: paid to ${treasury.address}, expected ${harvesters[1].address}`,
+    ]);
+  });
+
+  it('should export one CSV row per harvest within the block range', async function () {
+    const output = path.join(fixture.workDir, 'fees.csv');
+    await hre.run('report:fees', {
+      vault: VAULT,
+      fromBlock: harvestReceipts[1].blockNumber,
+      format: 'csv',
+      output,
+      strict: true,
+    });
+
+    const lines = fs.readFileSync(output, 'utf8').trim().split('\n');
+    expect(lines[0]).to.equal(
+      'block,transaction,harvester,totalFee,callFee,treasuryFee,strategistFee,wftmFee,caller,treasury,strategist,status',
+    );
+    expect(lines).to.have.length(2);
+    const row = lines[1].split(',');
+    expect(row[0]).to.equal(String(harvestReceipts[1].blockNumber));
+    expect(row[2]).to.equal(harvesters[1].address);
+    expect(row[3]).to.equal('300');
+    expect(row[11]).to.equal('ok');
+  });
+
+  it('should not audit a harvest against state another transaction changed earlier in its block', async function () {
+    await mineBlocks(50);
+    await network.provider.send('evm_setAutomine', [false]);
+    let harvest;
+    try {
+      await strategy.updateTotalFee(200, { gasLimit: 200000 });
+      harvest = await strategy.connect(harvesters[0]).harvest({ gasLimit: 2000000 });
+      await network.provider.send('evm_mine');
+    } finally {
+      await network.provider.send('evm_setAutomine', [true]);
+    }
+    const receipt = await harvest.wait();
+
+    const output = path.join(fixture.workDir, 'same-block.txt');
+    const report = await hre.run('report:fees', { vault: VAULT, fromBlock: receipt.blockNumber, output, strict: true });
+    expect(report.harvests).to.have.length(1);
+    expect(report.mismatches).to.equal(0);
+    expect(report.unverifiable).to.equal(1);
+    expect(report.harvests[0].params.totalFee).to.equal(300);
+    expect(report.harvests[0].unverifiable).to.match(/^transaction 0x[0-9a-f]{64} touched the strategy earlier/);
+    expect(fs.readFileSync(output, 'utf8')).to.contain('0 with mismatches, 1 unverifiable');
+  });
+});
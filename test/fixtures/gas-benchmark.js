@@ -0,0 +1,83 @@
+const { ethers, network } = require('hardhat');
+
+// Blocks of rewards accrued before the benchmarks that harvest.
+const REWARD_BLOCKS = 100;
+
+const gasOf = async promise => (await (await promise).wait()).gasUsed.toNumber();
+
+const deposit = ({ vault, user, amount }) => vault.connect(user).deposit(amount);
+
+const accrueRewards = () => network.provider.send('hardhat_mine', [ethers.utils.hexValue(REWARD_BLOCKS)]);
+
+/**
+ * The vault and strategy entry points to measure. `setup` brings the chain to the state the call is
+ * measured in and is not counted; `run` sends the measured transaction.
+ */
+const BENCHMARKS = {
+  deposit: { run: deposit },
+  depositAll: { run: ({ vault, user }) => vault.connect(user).depositAll() },
+  withdraw: {
+    setup: deposit,
+    run: async ({ vault, user }) => vault.connect(user).withdraw((await vault.balanceOf(user.address)).div(2)),
+  },
+  withdrawAll: { setup: deposit, run: ({ vault, user }) => vault.connect(user).withdrawAll() },
+  earn: {
+    // LP sent straight to the vault sits idle until earn() moves it to the strategy.
+    setup: ({ vault, want, user, amount }) => want.connect(user).transfer(vault.address, amount),
+    run: ({ vault, user }) => vault.connect(user).earn(),
+  },
+  harvest: {
+    setup: async context => {
+      await (await deposit(context)).wait();
+      await accrueRewards();
+    },
+    run: ({ strategy, user }) => strategy.connect(user).harvest(),
+  },
+  harvestBelowMinProto: {
+    setup: async context => {
+      await (await deposit(context)).wait();
+      await context.strategy.connect(context.admin).setMinProtoToSell(ethers.constants.MaxUint256);
+      await accrueRewards();
+    },
+    run: ({ strategy, user }) => strategy.connect(user).harvest(),
+  },
+  panic: { setup: deposit, run: ({ strategy, admin }) => strategy.connect(admin).panic() },
+  retireStrat: {
+    setup: async context => {
+      await (await deposit(context)).wait();
+      await accrueRewards();
+    },
+    run: ({ strategy, admin }) => strategy.connect(admin).retireStrat(),
+  },
+};
+
+/**
+ * Measures the gas of every benchmark for every position size, each from the same chain state, which is
+ * restored afterwards. `context.positions` maps a size label to the depositor holding that much LP.
+ * Returns `{ "<benchmark>": { "<size>": gasUsed } }`.
+ */
+const runBenchmarks = async (context, benchmarks = BENCHMARKS) => {
+  const results = {};
+  for (const [name, benchmark] of Object.entries(benchmarks)) {
+    results[name] = {};
+    for (const [size, user] of Object.entries(context.positions)) {
+      const snapshot = await network.provider.send('evm_snapshot');
+      try {
+        const amount = await context.want.balanceOf(user.address);
+        const args = Object.assign({ user, amount }, context);
+        if (benchmark.setup) {
+          await benchmark.setup(args);
+        }
+        results[name][size] = await gasOf(benchmark.run(args));
+      } finally {
+        await network.provider.send('evm_revert', [snapshot]);
+      }
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  BENCHMARKS,
+  runBenchmarks,
+};
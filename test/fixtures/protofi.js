@@ -0,0 +1,167 @@
+const { ethers, network } = require('hardhat');
+const { WFTM, PROTO, PROTOFI_ROUTER, MASTER_CHEF } = require('../../lib/protofi');
+
+// Init code hash of the mainnet ProtofiPair, baked into ProtofiLibrary.pairFor().
+const MAINNET_PAIR_INIT_CODE_HASH = 'a54b3810a807182f90e62bddf3725278d880f639c9969465fd4d744e1849fed0';
+
+// Seed liquidity is locked here so signers only hold the LP the fixture hands out.
+const BURN_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+
+// Plain storage slots copied when planting a contract. Enough to cover every value
+// the reference constructors write outside of mappings.
+const PLANTED_STORAGE_SLOTS = 32;
+
+const POOL_IDS = {
+  PROTO_WFTM: 0,
+  PROTO: 1,
+  WFTM_USDC: 2,
+};
+
+const deadline = ethers.constants.MaxUint256;
+
+/**
+ * Copies the runtime code and the plain storage slots of a deployed contract to `target`
+ * and returns the contract attached to its new address.
+ */
+const plantAt = async (contract, target) => {
+  const code = await ethers.provider.getCode(contract.address);
+  await network.provider.send('hardhat_setCode', [target, code]);
+
+  for (let slot = 0; slot < PLANTED_STORAGE_SLOTS; slot++) {
+    const value = await ethers.provider.getStorageAt(contract.address, slot);
+    if (!ethers.BigNumber.from(value).isZero()) {
+      await network.provider.send('hardhat_setStorageAt', [target, ethers.utils.hexValue(slot), value]);
+    }
+  }
+
+  return contract.attach(target);
+};
+
+/**
+ * The router resolves pairs through a CREATE2 address computed from the pair init code hash.
+ * Our locally compiled ProtofiPair hashes differently from mainnet, so swap the constant in
+ * the router bytecode before deploying it.
+ */
+const deployRouter = async (factory, deployer) => {
+  const Router = await ethers.getContractFactory('ProtofiRouter', deployer);
+  const localHash = (await factory.INIT_CODE_PAIR_HASH()).slice(2);
+  const bytecode = Router.bytecode.split(MAINNET_PAIR_INIT_CODE_HASH).join(localHash);
+  const PatchedRouter = new ethers.ContractFactory(Router.interface, bytecode, deployer);
+  return PatchedRouter.deploy(factory.address, WFTM);
+};
+
+const getPair = async (factory, tokenA, tokenB) => {
+  const pairAddress = await factory.getPair(tokenA, tokenB);
+  return ethers.getContractAt('ProtofiPair', pairAddress);
+};
+
+/**
+ * Mints `wftmAmount` worth of WFTM-USDC LP to `signer` at the current pool ratio.
+ */
+const mintWftmUsdcLP = async ({ wftm, usdc, router, factory }, signer, wftmAmount) => {
+  const pair = await getPair(factory, wftm.address, usdc.address);
+  const [reserve0, reserve1] = await pair.getReserves();
+  const [wftmReserve, usdcReserve] =
+    (await pair.token0()) === wftm.address ? [reserve0, reserve1] : [reserve1, reserve0];
+  const usdcAmount = await router.quote(wftmAmount, wftmReserve, usdcReserve);
+
+  await wftm.connect(signer).deposit({ value: wftmAmount });
+  await usdc.mint(signer.address, usdcAmount);
+  await wftm.connect(signer).approve(router.address, wftmAmount);
+  await usdc.connect(signer).approve(router.address, usdcAmount);
+  await router
+    .connect(signer)
+    .addLiquidity(wftm.address, usdc.address, wftmAmount, usdcAmount, 0, 0, signer.address, deadline);
+
+  return pair.balanceOf(signer.address);
+};
+
+/**
+ * Deploys the ProtoFi stack shipped under reference/ onto a bare Hardhat network and plants
+ * WFTM, PROTO, the router and the MasterChef at the addresses the strategy hardcodes.
+ *
+ * MasterChef pools mirror the layout the strategy tests expect (see POOL_IDS), with
+ * WFTM-USDC at pid 2. Every signer in `options.signers` receives WFTM-USDC LP worth
+ * `options.wftmPerSigner` of WFTM.
+ */
+const deployProtofiFixture = async (options = {}) => {
+  const allSigners = await ethers.getSigners();
+  const {
+    deployer = allSigners[0],
+    signers = allSigners.slice(0, 5),
+    protonPerBlock = ethers.utils.parseEther('0.1'),
+    harvestInterval = 0,
+    wftmPerSigner = ethers.utils.parseEther('1000'),
+  } = options;
+
+  const MockWFTM = await ethers.getContractFactory('MockWFTM', deployer);
+  const MockERC20 = await ethers.getContractFactory('MockERC20', deployer);
+  const ProtonToken = await ethers.getContractFactory('ProtonToken', deployer);
+  const ElectronToken = await ethers.getContractFactory('ElectronToken', deployer);
+  const Factory = await ethers.getContractFactory('ProtofiFactory', deployer);
+  const MasterChef = await ethers.getContractFactory('ProtofiMasterChef', deployer);
+
+  const wftm = await plantAt(await MockWFTM.deploy(), WFTM);
+  const usdc = await MockERC20.deploy('USD Coin', 'USDC', 6);
+  const proto = await plantAt(await ProtonToken.deploy(), PROTO);
+  const electron = await ElectronToken.deploy(129600, 30);
+  await electron.setupProton(proto.address);
+  await proto.setupElectron(electron.address);
+
+  const factory = await Factory.deploy(ethers.constants.AddressZero, deployer.address, 15);
+  const router = await plantAt(await deployRouter(factory, deployer), PROTOFI_ROUTER);
+
+  // Seed liquidity: 1 PROTO = 0.025 WFTM, 1 WFTM = 2 USDC.
+  const protoLiquidity = ethers.utils.parseEther('200000');
+  const wftmForProto = ethers.utils.parseEther('5000');
+  const wftmForUsdc = ethers.utils.parseEther('2000');
+  const usdcLiquidity = ethers.utils.parseUnits('4000', 6);
+
+  await proto.mint(deployer.address, protoLiquidity);
+  await usdc.mint(deployer.address, usdcLiquidity);
+  await wftm.deposit({ value: wftmForProto.add(wftmForUsdc) });
+  await proto.approve(router.address, ethers.constants.MaxUint256);
+  await wftm.approve(router.address, ethers.constants.MaxUint256);
+  await usdc.approve(router.address, ethers.constants.MaxUint256);
+  await router.addLiquidity(proto.address, wftm.address, protoLiquidity, wftmForProto, 0, 0, BURN_ADDRESS, deadline);
+  await router.addLiquidity(wftm.address, usdc.address, wftmForUsdc, usdcLiquidity, 0, 0, BURN_ADDRESS, deadline);
+
+  const protoWftmPair = await getPair(factory, proto.address, wftm.address);
+  const wftmUsdcPair = await getPair(factory, wftm.address, usdc.address);
+
+  const startBlock = await ethers.provider.getBlockNumber();
+  const masterChef = await plantAt(
+    await MasterChef.deploy(
+      proto.address,
+      electron.address,
+      startBlock,
+      protonPerBlock,
+      deployer.address,
+      deployer.address,
+    ),
+    MASTER_CHEF,
+  );
+  await masterChef.add(1000, protoWftmPair.address, 0, harvestInterval, false);
+  await masterChef.add(500, proto.address, 0, harvestInterval, true);
+  await masterChef.add(1000, wftmUsdcPair.address, 0, harvestInterval, false);
+  await proto.transferOwnership(masterChef.address);
+  await electron.transferOwnership(masterChef.address);
+
+  const stack = { wftm, usdc, proto, electron, factory, router, masterChef, protoWftmPair, wftmUsdcPair };
+  for (const signer of signers) {
+    await mintWftmUsdcLP(stack, signer, wftmPerSigner);
+  }
+
+  return Object.assign({ deployer, signers, poolIds: POOL_IDS }, stack);
+};
+
+module.exports = {
+  WFTM,
+  PROTO,
+  PROTOFI_ROUTER,
+  MASTER_CHEF,
+  POOL_IDS,
+  plantAt,
+  mintWftmUsdcLP,
+  deployProtofiFixture,
+};
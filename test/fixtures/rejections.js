@@ -0,0 +1,30 @@
+const hre = require('hardhat');
+
+/**
+ * Resolves to the error `promise` rejects with, and fails when it resolves instead.
+ */
+const rejection = async promise => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected a rejection');
+};
+
+/**
+ * Runs the Hardhat task `taskName` and resolves to the error it fails with.
+ */
+const runAndCatch = async (taskName, args) => {
+  try {
+    await hre.run(taskName, args);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${taskName} was expected to fail`);
+};
+
+module.exports = {
+  rejection,
+  runAndCatch,
+};
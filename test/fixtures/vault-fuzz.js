@@ -0,0 +1,350 @@
+const { ethers, network } = require('hardhat');
+
+const PERCENT_DIVISOR = 10000;
+
+/**
+ * Seeded PRNG (mulberry32). The same seed always yields the same sequence of actions.
+ */
+const createRandom = seed => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return { next, int: max => Math.floor(next() * max) };
+};
+
+// Amounts are fractions (in basis points) of what the user holds when the step runs, so a sequence stays
+// meaningful after shrinking removes the steps before it.
+const ACTIONS = {
+  deposit: {
+    weight: 6,
+    generate: (random, users) => ({ user: random.int(users), bps: 1 + random.int(PERCENT_DIVISOR) }),
+  },
+  depositAll: { weight: 2, generate: (random, users) => ({ user: random.int(users) }) },
+  withdraw: {
+    weight: 6,
+    generate: (random, users) => ({ user: random.int(users), bps: 1 + random.int(PERCENT_DIVISOR) }),
+  },
+  withdrawAll: { weight: 2, generate: (random, users) => ({ user: random.int(users) }) },
+  harvest: { weight: 4, generate: (random, users) => ({ user: random.int(users) }) },
+  timeSkip: {
+    weight: 4,
+    generate: random => ({ seconds: 1 + random.int(7 * 24 * 3600), blocks: 1 + random.int(500) }),
+  },
+  pause: { weight: 1, generate: () => ({}) },
+  unpause: { weight: 2, generate: () => ({}) },
+  panic: { weight: 1, generate: () => ({}) },
+};
+const TOTAL_WEIGHT = Object.values(ACTIONS).reduce((sum, action) => sum + action.weight, 0);
+
+/**
+ * Generates `steps` random actions for `users` depositors from `seed`.
+ */
+const generateSequence = (seed, { steps, users }) => {
+  const random = createRandom(seed);
+  const sequence = [];
+  for (let i = 0; i < steps; i++) {
+    let roll = random.int(TOTAL_WEIGHT);
+    const [type, action] = Object.entries(ACTIONS).find(([, candidate]) => (roll -= candidate.weight) < 0);
+    sequence.push(Object.assign({ type }, action.generate(random, users)));
+  }
+  return sequence;
+};
+
+const describeAction = action => {
+  const args = Object.entries(action)
+    .filter(([key]) => key !== 'type')
+    .map(([key, value]) => `${key}=${value}`);
+  return `${action.type}(${args.join(', ')})`;
+};
+
+const readState = async ({ vault, strategy, want, users }) => {
+  const state = {
+    paused: await strategy.paused(),
+    tvlCap: await vault.tvlCap(),
+    depositFee: await vault.depositFee(),
+    securityFee: await strategy.securityFee(),
+    balance: await vault.balance(),
+    available: await vault.available(),
+    strategyBalance: await strategy.balanceOf(),
+    strategyWant: await want.balanceOf(strategy.address),
+    totalSupply: await vault.totalSupply(),
+    users: [],
+  };
+  for (const user of users) {
+    state.users.push({ want: await want.balanceOf(user.address), shares: await vault.balanceOf(user.address) });
+  }
+  return state;
+};
+
+const redeemable = (state, shares) => state.balance.mul(shares).div(state.totalSupply);
+
+/**
+ * Invariants checked after every step. Each returns a description of the violation, or nothing.
+ */
+const INVARIANTS = [
+  function balanceAccounting({ after }) {
+    if (!after.balance.eq(after.available.add(after.strategyBalance))) {
+      return `balance() ${after.balance} != available() ${after.available} + strategy.balanceOf() ${after.strategyBalance}`;
+    }
+  },
+  function shareSupply({ after }) {
+    const held = after.users.reduce((sum, user) => sum.add(user.shares), ethers.constants.Zero);
+    if (!held.eq(after.totalSupply)) {
+      return `depositors hold ${held} shares, totalSupply() is ${after.totalSupply}`;
+    }
+  },
+  function redeemableAssets({ after }) {
+    if (after.totalSupply.isZero()) {
+      return;
+    }
+    const total = after.users.reduce((sum, user) => sum.add(redeemable(after, user.shares)), ethers.constants.Zero);
+    if (total.gt(after.balance)) {
+      return `depositors can redeem ${total}, the vault holds ${after.balance}`;
+    }
+  },
+  function pricePerShare({ before, after }) {
+    // Compares balance / totalSupply exactly, without the rounding of getPricePerFullShare().
+    if (before.totalSupply.isZero() || after.totalSupply.isZero()) {
+      return;
+    }
+    if (after.balance.mul(before.totalSupply).lt(before.balance.mul(after.totalSupply))) {
+      return `price per share dropped from ${before.balance}/${before.totalSupply} to ${after.balance}/${after.totalSupply}`;
+    }
+  },
+];
+
+/**
+ * Whether `action` must revert given the chain state before it, and what it should do otherwise.
+ */
+const expectations = {
+  deposit(action, before, amount) {
+    const user = before.users[action.user];
+    if (amount.isZero()) {
+      return { revert: 'zero amount' };
+    }
+    if (before.balance.add(amount).gt(before.tvlCap)) {
+      return { revert: 'above tvlCap' };
+    }
+    if (before.paused) {
+      return { revert: 'strategy paused' };
+    }
+    const afterFee = amount.mul(PERCENT_DIVISOR - before.depositFee.toNumber()).div(PERCENT_DIVISOR);
+    const shares = before.totalSupply.isZero() ? afterFee : afterFee.mul(before.totalSupply).div(before.balance);
+    return { want: user.want.sub(amount), shares: user.shares.add(shares) };
+  },
+  withdraw(action, before, shares) {
+    const user = before.users[action.user];
+    if (shares.isZero()) {
+      return { revert: 'zero shares' };
+    }
+    let received = redeemable(before, shares);
+    if (before.available.lt(received)) {
+      // The strategy charges securityFee on what it sends back.
+      const fromStrategy = received.sub(before.available);
+      received = received.sub(fromStrategy.mul(before.securityFee).div(PERCENT_DIVISOR));
+    }
+    return { want: user.want.add(received), shares: user.shares.sub(shares) };
+  },
+};
+
+const checkUser = (expected, after, action) => {
+  const user = after.users[action.user];
+  if (!user.want.eq(expected.want)) {
+    return `user ${action.user} holds ${user.want} want, expected ${expected.want}`;
+  }
+  if (!user.shares.eq(expected.shares)) {
+    return `user ${action.user} holds ${user.shares} shares, expected ${expected.shares}`;
+  }
+};
+
+const send = async promise => (await promise).wait();
+
+/**
+ * Runs one action. Returns what it was expected to do ({ revert } or the depositor's balances after it)
+ * and the revert reason if it reverted.
+ */
+const runAction = async (context, action, before) => {
+  const { vault, strategy, users, admin } = context;
+  const user = users[action.user];
+  let expected = {};
+  let call;
+  switch (action.type) {
+    case 'deposit':
+    case 'depositAll': {
+      const amount =
+        action.type === 'deposit'
+          ? before.users[action.user].want.mul(action.bps).div(PERCENT_DIVISOR)
+          : before.users[action.user].want;
+      expected = expectations.deposit(action, before, amount);
+      call = () =>
+        send(action.type === 'deposit' ? vault.connect(user).deposit(amount) : vault.connect(user).depositAll());
+      break;
+    }
+    case 'withdraw':
+    case 'withdrawAll': {
+      const shares =
+        action.type === 'withdraw'
+          ? before.users[action.user].shares.mul(action.bps).div(PERCENT_DIVISOR)
+          : before.users[action.user].shares;
+      expected = expectations.withdraw(action, before, shares);
+      call = () =>
+        send(action.type === 'withdraw' ? vault.connect(user).withdraw(shares) : vault.connect(user).withdrawAll());
+      break;
+    }
+    case 'harvest':
+      expected = before.paused ? { revert: 'strategy paused' } : {};
+      call = () => send(strategy.connect(user).harvest());
+      break;
+    case 'pause':
+    case 'panic':
+      expected = before.paused ? { revert: 'strategy paused' } : {};
+      call = () => send(strategy.connect(admin)[action.type]());
+      break;
+    case 'unpause':
+      expected = before.paused ? {} : { revert: 'strategy not paused' };
+      call = () => send(strategy.connect(admin).unpause());
+      break;
+    case 'timeSkip':
+      call = async () => {
+        await network.provider.send('evm_increaseTime', [action.seconds]);
+        await network.provider.send('hardhat_mine', [ethers.utils.hexValue(action.blocks)]);
+      };
+      break;
+    default:
+      throw new Error(`Unknown fuzz action ${action.type}`);
+  }
+
+  try {
+    await call();
+  } catch (error) {
+    return { expected, reverted: error.reason || error.message };
+  }
+  return { expected };
+};
+
+/**
+ * Runs `sequence` from the current chain state and checks `invariants` after every step. The chain is
+ * reverted to where it was once the sequence ends. Returns { ok: true } or the first failing step.
+ */
+const runSequence = async (context, sequence, invariants = INVARIANTS) => {
+  const snapshot = await network.provider.send('evm_snapshot');
+  try {
+    let before = await readState(context);
+    for (let step = 0; step < sequence.length; step++) {
+      const action = sequence[step];
+      const fail = message => ({ ok: false, step, action, message });
+      const { expected, reverted } = await runAction(context, action, before);
+      if (reverted && !expected.revert) {
+        return fail(`${action.type} reverted: ${reverted}`);
+      }
+      if (!reverted && expected.revert) {
+        return fail(`${action.type} succeeded, expected a revert (${expected.revert})`);
+      }
+      const after = await readState(context);
+      if (!reverted && expected.want) {
+        const message = checkUser(expected, after, action);
+        if (message) {
+          return fail(message);
+        }
+      }
+      for (const invariant of invariants) {
+        const message = invariant({ before, after, action });
+        if (message) {
+          return fail(`${invariant.name}: ${message}`);
+        }
+      }
+      before = after;
+    }
+    return { ok: true };
+  } finally {
+    await network.provider.send('evm_revert', [snapshot]);
+  }
+};
+
+// Simpler variants of an action, tried while shrinking.
+const simplify = action => {
+  const candidates = [];
+  if (action.bps !== undefined && action.bps !== PERCENT_DIVISOR) {
+    candidates.push(Object.assign({}, action, { bps: PERCENT_DIVISOR }));
+  }
+  if (action.user > 0) {
+    candidates.push(Object.assign({}, action, { user: 0 }));
+  }
+  if (action.type === 'timeSkip' && (action.seconds > 1 || action.blocks > 1)) {
+    candidates.push(Object.assign({}, action, { seconds: 1, blocks: 1 }));
+  }
+  return candidates;
+};
+
+/**
+ * Shrinks a failing sequence: drops the steps after the failure, then chunks of steps (halving the chunk
+ * size down to one step), then simplifies the remaining actions, keeping every change that still fails.
+ * The failure may change along the way; the one returned belongs to the shrunk sequence.
+ */
+const shrinkSequence = async (context, sequence, failure, invariants = INVARIANTS) => {
+  let current = sequence.slice(0, failure.step + 1);
+  let currentFailure = failure;
+  const attempt = async candidate => {
+    const result = await runSequence(context, candidate, invariants);
+    if (!result.ok) {
+      current = candidate.slice(0, result.step + 1);
+      currentFailure = result;
+      return true;
+    }
+    return false;
+  };
+
+  for (let size = Math.floor(current.length / 2); size >= 1; size = Math.floor(size / 2)) {
+    for (let start = 0; start < current.length; ) {
+      if (current.length <= 1 || !(await attempt(current.slice(0, start).concat(current.slice(start + size))))) {
+        start += size;
+      }
+    }
+  }
+  for (let index = 0; index < current.length; index++) {
+    for (const candidate of simplify(current[index])) {
+      if (await attempt(current.slice(0, index).concat([candidate], current.slice(index + 1)))) {
+        break;
+      }
+    }
+  }
+  return { sequence: current, failure: currentFailure };
+};
+
+/**
+ * Runs `runs` random sequences of `steps` actions, seeded `seed`, `seed + 1`, ... and shrinks the first
+ * one that fails. Returns { ok: true } or { ok: false, seed, original, sequence, failure }.
+ */
+const fuzzVault = async (context, { seed, runs, steps, invariants = INVARIANTS }) => {
+  for (let run = 0; run < runs; run++) {
+    const original = generateSequence(seed + run, { steps, users: context.users.length });
+    const result = await runSequence(context, original, invariants);
+    if (!result.ok) {
+      const shrunk = await shrinkSequence(context, original, result, invariants);
+      return Object.assign({ ok: false, seed: seed + run, original }, shrunk);
+    }
+  }
+  return { ok: true };
+};
+
+const formatFailure = ({ seed, original, sequence, failure }) =>
+  [
+    `Seed ${seed} failed at step ${failure.step} of ${original.length}: ${failure.message}`,
+    `Shrunk to ${sequence.length} steps:`,
+    ...sequence.map((action, index) => `  ${index}. ${describeAction(action)}`),
+  ].join('\n');
+
+module.exports = {
+  INVARIANTS,
+  generateSequence,
+  describeAction,
+  runSequence,
+  shrinkSequence,
+  fuzzVault,
+  formatFailure,
+};
@@ -0,0 +1,90 @@
+const hre = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deployProtofiFixture, POOL_IDS } = require('./protofi');
+
+const { ethers, network } = hre;
+
+// Name the tests deploy the vault under, as the tasks look it up with --vault.
+const VAULT = 'test-ftm-usdc';
+
+/**
+ * Resets the Hardhat network and deploys the WFTM-USDC vault with deploy:vault, recording it under a
+ * temporary DEPLOYMENTS_DIR so the tasks find it as VAULT. The first three signers are the owner (also
+ * the strategist remitter), the strategist and the depositor.
+ *
+ * `overrides`:
+ * - `protofi`: options for deployProtofiFixture(), which hands out LP to the depositor by default
+ * - `config`: vault config fields replacing the defaults
+ * - `deposit`: whether the depositor deposits all of their LP once the vault is up (default true)
+ *
+ * Every signer that received LP has approved the vault. Returns the ProtoFi fixture together with
+ * `vault`, `strategy`, `treasury`, `record`, `config`, `workDir`, `owner`, `strategist` and `depositor`;
+ * pass it to removeVaultFixture() once the tests are done.
+ */
+const deployVaultFixture = async (overrides = {}) => {
+  await network.provider.request({
+    method: 'hardhat_reset',
+    params: [],
+  });
+  const [owner, strategist, depositor] = await ethers.getSigners();
+  const protofi = await deployProtofiFixture(Object.assign({ signers: [depositor] }, overrides.protofi));
+  const Treasury = await ethers.getContractFactory('ReaperTreasury');
+  const treasury = await Treasury.deploy();
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reaper-test-'));
+  process.env.DEPLOYMENTS_DIR = path.join(workDir, 'deployments');
+  const config = Object.assign(
+    {
+      want: protofi.wftmUsdcPair.address,
+      tokenName: 'Protofi FTM-USDC Vault',
+      tokenSymbol: 'rf-PF-FTM-USDC',
+      depositFee: 10,
+      tvlCap: 'max',
+      poolId: POOL_IDS.WFTM_USDC,
+      treasury: treasury.address,
+      strategistRemitter: owner.address,
+      strategists: [strategist.address],
+    },
+    overrides.config,
+  );
+  const configPath = path.join(workDir, `${VAULT}.json`);
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  const record = await hre.run('deploy:vault', { vaultConfig: configPath });
+  const vault = await ethers.getContractAt('ReaperVaultv1_3', record.vault);
+  const strategy = await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', record.strategy);
+
+  for (const signer of protofi.signers) {
+    await protofi.wftmUsdcPair.connect(signer).approve(vault.address, ethers.constants.MaxUint256);
+  }
+  if (overrides.deposit !== false) {
+    await vault.connect(depositor).depositAll();
+  }
+
+  return Object.assign({}, protofi, {
+    vault,
+    strategy,
+    treasury,
+    record,
+    config,
+    workDir,
+    owner,
+    strategist,
+    depositor,
+  });
+};
+
+/**
+ * Undoes what deployVaultFixture() left outside the chain: DEPLOYMENTS_DIR and the temporary directory.
+ */
+const removeVaultFixture = ({ workDir }) => {
+  delete process.env.DEPLOYMENTS_DIR;
+  fs.rmSync(workDir, { recursive: true, force: true });
+};
+
+module.exports = {
+  VAULT,
+  deployVaultFixture,
+  removeVaultFixture,
+};
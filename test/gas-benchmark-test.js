@@ -0,0 +1,75 @@
+const chai = require('chai');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { mintWftmUsdcLP } = require('./fixtures/protofi');
+const { deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { runBenchmarks } = require('./fixtures/gas-benchmark');
+const { loadGasBaseline, saveGasBaseline, compareGas, formatGasDiff } = require('../lib/gas-benchmark');
+chai.use(solidity);
+const { expect } = chai;
+
+// Position sizes, in WFTM worth of LP, each held by its own depositor.
+const SIZES = ['1', '100', '1000'];
+const BASELINE = process.env.GAS_BASELINE || path.join(__dirname, 'gas-baseline.json');
+const TOLERANCE = Number(process.env.GAS_TOLERANCE || 5);
+
+describe('Gas benchmarks', function () {
+  let fixture;
+  let context;
+
+  before(async function () {
+    const [, , , ...depositors] = await ethers.getSigners();
+    fixture = await deployVaultFixture();
+    const { vault, strategy, strategist, wftmUsdcPair } = fixture;
+
+    // Measure against a vault already in use, so no call pays for storage written the first time.
+    await network.provider.send('hardhat_mine', ['0x64']);
+    await strategy.harvest();
+
+    const positions = {};
+    for (const [i, size] of SIZES.entries()) {
+      const user = depositors[i];
+      await mintWftmUsdcLP(fixture, user, ethers.utils.parseEther(size));
+      await wftmUsdcPair.connect(user).approve(vault.address, ethers.constants.MaxUint256);
+      positions[size] = user;
+    }
+    context = { vault, strategy, want: wftmUsdcPair, admin: strategist, positions };
+  });
+
+  after(function () {
+    removeVaultFixture(fixture);
+  });
+
+  it('should stay within the tolerance of the stored baseline', async function () {
+    const results = await runBenchmarks(context);
+    const baseline = loadGasBaseline(BASELINE);
+    if (!baseline || process.env.GAS_UPDATE) {
+      saveGasBaseline(BASELINE, results);
+      console.log(`Gas baseline written to ${BASELINE}`);
+      return;
+    }
+
+    const rows = compareGas(baseline, results, { tolerance: TOLERANCE });
+    console.log(formatGasDiff(rows));
+    const regressions = rows
+      .filter(row => row.status === 'regressed')
+      .map(row => `${row.function} (${row.size}): ${row.baseline} -> ${row.current} (${row.change})`);
+    expect(regressions, `gas regressed by more than ${TOLERANCE}%`).to.deep.equal([]);
+  });
+
+  it('should flag entries past the tolerance', function () {
+    const baseline = { deposit: { 1: 100000, 100: 100000 }, panic: { 1: 50000 } };
+    const results = { deposit: { 1: 104000, 100: 110000 }, harvest: { 1: 300000 } };
+    const rows = compareGas(baseline, results, { tolerance: 5 });
+
+    expect(rows.map(row => [row.function, row.size, row.status])).to.deep.equal([
+      ['deposit', '1', 'ok'],
+      ['deposit', '100', 'regressed'],
+      ['harvest', '1', 'new'],
+      ['panic', '1', 'removed'],
+    ]);
+    expect(rows[1].diff).to.equal(10000);
+    expect(rows[1].change).to.equal('+10.00%');
+    expect(formatGasDiff(rows)).to.contain('regressed');
+  });
+});
@@ -0,0 +1,72 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const { solidity } = require('ethereum-waffle');
+const { PROTO, WFTM } = require('./fixtures/protofi');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+chai.use(solidity);
+const { expect } = chai;
+
+describe('Harvest simulation', function () {
+  let fixture;
+  let strategy;
+  let usdc;
+
+  beforeEach(async function () {
+    fixture = await deployVaultFixture({ protofi: { protonPerBlock: ethers.utils.parseEther('10') } });
+    ({ strategy, usdc } = fixture);
+    for (let i = 0; i < 50; i++) {
+      await network.provider.send('evm_mine');
+    }
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  const chainState = async () => ({
+    block: await ethers.provider.getBlockNumber(),
+    balance: (await strategy.balanceOf()).toString(),
+    lastHarvest: (await strategy.lastHarvestTimestamp()).toString(),
+  });
+
+  it('should report every swap leg and leave the chain untouched', async function () {
+    const before = await chainState();
+    const report = await hre.run('harvest:simulate', { vault: VAULT, format: 'json' });
+    expect(await chainState()).to.deep.equal(before);
+
+    const [rewards, liquidity] = report.legs;
+    expect(report.legs).to.have.length(2);
+    expect([rewards.tokenIn, rewards.tokenOut]).to.deep.equal([PROTO, WFTM]);
+    expect([liquidity.tokenIn, liquidity.tokenOut]).to.deep.equal([WFTM, usdc.address]);
+
+    // PROTO burns 1.8% on transfer, so the pair receives less than the strategy sent.
+    expect(rewards.amountIn).to.equal(rewards.sent.sub(rewards.sent.mul(18).div(1000)));
+    const amountInWithFee = rewards.amountIn.mul(9985);
+    expect(rewards.realized).to.equal(
+      amountInWithFee.mul(rewards.reserveOut).div(rewards.reserveIn.mul(10000).add(amountInWithFee)),
+    );
+    for (const leg of report.legs) {
+      expect(leg.quoted).to.be.gte(leg.realized);
+      expect(leg.spot).to.be.gt(leg.realized);
+      expect(leg.priceImpactBps).to.be.gt(0);
+    }
+
+    // The simulation mines one block before harvesting, so a real harvest at the same height matches it.
+    await network.provider.send('evm_mine');
+    await strategy.harvest();
+    expect((await strategy.balanceOf()).sub(before.balance)).to.equal(report.wantAdded);
+  });
+
+  it('should quantify the loss to a front-run of the reward swap', async function () {
+    const before = await chainState();
+    const { frontRuns } = await hre.run('harvest:simulate', { vault: VAULT, frontRun: '1,10', format: 'json' });
+    expect(await chainState()).to.deep.equal(before);
+
+    const [small, large] = frontRuns;
+    expect(small.legLoss).to.be.gt(0);
+    expect(large.legLoss).to.be.gt(small.legLoss);
+    expect(large.legLossBps).to.be.gt(small.legLossBps);
+    expect(large.wantLoss).to.be.gt(small.wantLoss);
+    expect(small.wantLoss).to.be.gt(0);
+  });
+});
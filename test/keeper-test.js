@@ -0,0 +1,118 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { runKeeperRound } = require('../lib/keeper');
+chai.use(solidity);
+const { expect } = chai;
+
+const MIN_HARVEST_INTERVAL = 3600;
+const GAS_PRICE = ethers.utils.parseUnits('100', 'gwei');
+
+describe('Harvest keeper', function () {
+  let fixture;
+  let keeper;
+  let strategy;
+  let target;
+  let logs;
+
+  beforeEach(async function () {
+    [, , , keeper] = await ethers.getSigners();
+    fixture = await deployVaultFixture({ protofi: { protonPerBlock: ethers.utils.parseEther('10') } });
+    strategy = fixture.strategy;
+    await strategy.harvest();
+    target = {
+      name: VAULT,
+      strategy,
+      minHarvestInterval: MIN_HARVEST_INTERVAL,
+      minCallFeeToGasRatio: 1,
+    };
+    logs = [];
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  const increaseTime = async seconds => {
+    await network.provider.send('evm_increaseTime', [seconds]);
+    await network.provider.send('evm_mine');
+  };
+
+  const mineBlocks = async count => {
+    for (let i = 0; i < count; i++) {
+      await network.provider.send('evm_mine');
+    }
+  };
+
+  const runRound = async (options = {}) => {
+    const log = (event, fields) => logs.push(Object.assign({ event }, fields));
+    const [decision] = await runKeeperRound(
+      [target],
+      Object.assign({ signer: keeper, gasPrice: GAS_PRICE, log }, options),
+    );
+    return decision;
+  };
+
+  it('should wait for the minimum interval since the last harvest', async function () {
+    let decision = await runRound();
+    expect(decision.action).to.equal('skip');
+    expect(decision.reason).to.equal('too-soon');
+    expect(decision.profit).to.equal(undefined);
+
+    await increaseTime(MIN_HARVEST_INTERVAL);
+    decision = await runRound();
+    expect(decision.reason).to.not.equal('too-soon');
+    expect(decision.sinceLastHarvest).to.be.gte(MIN_HARVEST_INTERVAL);
+  });
+
+  it('should harvest once the call fee covers the gas cost', async function () {
+    await increaseTime(MIN_HARVEST_INTERVAL);
+    let decision = await runRound();
+    expect(decision.reason).to.equal('unprofitable');
+    expect(decision.callFeeToUser).to.be.lt(decision.gasCost);
+
+    await mineBlocks(200);
+    const lastHarvest = await strategy.lastHarvestTimestamp();
+    decision = await runRound();
+    expect(decision.action).to.equal('harvest');
+    expect(decision.callFeeToUser).to.be.gte(decision.gasCost);
+    expect(decision.gasCost).to.equal(decision.gasEstimate.mul(GAS_PRICE));
+
+    const receipt = await ethers.provider.getTransactionReceipt(decision.txHash);
+    expect(receipt.from).to.equal(keeper.address);
+    expect(await strategy.lastHarvestTimestamp()).to.be.gt(lastHarvest);
+    expect(logs.map(entry => entry.event)).to.deep.equal(['decision', 'decision', 'harvested']);
+  });
+
+  it('should only log decisions in dry-run mode', async function () {
+    await increaseTime(MIN_HARVEST_INTERVAL);
+    await mineBlocks(200);
+    const lastHarvest = await strategy.lastHarvestTimestamp();
+    const nonce = await ethers.provider.getTransactionCount(keeper.address);
+
+    const decision = await runRound({ dryRun: true });
+    expect(decision.action).to.equal('harvest');
+    expect(decision.txHash).to.equal(undefined);
+    expect(logs).to.have.length(1);
+    expect(logs[0].dryRun).to.equal(true);
+    expect(await strategy.lastHarvestTimestamp()).to.equal(lastHarvest);
+    expect(await ethers.provider.getTransactionCount(keeper.address)).to.equal(nonce);
+  });
+
+  it('should run rounds for the strategies in the keeper config', async function () {
+    const keeperConfig = path.join(fixture.workDir, 'keeper.json');
+    fs.writeFileSync(
+      keeperConfig,
+      JSON.stringify({ pollInterval: 0, minHarvestInterval: 0, strategies: [{ vault: VAULT }] }),
+    );
+    await mineBlocks(200);
+    const lastHarvest = await strategy.lastHarvestTimestamp();
+
+    await hre.run('keeper:run', { keeperConfig, rounds: 2, gasPrice: '100' });
+
+    expect(await strategy.lastHarvestTimestamp()).to.be.gt(lastHarvest);
+  });
+});
@@ -0,0 +1,185 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { POOL_IDS } = require('./fixtures/protofi');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { loadMonitorConfig, createSink, createMonitorState, runMonitorRound } = require('../lib/monitor');
+chai.use(solidity);
+const { expect } = chai;
+
+describe('Health monitor', function () {
+  let fixture;
+  let vault;
+  let strategy;
+  let depositor;
+  let server;
+  let webhookUrl;
+  let received;
+  let webhookStatus;
+
+  before(async function () {
+    // Local stand-in for a webhook receiver.
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => (body += chunk));
+      request.on('end', () => {
+        received.push(JSON.parse(body));
+        response.writeHead(webhookStatus);
+        response.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    webhookUrl = `http://127.0.0.1:${server.address().port}/alerts`;
+  });
+
+  after(async function () {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async function () {
+    fixture = await deployVaultFixture({ config: { depositFee: 0 }, deposit: false });
+    ({ vault, strategy, depositor } = fixture);
+    const amount = (await fixture.wftmUsdcPair.balanceOf(depositor.address)).div(2);
+    await vault.connect(depositor).deposit(amount);
+    await strategy.harvest();
+
+    received = [];
+    webhookStatus = 200;
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  const writeConfig = (config, name = 'monitor.json') => {
+    const file = path.join(fixture.workDir, name);
+    fs.writeFileSync(
+      file,
+      JSON.stringify(
+        Object.assign(
+          {
+            vaults: [{ vault: VAULT }],
+            sinks: [
+              { type: 'file', path: path.join(fixture.workDir, 'alerts.log') },
+              { type: 'webhook', url: webhookUrl },
+            ],
+          },
+          config,
+        ),
+      ),
+    );
+    return file;
+  };
+
+  const createMonitor = config => {
+    const loaded = loadMonitorConfig(writeConfig(config));
+    const targets = loaded.vaults.map(entry => Object.assign({ vault, strategy }, entry));
+    const state = createMonitorState();
+    const logs = [];
+    const options = {
+      state,
+      sinks: loaded.sinks.map(sink => createSink(sink)),
+      renotifyAfter: loaded.renotifyAfter,
+      log: (event, fields) => logs.push(Object.assign({ event }, fields)),
+    };
+    return { round: () => runMonitorRound(targets, options), logs };
+  };
+
+  const summary = notifications => notifications.map(notification => `${notification.status} ${notification.rule}`);
+
+  it('should alert once per incident and notify recovery', async function () {
+    const monitor = createMonitor({ renotifyAfter: 3600 });
+    expect(await monitor.round()).to.deep.equal([]);
+
+    await strategy.pause();
+    let notifications = await monitor.round();
+    expect(summary(notifications)).to.deep.equal(['alert strategyPaused']);
+    expect(notifications[0]).to.deep.include({ severity: 'critical', vault: VAULT, strategy: strategy.address });
+
+    // Still paused: de-duplicated until renotifyAfter has passed.
+    expect(await monitor.round()).to.deep.equal([]);
+    await network.provider.send('evm_increaseTime', [3600]);
+    await network.provider.send('evm_mine');
+    notifications = await monitor.round();
+    expect(summary(notifications)).to.deep.equal(['alert strategyPaused']);
+    expect(notifications[0].since).to.be.lt(notifications[0].timestamp);
+
+    await strategy.unpause();
+    expect(summary(await monitor.round())).to.deep.equal(['recovered strategyPaused']);
+    expect(await monitor.round()).to.deep.equal([]);
+
+    const lines = fs
+      .readFileSync(path.join(fixture.workDir, 'alerts.log'), 'utf8')
+      .trim()
+      .split('\n')
+      .map(line => JSON.parse(line));
+    expect(summary(lines)).to.deep.equal(['alert strategyPaused', 'alert strategyPaused', 'recovered strategyPaused']);
+    expect(received).to.deep.equal(lines);
+  });
+
+  it('should watch the cap, idle funds, harvest age and MasterChef emissions', async function () {
+    const monitor = createMonitor({ rules: { tvlCap: { usage: 0.9 }, staleHarvest: { maxAge: 86400 } } });
+    await monitor.round();
+
+    const balance = await vault.balance();
+    await vault.updateTvlCap(balance.add(balance.div(20)));
+    await fixture.wftmUsdcPair.connect(depositor).transfer(vault.address, balance.div(10));
+    await fixture.masterChef.updateEmissionRate(ethers.utils.parseEther('0.2'));
+    await network.provider.send('evm_increaseTime', [86401]);
+    await network.provider.send('evm_mine');
+
+    const notifications = await monitor.round();
+    expect(summary(notifications)).to.deep.equal([
+      'alert emissionChange',
+      'alert tvlCap',
+      'alert staleHarvest',
+      'alert idleFunds',
+    ]);
+    expect(notifications[0].message).to.equal(
+      `MasterChef pool ${POOL_IDS.WFTM_USDC} changed: protonPerBlock 100000000000000000 -> 200000000000000000`,
+    );
+    expect(notifications[2].message).to.match(/^no harvest for 24\.0h, limit 24\.0h$/);
+
+    // A harvest clears the harvest age, earn() stakes the idle funds.
+    await vault.earn();
+    await strategy.harvest();
+    expect(summary(await monitor.round())).to.deep.equal(['recovered staleHarvest', 'recovered idleFunds']);
+  });
+
+  it('should keep alerting the other sinks when the webhook fails', async function () {
+    webhookStatus = 500;
+    const monitor = createMonitor({ rules: { staleHarvest: false } });
+    await strategy.pause();
+    expect(summary(await monitor.round())).to.deep.equal(['alert strategyPaused']);
+    expect(monitor.logs).to.have.length(1);
+    expect(monitor.logs[0]).to.deep.include({ event: 'sink-failed', sink: 1, rule: 'strategyPaused' });
+    expect(monitor.logs[0].error).to.contain('answered 500');
+    expect(fs.readFileSync(path.join(fixture.workDir, 'alerts.log'), 'utf8')).to.contain('strategyPaused');
+  });
+
+  it('should reject invalid monitor configs', async function () {
+    const file = writeConfig({
+      rules: { staleHarvest: { maxAge: -1 }, unknown: true },
+      sinks: [{ type: 'webhook' }, { type: 'pager' }],
+    });
+    expect(() => loadMonitorConfig(file)).to.throw(
+      [
+        `Invalid monitor config ${file}:`,
+        '  - rules.staleHarvest.maxAge must be a non-negative number',
+        '  - rules.unknown is not a rule, expected one of strategyPaused, tvlCap, staleHarvest, idleFunds, emissionChange, sharePriceDrop',
+        '  - sinks[0] needs an http(s) "url"',
+        '  - sinks[1].type must be one of stdout, file, webhook',
+      ].join('\n'),
+    );
+
+    const monitorConfig = writeConfig(
+      { sinks: [{ type: 'file', path: path.join(fixture.workDir, 'alerts.log') }] },
+      'task.json',
+    );
+    const monitor = await hre.run('monitor:run', { monitorConfig, rounds: 1 });
+    expect(monitor.active).to.deep.equal({});
+  });
+});
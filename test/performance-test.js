@@ -0,0 +1,124 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+chai.use(solidity);
+const { expect } = chai;
+
+const ONE_DAY = 24 * 60 * 60;
+const INTERVAL = 20;
+
+// Blocks mined in bulk with hardhat_mine cannot be queried at their height, so mine the sampled ones one by one.
+const mineBlocks = async count => {
+  for (let i = 0; i < count; i++) {
+    await network.provider.send('evm_mine');
+  }
+};
+
+describe('Performance time series', function () {
+  let fixture;
+  let vault;
+  let strategy;
+  let depositor;
+
+  before(async function () {
+    fixture = await deployVaultFixture({ protofi: { protonPerBlock: ethers.utils.parseEther('10') } });
+    ({ vault, strategy, depositor } = fixture);
+
+    for (let day = 0; day < 3; day++) {
+      await network.provider.send('evm_increaseTime', [ONE_DAY]);
+      await mineBlocks(INTERVAL);
+      await strategy.harvest();
+    }
+    await vault.connect(depositor).withdraw((await vault.balanceOf(depositor.address)).div(4));
+  });
+
+  after(function () {
+    removeVaultFixture(fixture);
+  });
+
+  it('should sample the vault and attribute harvests, fees and flows to each interval', async function () {
+    const cache = path.join(fixture.workDir, 'sampled.json');
+    const report = await hre.run('report:performance', { vault: VAULT, interval: INTERVAL, cache, format: 'json' });
+    const { samples } = report;
+
+    expect(report.cached).to.equal(0);
+    const firstBlock = samples[0].block;
+    expect(samples.map(sample => sample.block)).to.deep.equal(
+      samples.map((sample, index) => firstBlock + index * INTERVAL),
+    );
+    for (const sample of samples.slice(-2)) {
+      expect(sample.balance).to.equal(await vault.balance({ blockTag: sample.block }));
+      expect(sample.pricePerFullShare).to.equal(await vault.getPricePerFullShare({ blockTag: sample.block }));
+    }
+
+    const fees = await hre.run('report:fees', { vault: VAULT, format: 'json' });
+    const total = (rows, field) => rows.reduce((sum, row) => sum.add(row[field]), ethers.BigNumber.from(0));
+    const lastBlock = samples[samples.length - 1].block;
+    const harvested = fees.harvests.filter(harvest => harvest.blockNumber <= lastBlock);
+    expect(samples.reduce((sum, sample) => sum + sample.harvests, 0)).to.equal(harvested.length);
+    expect(total(samples, 'harvestFees')).to.equal(total(harvested, 'wftmFee'));
+    expect(samples.reduce((sum, sample) => sum + sample.deposits, 0)).to.equal(1);
+
+    const withHarvest = samples.filter((sample, index) => index > 0 && sample.harvests > 0);
+    expect(withHarvest.length).to.be.gt(0);
+    for (const sample of withHarvest) {
+      expect(sample.apr).to.be.gt(0);
+      expect(sample.feeDrag).to.be.gt(0);
+    }
+    expect(samples[0].apr).to.equal(null);
+  });
+
+  it('should only sample the blocks after the cache on a re-run', async function () {
+    const cache = path.join(fixture.workDir, 'rerun.json');
+    // Requests smaller than an interval read the same activity as one request per interval.
+    const seeded = await hre.run('report:performance', {
+      vault: VAULT,
+      interval: INTERVAL,
+      cache,
+      batchSize: 7,
+      format: 'json',
+    });
+    expect(seeded.cached).to.equal(0);
+    const unbatched = await hre.run('report:performance', {
+      vault: VAULT,
+      interval: INTERVAL,
+      cache: path.join(fixture.workDir, 'unbatched.json'),
+      format: 'json',
+    });
+    expect(JSON.stringify(seeded.samples)).to.equal(JSON.stringify(unbatched.samples));
+
+    const first = await hre.run('report:performance', { vault: VAULT, interval: INTERVAL, cache, format: 'json' });
+    expect(first.cached).to.equal(first.samples.length);
+
+    await mineBlocks(INTERVAL * 2);
+    const output = path.join(fixture.workDir, 'performance.csv');
+    const second = await hre.run('report:performance', {
+      vault: VAULT,
+      interval: INTERVAL,
+      cache,
+      format: 'csv',
+      output,
+    });
+    expect(second.cached).to.equal(first.samples.length);
+    expect(second.samples).to.have.length(first.samples.length + 2);
+
+    const lines = fs.readFileSync(output, 'utf8').trim().split('\n');
+    expect(lines[0]).to.equal(
+      'block,date,tvl,pricePerFullShare,totalSupply,apr,feeDrag,harvests,harvestFees,deposits,deposited,withdrawals,' +
+        'withdrawn,netFlow',
+    );
+    expect(lines).to.have.length(second.samples.length + 1);
+
+    // Another interval does not match the cache and starts over.
+    const resampled = await hre.run('report:performance', {
+      vault: VAULT,
+      interval: INTERVAL * 2,
+      cache,
+      format: 'json',
+    });
+    expect(resampled.cached).to.equal(0);
+  });
+});
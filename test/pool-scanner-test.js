@@ -0,0 +1,163 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { deployProtofiFixture, POOL_IDS } = require('./fixtures/protofi');
+chai.use(solidity);
+const { expect } = chai;
+
+describe('MasterChef pool scanner', function () {
+  let workDir;
+  let fixture;
+  let owner;
+  let strategist;
+  let staked;
+
+  before(async function () {
+    await network.provider.request({
+      method: 'hardhat_reset',
+      params: [],
+    });
+    const [deployer, addr1, addr2] = await ethers.getSigners();
+    [owner, strategist] = [deployer, addr1];
+    fixture = await deployProtofiFixture({
+      signers: [addr2],
+      protonPerBlock: ethers.utils.parseEther('10'),
+    });
+    const { usdc, router, factory, masterChef, wftmUsdcPair } = fixture;
+
+    staked = await wftmUsdcPair.balanceOf(addr2.address);
+    await wftmUsdcPair.connect(addr2).approve(masterChef.address, staked);
+    await masterChef.connect(addr2).deposit(POOL_IDS.WFTM_USDC, staked);
+
+    // A USDC-DAI pair: DAI has no WFTM pair the strategy could buy it through.
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    const dai = await MockERC20.deploy('Dai Stablecoin', 'DAI', 18);
+    const amount = ethers.utils.parseUnits('1000', 6);
+    await usdc.mint(owner.address, amount);
+    await dai.mint(owner.address, ethers.utils.parseEther('1000'));
+    await dai.approve(router.address, ethers.constants.MaxUint256);
+    await router.addLiquidity(
+      usdc.address,
+      dai.address,
+      amount,
+      ethers.utils.parseEther('1000'),
+      0,
+      0,
+      owner.address,
+      ethers.constants.MaxUint256,
+    );
+    await masterChef.add(500, await factory.getPair(usdc.address, dai.address), 0, 0, false);
+    // WFTM-USDC again, paying ELCT with a deposit fee and a lockup.
+    await masterChef.add(500, wftmUsdcPair.address, 400, 3600, true);
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reaper-pools-'));
+  });
+
+  after(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should flag the pools the strategy cannot farm', async function () {
+    const { pools } = await hre.run('pools:scan', { format: 'json', output: path.join(workDir, 'pools.json') });
+
+    expect(pools).to.have.length(5);
+    expect(pools.map(pool => pool.viable)).to.deep.equal([true, false, true, false, false]);
+    expect(pools[0].symbol).to.equal('FTM-PROTO');
+    expect(pools[1].issues).to.deep.equal(['pays rewards in ELCT, the strategy only sells PROTO', 'not an LP token']);
+    expect(pools[2].issues).to.deep.equal([]);
+    expect(pools[3].symbol).to.match(/USDC|DAI/);
+    expect(pools[3].issues).to.have.length(1);
+    expect(pools[3].issues[0]).to.match(/^no DAI\/WFTM pair for wftmToLp[01]Route$/);
+    expect(pools[4].issues).to.deep.equal(['pays rewards in ELCT, the strategy only sells PROTO']);
+    expect(pools[4].warnings).to.deep.equal([
+      '400 bps MasterChef deposit fee',
+      'rewards lock up for 1h between harvests',
+    ]);
+  });
+
+  it('should estimate reward APR from the emission rate and pool reserves', async function () {
+    const { masterChef, wftm, protoWftmPair, wftmUsdcPair } = fixture;
+    const { pools, protoPrice } = await hre.run('pools:scan', {
+      blockTime: 2,
+      format: 'json',
+      output: path.join(workDir, 'apr.json'),
+    });
+
+    const reservesOf = async (pair, token) => {
+      const [reserve0, reserve1] = await pair.getReserves();
+      return (await pair.token0()) === token ? [reserve0, reserve1] : [reserve1, reserve0];
+    };
+    const [wftmForProto, protoReserve] = await reservesOf(protoWftmPair, wftm.address);
+    expect(protoPrice).to.equal(wftmForProto.mul(ethers.constants.WeiPerEther).div(protoReserve));
+
+    const [wftmReserve] = await reservesOf(wftmUsdcPair, wftm.address);
+    const tvl = wftmReserve
+      .mul(2)
+      .mul(staked)
+      .div(await wftmUsdcPair.totalSupply());
+    const pool = pools[POOL_IDS.WFTM_USDC];
+    expect(pool.staked).to.equal(staked);
+    expect(pool.tvl).to.equal(tvl);
+
+    const rewardPerBlock = (await masterChef.protonPerBlock()).mul(1000).div(await masterChef.totalAllocPoint());
+    expect(pool.rewardsPerDay).to.equal(rewardPerBlock.mul(43200));
+    const rewardValue = rewardPerBlock.mul(15768000).mul(protoPrice).div(ethers.constants.WeiPerEther);
+    expect(pool.apr).to.equal(Number(rewardValue.mul(10000).div(tvl).toString()) / 100);
+    expect(pools[POOL_IDS.PROTO_WFTM].apr).to.equal(null);
+  });
+
+  it('should write deployable vault configs for the viable pools', async function () {
+    const Treasury = await ethers.getContractFactory('ReaperTreasury');
+    const treasury = await Treasury.deploy();
+    const template = path.join(workDir, 'template.json');
+    fs.writeFileSync(
+      template,
+      JSON.stringify({
+        depositFee: 0,
+        tvlCap: 'max',
+        treasury: treasury.address,
+        strategistRemitter: owner.address,
+        strategists: [strategist.address],
+      }),
+    );
+    const outDir = path.join(workDir, 'vaults');
+    const { configs } = await hre.run('pools:scan', {
+      outDir,
+      template,
+      format: 'csv',
+      output: path.join(workDir, 'pools.csv'),
+    });
+
+    expect(configs.map(file => path.basename(file))).to.have.length(2);
+    expect(configs[0]).to.equal(path.join(outDir, 'protofi-ftm-proto.json'));
+    const config = JSON.parse(fs.readFileSync(configs[0], 'utf8'));
+    expect(config).to.deep.include({
+      want: fixture.protoWftmPair.address,
+      tokenName: 'Protofi FTM-PROTO Vault',
+      tokenSymbol: 'rf-PF-FTM-PROTO',
+      poolId: POOL_IDS.PROTO_WFTM,
+      treasury: treasury.address,
+    });
+
+    const again = await hre.run('pools:scan', {
+      outDir,
+      template,
+      format: 'csv',
+      output: path.join(workDir, 'again.csv'),
+    });
+    expect(again.configs).to.deep.equal([]);
+
+    process.env.DEPLOYMENTS_DIR = path.join(workDir, 'deployments');
+    try {
+      const record = await hre.run('deploy:vault', { vaultConfig: configs[0] });
+      const strategy = await ethers.getContractAt('ReaperAutoCompoundProtofiFarmer', record.strategy);
+      expect(await strategy.want()).to.equal(fixture.protoWftmPair.address);
+      expect(await strategy.poolId()).to.equal(POOL_IDS.PROTO_WFTM);
+    } finally {
+      delete process.env.DEPLOYMENTS_DIR;
+    }
+  });
+});
@@ -0,0 +1,160 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+chai.use(solidity);
+const { expect } = chai;
+
+describe('Vault position tracker', function () {
+  let fixture;
+  let vault;
+  let strategy;
+  let pair;
+  let alice;
+  let bob;
+  let carol;
+  let aliceDeposit;
+  let aliceBurned;
+  let aliceShares;
+  let transferred;
+  let midBlock;
+
+  before(async function () {
+    const [, , addr2, addr3, addr4] = await ethers.getSigners();
+    [alice, bob, carol] = [addr2, addr3, addr4];
+    fixture = await deployVaultFixture({
+      protofi: { signers: [alice, bob], protonPerBlock: ethers.utils.parseEther('10') },
+      config: { depositFee: 0 },
+      deposit: false,
+    });
+    ({ vault, strategy } = fixture);
+    pair = fixture.wftmUsdcPair;
+
+    aliceDeposit = (await pair.balanceOf(alice.address)).div(2);
+    await vault.connect(alice).deposit(aliceDeposit);
+    await vault.connect(bob).depositAll();
+    midBlock = await ethers.provider.getBlockNumber();
+
+    for (let i = 0; i < 100; i++) {
+      await network.provider.send('evm_mine');
+    }
+    await strategy.harvest();
+
+    aliceShares = await vault.balanceOf(alice.address);
+    aliceBurned = aliceShares.div(2);
+    await vault.connect(alice).withdraw(aliceBurned);
+    transferred = (await vault.balanceOf(alice.address)).div(4);
+    await vault.connect(alice).transfer(carol.address, transferred);
+    await vault.connect(alice).deposit(aliceDeposit.div(2));
+  });
+
+  after(function () {
+    removeVaultFixture(fixture);
+  });
+
+  const positionOf = (positions, user) => positions.find(position => position.user === user.address);
+
+  it('should reconstruct cost basis and PnL from the vault events', async function () {
+    const { pricePerShare, positions } = await hre.run('report:positions', {
+      vault: VAULT,
+      cache: path.join(fixture.workDir, 'full.json'),
+      format: 'json',
+    });
+
+    expect(positions).to.have.length(3);
+    for (const user of [alice, bob, carol]) {
+      const position = positionOf(positions, user);
+      const balance = await vault.balanceOf(user.address);
+      expect(position.deposited).to.equal(await vault.cumulativeDeposits(user.address));
+      expect(position.withdrawn).to.equal(await vault.cumulativeWithdrawals(user.address));
+      expect(position.shares).to.equal(balance);
+      expect(position.value).to.equal(balance.mul(pricePerShare).div(ethers.constants.WeiPerEther));
+      expect(position.unrealizedPnl).to.equal(position.value.sub(position.costBasis));
+    }
+
+    const aliceCost = aliceDeposit.mul(aliceBurned).div(aliceShares);
+    const alicePosition = positionOf(positions, alice);
+    expect(alicePosition.realizedPnl).to.equal(alicePosition.withdrawn.sub(aliceCost));
+    expect(alicePosition.realizedPnl).to.be.gt(0);
+
+    const carolPosition = positionOf(positions, carol);
+    const remainingCost = aliceDeposit.sub(aliceCost);
+    expect(carolPosition.deposited).to.equal(0);
+    expect(carolPosition.costBasis).to.equal(remainingCost.mul(transferred).div(aliceShares.sub(aliceBurned)));
+    expect(positionOf(positions, bob).realizedPnl).to.equal(0);
+  });
+
+  it('should resume from the cache and match a full scan', async function () {
+    const cache = path.join(fixture.workDir, 'resumed.json');
+    await hre.run('report:positions', { vault: VAULT, cache, toBlock: midBlock, format: 'json' });
+    expect(JSON.parse(fs.readFileSync(cache, 'utf8')).lastBlock).to.equal(midBlock);
+
+    const resumed = await hre.run('report:positions', { vault: VAULT, cache, batchSize: 7, format: 'json' });
+    const full = await hre.run('report:positions', {
+      vault: VAULT,
+      cache: path.join(fixture.workDir, 'fresh.json'),
+      format: 'json',
+    });
+    expect(JSON.stringify(resumed.positions)).to.equal(JSON.stringify(full.positions));
+  });
+
+  it('should export one CSV row per depositor in want units', async function () {
+    const output = path.join(fixture.workDir, 'positions.csv');
+    await hre.run('report:positions', {
+      vault: VAULT,
+      cache: path.join(fixture.workDir, 'csv.json'),
+      format: 'csv',
+      output,
+    });
+
+    const lines = fs.readFileSync(output, 'utf8').trim().split('\n');
+    expect(lines[0]).to.equal('user,deposited,withdrawn,shares,value,costBasis,realizedPnl,unrealizedPnl,totalPnl');
+    expect(lines).to.have.length(4);
+    const bobRow = lines.find(line => line.startsWith(bob.address)).split(',');
+    expect(bobRow[1]).to.equal(ethers.utils.formatEther(await vault.cumulativeDeposits(bob.address)));
+  });
+
+  it('should credit shares deposited through a contract to the contract, not the signer', async function () {
+    const snapshot = await network.provider.send('evm_snapshot');
+    try {
+      const Depositor = await ethers.getContractFactory('VaultDepositorMock');
+      const depositor = await Depositor.deploy(vault.address);
+      const amount = aliceDeposit.div(4);
+      await pair.connect(alice).approve(depositor.address, amount);
+      await depositor.connect(alice).deposit(amount);
+      const shares = await vault.balanceOf(depositor.address);
+      await depositor.connect(alice).transferShares(carol.address, shares.div(4));
+      await depositor.connect(alice).withdraw(shares.div(4));
+
+      const { positions } = await hre.run('report:positions', {
+        vault: VAULT,
+        cache: path.join(fixture.workDir, 'contract.json'),
+        format: 'json',
+      });
+      for (const user of [alice, carol, depositor]) {
+        expect(positionOf(positions, user).shares).to.equal(await vault.balanceOf(user.address));
+      }
+      const contractPosition = positionOf(positions, depositor);
+      const alicePosition = positionOf(positions, alice);
+      expect(contractPosition.deposited).to.equal(amount);
+      expect(contractPosition.withdrawn).to.be.gt(0);
+      const transferredCost = amount.mul(shares.div(4)).div(shares);
+      const burnedCost = amount
+        .sub(transferredCost)
+        .mul(shares.div(4))
+        .div(shares.sub(shares.div(4)));
+      expect(contractPosition.costBasis).to.equal(amount.sub(transferredCost).sub(burnedCost));
+      // The vault still counts the flows against alice, who signed them.
+      expect(alicePosition.deposited.add(contractPosition.deposited)).to.equal(
+        await vault.cumulativeDeposits(alice.address),
+      );
+      expect(alicePosition.withdrawn.add(contractPosition.withdrawn)).to.equal(
+        await vault.cumulativeWithdrawals(alice.address),
+      );
+    } finally {
+      await network.provider.send('evm_revert', [snapshot]);
+    }
+  });
+});
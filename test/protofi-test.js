@@ -1,6 +1,7 @@
 const hre = require('hardhat');
 const chai = require('chai');
 const { solidity } = require('ethereum-waffle');
+const { deployProtofiFixture, POOL_IDS } = require('./fixtures/protofi');
 chai.use(solidity);
 const { expect } = chai;
 
@@ -26,8 +27,7 @@ describe('Vaults', function () {
   const paymentSplitterAddress = '0x63cbd4134c2253041F370472c130e92daE4Ff174';
   let treasury;
   let want;
-  const ftmUsdcLPAddress = '0x1a8a4Dc716e9379e84E907B0c740d2c622F7cfb7';
-  const wantAddress = ftmUsdcLPAddress;
+  let wantAddress;
   let self;
   let wantWhale;
   let selfAddress;
@@ -38,36 +38,17 @@ describe('Vaults', function () {
     //reset network
     await network.provider.request({
       method: 'hardhat_reset',
-      params: [
-        {
-          forking: {
-            jsonRpcUrl: 'https://rpc.ftm.tools/',
-            blockNumber: 31220919,
-          },
-        },
-      ],
+      params: [],
     });
     console.log('providers');
     //get signers
     [owner, addr1, addr2, addr3, addr4, ...addrs] = await ethers.getSigners();
-    const wantHolder = '0x99d9956a937d29c85068cbd4fe4b1e68e37b0706'; // ftm-usdc
-    const wantWhaleAddress = '0x70083a816329942e7e962829aff470b3015ff545'; // ftm-usdc
-    const strategistAddress = '0x3b410908e71Ee04e7dE2a87f8F9003AFe6c1c7cE';
-    await hre.network.provider.request({
-      method: 'hardhat_impersonateAccount',
-      params: [wantHolder],
-    });
-    await hre.network.provider.request({
-      method: 'hardhat_impersonateAccount',
-      params: [wantWhaleAddress],
-    });
-    await hre.network.provider.request({
-      method: 'hardhat_impersonateAccount',
-      params: [strategistAddress],
-    });
-    self = await ethers.provider.getSigner(wantHolder);
-    wantWhale = await ethers.provider.getSigner(wantWhaleAddress);
-    strategist = await ethers.provider.getSigner(strategistAddress);
+    self = addr1;
+    wantWhale = addr2;
+    strategist = addr3;
+    const { wftmUsdcPair } = await deployProtofiFixture({ signers: [self, wantWhale] });
+    wantAddress = wftmUsdcPair.address; // ftm-usdc
+    const strategistAddress = strategist.address;
     selfAddress = await self.getAddress();
     ownerAddress = await owner.getAddress();
     console.log('addresses');
@@ -97,7 +78,7 @@ describe('Vaults', function () {
     console.log(`vault.address: ${vault.address}`);
     console.log(`treasury.address: ${treasury.address}`);
 
-    const poolId = 2; // FTM-USDC
+    const poolId = POOL_IDS.WFTM_USDC;
 
     console.log('strategy');
     strategy = await hre.upgrades.deployProxy(
@@ -123,7 +104,7 @@ describe('Vaults', function () {
   });
 
   describe('Deploying the vault and strategy', function () {
-    xit('should initiate vault with a 0 balance', async function () {
+    it('should initiate vault with a 0 balance', async function () {
       console.log(1);
       const totalBalance = await vault.balance();
       console.log(2);
@@ -139,7 +120,7 @@ describe('Vaults', function () {
     });
   });
   describe('Vault Tests', function () {
-    xit('should allow deposits and account for them correctly', async function () {
+    it('should allow deposits and account for them correctly', async function () {
       const userBalance = await want.balanceOf(selfAddress);
       console.log(`userBalance: ${userBalance}`);
       const vaultBalance = await vault.balance();
@@ -159,7 +140,7 @@ describe('Vaults', function () {
       expect(depositAmount).to.be.closeTo(newVaultBalance.sub(depositLoss), allowedInaccuracy);
     });
 
-    xit('should mint user their pool share', async function () {
+    it('should mint user their pool share', async function () {
       console.log('---------------------------------------------');
       const userBalance = await want.balanceOf(selfAddress);
       console.log(userBalance.toString());
@@ -196,7 +177,7 @@ describe('Vaults', function () {
       expect(selfWantBalance).to.equal(selfDepositAmount - selfDepositFee);
     });
 
-    xit('should allow withdrawals', async function () {
+    it('should allow withdrawals', async function () {
       const userBalance = await want.balanceOf(selfAddress);
       console.log(`userBalance: ${userBalance}`);
       const depositAmount = toWantUnit('0.0007');
@@ -220,7 +201,7 @@ describe('Vaults', function () {
       expect(isSmallBalanceDifference).to.equal(true);
     });
 
-    xit('should allow small withdrawal', async function () {
+    it('should allow small withdrawal', async function () {
       const userBalance = await want.balanceOf(selfAddress);
       console.log(`userBalance: ${userBalance}`);
       const depositAmount = toWantUnit('0.0000001');
@@ -247,7 +228,7 @@ describe('Vaults', function () {
       expect(isSmallBalanceDifference).to.equal(true);
     });
 
-    xit('should handle small deposit + withdraw', async function () {
+    it('should handle small deposit + withdraw', async function () {
       const userBalance = await want.balanceOf(selfAddress);
       console.log(`userBalance: ${userBalance}`);
       const depositAmount = toWantUnit('0.0000000000001');
@@ -275,7 +256,7 @@ describe('Vaults', function () {
       expect(isSmallBalanceDifference).to.equal(true);
     });
 
-    xit('should be able to harvest', async function () {
+    it('should be able to harvest', async function () {
       await vault.connect(self).deposit(toWantUnit(1000, true));
       const estimatedGas = await strategy.estimateGas.harvest();
       console.log(`estimatedGas: ${estimatedGas}`);
@@ -310,7 +291,7 @@ describe('Vaults', function () {
     });
   });
   describe('Strategy', function () {
-    xit('should be able to pause and unpause', async function () {
+    it('should be able to pause and unpause', async function () {
       await strategy.pause();
       const depositAmount = toWantUnit('0.0007');
       await expect(vault.connect(self).deposit(depositAmount)).to.be.reverted;
@@ -318,7 +299,7 @@ describe('Vaults', function () {
       await expect(vault.connect(self).deposit(depositAmount)).to.not.be.reverted;
     });
 
-    xit('should be able to panic', async function () {
+    it('should be able to panic', async function () {
       const depositAmount = toWantUnit('0.0007');
       await vault.connect(self).deposit(depositAmount);
       const vaultBalance = await vault.balance();
@@ -330,7 +311,7 @@ describe('Vaults', function () {
       expect(newVaultBalance).to.be.closeTo(vaultBalance, allowedImprecision);
     });
 
-    xit('should be able to retire strategy', async function () {
+    it('should be able to retire strategy', async function () {
       const depositAmount = toWantUnit('0.0007');
       await vault.connect(self).deposit(depositAmount);
       const vaultBalance = await vault.balance();
@@ -344,11 +325,11 @@ describe('Vaults', function () {
       expect(newStrategyBalance).to.be.lt(allowedImprecision);
     });
 
-    xit('should be able to retire strategy with no balance', async function () {
+    it('should be able to retire strategy with no balance', async function () {
       await expect(strategy.retireStrat()).to.not.be.reverted;
     });
 
-    xit('should be able to estimate harvest', async function () {
+    it('should be able to estimate harvest', async function () {
       const whaleDepositAmount = toWantUnit('0.001');
       await vault.connect(wantWhale).deposit(whaleDepositAmount);
       const minute = 60;
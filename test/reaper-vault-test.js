@@ -0,0 +1,99 @@
+const chai = require('chai');
+const { solidity } = require('ethereum-waffle');
+const { deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { rejection } = require('./fixtures/rejections');
+const { ReaperVault } = require('../lib/reaper-vault');
+chai.use(solidity);
+const { expect } = chai;
+
+const ONE_DAY = 24 * 60 * 60;
+
+describe('ReaperVault client', function () {
+  let fixture;
+  let vault;
+  let strategy;
+  let want;
+  let owner;
+  let depositor;
+  let other;
+
+  beforeEach(async function () {
+    [, , depositor, other] = await ethers.getSigners();
+    fixture = await deployVaultFixture({
+      protofi: { signers: [depositor, other], protonPerBlock: ethers.utils.parseEther('10') },
+      deposit: false,
+    });
+    ({ vault, strategy, owner } = fixture);
+    want = fixture.wftmUsdcPair;
+    const held = await want.balanceOf(depositor.address);
+    await vault.connect(depositor).deposit(held.div(2));
+    await network.provider.send('evm_increaseTime', [ONE_DAY]);
+    await strategy.harvest();
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  it('should preview deposits and withdrawals to the wei', async function () {
+    const client = await ReaperVault.at(vault.address, ethers.provider);
+    expect(client.strategy.address).to.equal(strategy.address);
+    expect(client.decimals).to.equal(18);
+    expect(client.parseWant('1.5')).to.equal(ethers.utils.parseEther('1.5'));
+
+    const amount = (await want.balanceOf(other.address)).div(3);
+    const deposit = await client.previewDeposit(amount);
+    expect(deposit.fee).to.equal(amount.sub(amount.mul(9990).div(10000)));
+    await vault.connect(other).deposit(amount);
+    expect(await vault.balanceOf(other.address)).to.equal(deposit.shares);
+
+    // Leave want idle in the vault so the withdrawal is paid partly by the vault and partly by the strategy.
+    await want.connect(other).transfer(vault.address, amount);
+    const shares = await vault.balanceOf(depositor.address);
+    const withdrawal = await client.previewWithdraw(shares);
+    expect(withdrawal.fromVault).to.equal(amount);
+    expect(withdrawal.fee).to.equal(withdrawal.fromStrategy.mul(10).div(10000));
+    const before = await want.balanceOf(depositor.address);
+    await vault.connect(depositor).withdraw(shares);
+    expect((await want.balanceOf(depositor.address)).sub(before)).to.equal(withdrawal.amount);
+  });
+
+  it('should refuse deposits past the tvlCap', async function () {
+    const client = await ReaperVault.at(vault.address, ethers.provider);
+    const balance = await vault.balance();
+    await vault.connect(owner).updateTvlCap(balance.add(100));
+
+    expect((await client.readState()).capacity).to.equal(100);
+    expect((await client.previewDeposit(100)).shares).to.be.gt(0);
+    expect((await rejection(client.previewDeposit(101))).message).to.contain('is full');
+    await expect(vault.connect(other).deposit(101)).to.be.revertedWith('vault is full!');
+    expect((await rejection(client.previewDeposit(0))).message).to.equal('Nothing to deposit');
+  });
+
+  it('should report positions and terms status', async function () {
+    const client = await ReaperVault.at(vault.address, ethers.provider);
+    expect(await client.hasAcceptedTerms(other.address)).to.equal(false);
+    await vault.connect(other).agreeToTerms();
+
+    const position = await client.position(depositor.address);
+    expect(position.shares).to.equal(await vault.balanceOf(depositor.address));
+    expect(position.value).to.equal((await client.previewWithdraw(position.shares)).amount);
+    expect(position.deposited).to.equal(await vault.cumulativeDeposits(depositor.address));
+    expect(position.pnl).to.equal(position.value.sub(position.deposited));
+    expect(position.acceptedTerms).to.equal(false);
+    expect((await client.position(other.address)).acceptedTerms).to.equal(true);
+  });
+
+  it('should estimate harvests and average the logged APR', async function () {
+    const client = await ReaperVault.at(vault.address, ethers.provider);
+    await network.provider.send('hardhat_mine', ['0x20']);
+    const estimate = await client.estimateHarvest();
+    expect(estimate.status).to.equal('yields');
+    expect(estimate.expectedProfit).to.be.gt(0);
+
+    await network.provider.send('evm_increaseTime', [ONE_DAY]);
+    await strategy.harvest();
+    expect(await client.averageAPR(2)).to.equal((await strategy.averageAPRAcrossLastNHarvests(2)).toNumber());
+    expect((await client.rollingReturn(7)).apr).to.be.gt(0);
+  });
+});
@@ -0,0 +1,124 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { POOL_IDS } = require('./fixtures/protofi');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { readRewardState } = require('../lib/rewards');
+const { runKeeperRound } = require('../lib/keeper');
+chai.use(solidity);
+const { expect } = chai;
+
+const HARVEST_INTERVAL = 3600;
+
+describe('Reward accounting', function () {
+  let fixture;
+  let strategy;
+  let keeper;
+
+  beforeEach(async function () {
+    [, , , keeper] = await ethers.getSigners();
+    fixture = await deployVaultFixture({
+      protofi: { protonPerBlock: ethers.utils.parseEther('10'), harvestInterval: HARVEST_INTERVAL },
+      config: { depositFee: 0 },
+    });
+    strategy = fixture.strategy;
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  const mineBlocks = async count => {
+    for (let i = 0; i < count; i++) {
+      await network.provider.send('evm_mine');
+    }
+  };
+
+  const keeperDecision = async () => {
+    const target = { name: VAULT, strategy, minHarvestInterval: 0, minCallFeeToGasRatio: 0 };
+    const [decision] = await runKeeperRound([target], { signer: keeper, dryRun: true, log: () => {} });
+    return decision;
+  };
+
+  it('should report locked rewards and when a harvest will pay them out', async function () {
+    const { masterChef } = fixture;
+    await mineBlocks(50);
+
+    let state = await readRewardState(strategy);
+    const user = await masterChef.userInfo(POOL_IDS.WFTM_USDC, strategy.address);
+    expect(state.rewardToken).to.equal('PROTO');
+    expect(state.canHarvest).to.equal(false);
+    expect(state.status).to.equal('rewards-locked');
+    expect(state.claimable).to.equal(0);
+    expect(state.locked).to.equal(await masterChef.pendingProton(POOL_IDS.WFTM_USDC, strategy.address));
+    expect(state.nextPayoutAt).to.equal(user.nextHarvestUntil.toNumber());
+    expect(state.expectedWftm).to.equal(0);
+    // estimateHarvest() prices the locked rewards as if a harvest sold them.
+    expect(state.estimateHarvest.profit).to.be.gt(0);
+    expect(state.warnings).to.have.length(2);
+    expect(state.warnings[1]).to.match(/a harvest now sells nothing$/);
+
+    let decision = await keeperDecision();
+    expect(decision.action).to.equal('skip');
+    expect(decision.reason).to.equal('rewards-locked');
+    expect(decision.locked).to.equal(state.locked);
+
+    // Harvesting now only moves the pending rewards into rewardLockedUp.
+    await strategy.harvest();
+    state = await readRewardState(strategy);
+    expect(state.rewardLockedUp).to.be.gt(0);
+    expect(state.balances.PROTO).to.equal(0);
+    expect(state.balances.WFTM).to.equal(0);
+
+    await network.provider.send('evm_increaseTime', [HARVEST_INTERVAL]);
+    await mineBlocks(200);
+    state = await readRewardState(strategy);
+    expect(state.canHarvest).to.equal(true);
+    expect(state.status).to.equal('yields');
+    expect(state.locked).to.equal(0);
+    expect(state.claimable).to.equal(state.pending.add(state.rewardLockedUp));
+    expect(state.nextPayoutAt).to.equal(state.timestamp);
+    decision = await keeperDecision();
+    expect(decision.action).to.equal('harvest');
+    expect(decision.callFeeToUser).to.equal(state.expectedCallFee);
+
+    // The harvest is mined one block later and sells one more block of rewards.
+    const { wftm, protoWftmPair } = fixture;
+    const receipt = await (await strategy.harvest()).wait();
+    const [swap] = receipt.logs
+      .filter(log => log.address === wftm.address)
+      .map(log => wftm.interface.parseLog(log).args)
+      .filter(transfer => transfer.src === protoWftmPair.address);
+    expect(swap.wad).to.be.gte(state.expectedWftm);
+    expect(swap.wad).to.be.lte(state.expectedWftm.mul(1010).div(1000));
+  });
+
+  it('should report ELCT rewards as stranded on the strategy', async function () {
+    const { masterChef, electron } = fixture;
+    // ElectronToken.mint() underflows until the chain is older than its swap penalty period.
+    await network.provider.send('hardhat_mine', [ethers.utils.hexValue(await electron.SWAP_PENALTY_MAX_PERIOD())]);
+    const pool = await masterChef.getPoolInfo(POOL_IDS.WFTM_USDC);
+    await masterChef.set(POOL_IDS.WFTM_USDC, pool.allocPoint, 0, 0, true);
+    await strategy.harvest();
+    await mineBlocks(20);
+    await strategy.harvest();
+
+    const output = path.join(fixture.workDir, 'rewards.txt');
+    const state = await hre.run('report:rewards', { vault: VAULT, output });
+    expect(state.rewardToken).to.equal('ELCT');
+    expect(state.status).to.equal('electron-rewards');
+    expect(state.balances.ELCT).to.be.gt(0);
+    expect(state.expectedWftm).to.equal(0);
+    expect(state.warnings.slice(0, 2)).to.deep.equal([
+      'pool pays rewards in ELCT, the strategy never sells them',
+      `${ethers.utils.formatEther(state.balances.ELCT)} ELCT stranded on the strategy, only an upgrade can move it`,
+    ]);
+    const report = fs.readFileSync(output, 'utf8');
+    expect(report).to.contain('electron-rewards');
+    expect(report).to.contain('Warning: pool pays rewards in ELCT');
+
+    expect((await keeperDecision()).reason).to.equal('electron-rewards');
+  });
+});
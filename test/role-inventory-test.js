@@ -0,0 +1,154 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { runAndCatch } = require('./fixtures/rejections');
+chai.use(solidity);
+const { expect } = chai;
+
+const SAFE = '0x5afe5afE5afE5afE5afE5aFe5aFe5Afe5Afe5AfE';
+
+describe('Role inventory', function () {
+  let fixture;
+  let vault;
+  let strategy;
+  let treasury;
+  let owner;
+  let strategist;
+  let newStrategist;
+  let accountant;
+
+  beforeEach(async function () {
+    [, , newStrategist, accountant] = await ethers.getSigners();
+    fixture = await deployVaultFixture({ protofi: { signers: [] }, config: { depositFee: 0 }, deposit: false });
+    ({ vault, strategy, treasury, owner, strategist } = fixture);
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  const writeExpected = expected => {
+    const file = path.join(fixture.workDir, `expected-${Date.now()}.json`);
+    fs.writeFileSync(file, JSON.stringify(expected));
+    return file;
+  };
+
+  const handOver = async () => {
+    await strategy.grantRole(await strategy.STRATEGIST(), newStrategist.address);
+    await strategy.revokeRole(await strategy.STRATEGIST(), strategist.address);
+    await strategy.grantRole(await strategy.STRATEGIST_MULTISIG(), SAFE);
+    await strategy.grantRole(await strategy.DEFAULT_ADMIN_ROLE(), SAFE);
+    await vault.transferOwnership(SAFE);
+    await treasury.setAccountant(accountant.address);
+  };
+
+  it('should rebuild the role holders from events and match the expected permissions', async function () {
+    await handOver();
+    const expected = writeExpected({
+      vault: { owner: SAFE },
+      strategy: {
+        DEFAULT_ADMIN_ROLE: [owner.address, SAFE],
+        STRATEGIST: [newStrategist.address.toLowerCase()],
+        STRATEGIST_MULTISIG: SAFE,
+      },
+      treasury: { owner: owner.address, accountant: accountant.address },
+    });
+    const output = path.join(fixture.workDir, 'roles.txt');
+    const report = await hre.run('roles:check', { vault: VAULT, expected, output });
+
+    expect(report.drift).to.deep.equal([]);
+    expect(report.mismatches).to.deep.equal([]);
+    expect(report.contracts.vault.permissions).to.deep.equal({ owner: [SAFE] });
+    expect(report.contracts.vault.events.map(event => event.newOwner)).to.deep.equal([owner.address, SAFE]);
+    expect(report.contracts.strategy.permissions.STRATEGIST).to.deep.equal([newStrategist.address]);
+    expect(report.contracts.strategy.events.map(event => `${event.event} ${event.role}`)).to.deep.equal([
+      'RoleGranted DEFAULT_ADMIN_ROLE',
+      'RoleGranted STRATEGIST',
+      'RoleGranted STRATEGIST',
+      'RoleRevoked STRATEGIST',
+      'RoleGranted STRATEGIST_MULTISIG',
+      'RoleGranted DEFAULT_ADMIN_ROLE',
+    ]);
+    // The treasury was deployed before the vault: its owner comes from owner() alone.
+    expect(report.contracts.treasury.events).to.deep.equal([]);
+    expect(report.contracts.treasury.permissions.accountant).to.deep.equal([accountant.address]);
+    expect(fs.readFileSync(output, 'utf8')).to.contain(`Permissions match ${expected}`);
+  });
+
+  it('should fail with a readable diff when permissions drift', async function () {
+    const expected = writeExpected({
+      vault: { owner: SAFE },
+      strategy: { STRATEGIST: [strategist.address], STRATEGIST_MULTISIG: [] },
+      treasury: { accountant: accountant.address },
+    });
+    await handOver();
+    await strategy.grantRole(await strategy.STRATEGIST_MULTISIG(), owner.address);
+
+    const error = await runAndCatch('roles:check', {
+      vault: VAULT,
+      expected,
+      format: 'json',
+      output: path.join(fixture.workDir, 'roles.json'),
+    });
+    expect(error.message).to.equal(
+      [
+        `Permissions of ${VAULT} drifted from ${expected}:`,
+        'strategy.STRATEGIST',
+        `  - ${strategist.address}`,
+        `  + ${newStrategist.address}`,
+        'strategy.STRATEGIST_MULTISIG',
+        ...[owner.address, SAFE].sort().map(address => `  + ${address}`),
+      ].join('\n'),
+    );
+    const report = JSON.parse(fs.readFileSync(path.join(fixture.workDir, 'roles.json'), 'utf8'));
+    expect(report.drift.map(entry => `${entry.contract}.${entry.permission}`)).to.deep.equal([
+      'strategy.STRATEGIST',
+      'strategy.STRATEGIST_MULTISIG',
+    ]);
+  });
+
+  it('should flag holders the scanned events do not explain and reject invalid expectations', async function () {
+    await handOver();
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    await strategy.revokeRole(await strategy.STRATEGIST_MULTISIG(), SAFE);
+
+    const mismatch = await runAndCatch('roles:check', {
+      vault: VAULT,
+      fromBlock,
+      output: path.join(fixture.workDir, 'late.txt'),
+    });
+    expect(mismatch.message.split('\n')[0]).to.equal(
+      `Events and state of ${VAULT} disagree, pass --allow-mismatches to accept:`,
+    );
+    expect(mismatch.message).to.contain(
+      `\n  - strategy: STRATEGIST: ${newStrategist.address} is a member without a RoleGranted event in range`,
+    );
+
+    const report = await hre.run('roles:check', {
+      vault: VAULT,
+      fromBlock,
+      format: 'json',
+      output: path.join(fixture.workDir, 'late.json'),
+      allowMismatches: true,
+    });
+    expect(report.expected).to.equal(null);
+    expect(report.contracts.strategy.permissions.STRATEGIST_MULTISIG).to.deep.equal([]);
+    expect(report.mismatches).to.include(
+      `strategy: STRATEGIST: ${newStrategist.address} is a member without a RoleGranted event in range`,
+    );
+
+    const invalid = writeExpected({ vault: { accountant: owner.address }, strategy: { KEEPER: [] }, router: {} });
+    const error = await runAndCatch('roles:check', { vault: VAULT, expected: invalid });
+    expect(error.message).to.equal(
+      [
+        `Invalid expected permissions ${invalid}:`,
+        '  - vault.accountant is not a permission, expected one of owner',
+        '  - strategy.KEEPER is not a permission, expected one of DEFAULT_ADMIN_ROLE, STRATEGIST, STRATEGIST_MULTISIG',
+        '  - unknown contract "router", expected one of vault, strategy, treasury',
+      ].join('\n'),
+    );
+  });
+});
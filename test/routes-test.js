@@ -0,0 +1,135 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { rejection } = require('./fixtures/rejections');
+const { loadPairGraph, simulateSwap, readStrategyRoutes } = require('../lib/routes');
+chai.use(solidity);
+const { expect } = chai;
+
+describe('Route finder', function () {
+  let fixture;
+  let strategy;
+  let owner;
+
+  beforeEach(async function () {
+    fixture = await deployVaultFixture({ protofi: { signers: [] }, config: { depositFee: 0 }, deposit: false });
+    const { wftm, proto, usdc, router } = fixture;
+    owner = fixture.owner;
+    strategy = fixture.record.strategy;
+
+    // Buying PROTO moves PROTO-WFTM to about 0.036 WFTM (0.072 USDC) per PROTO; a PROTO-USDC pair then
+    // prices it 25% higher at 0.09 USDC.
+    await wftm.deposit({ value: ethers.utils.parseEther('1000') });
+    await router.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+      ethers.utils.parseEther('1000'),
+      0,
+      [wftm.address, proto.address],
+      owner.address,
+      ethers.constants.MaxUint256,
+    );
+    await usdc.mint(owner.address, ethers.utils.parseUnits('2000', 6));
+    await router.addLiquidity(
+      proto.address,
+      usdc.address,
+      ethers.utils.parseEther('20000'),
+      ethers.utils.parseUnits('1800', 6),
+      0,
+      0,
+      owner.address,
+      ethers.constants.MaxUint256,
+    );
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  it('should simulate swaps to the wei, PROTO transfer burn included', async function () {
+    const { wftm, proto, usdc, router, factory } = fixture;
+    let graph = await loadPairGraph(ethers.provider, { factory: factory.address });
+    expect(Object.keys(graph.pairs)).to.have.length(3);
+    await wftm.deposit({ value: ethers.utils.parseEther('10') });
+
+    // PROTO burns on the way into the first pair and again between the two pairs.
+    for (const route of [
+      [proto.address, usdc.address, wftm.address],
+      [usdc.address, proto.address, wftm.address],
+      [wftm.address, usdc.address, proto.address],
+    ]) {
+      const amountIn = route[0] === usdc.address ? ethers.utils.parseUnits('10', 6) : ethers.utils.parseEther('10');
+      const expected = simulateSwap(graph, route, amountIn, { proto: proto.address });
+      const token = await ethers.getContractAt('MockERC20', route[route.length - 1]);
+      const before = await token.balanceOf(owner.address);
+      await router.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        amountIn,
+        0,
+        route,
+        owner.address,
+        ethers.constants.MaxUint256,
+      );
+      expect((await token.balanceOf(owner.address)).sub(before)).to.equal(expected);
+      graph = await loadPairGraph(ethers.provider, { factory: factory.address });
+    }
+
+    const { routes } = await readStrategyRoutes(strategy, ethers.provider);
+    expect(routes).to.deep.equal({
+      protoToWftmRoute: [proto.address, wftm.address],
+      wftmToLp0Route: [wftm.address, await fixture.wftmUsdcPair.token0()],
+      wftmToLp1Route: [wftm.address, await fixture.wftmUsdcPair.token1()],
+    });
+
+    // An RPC failure mid-array must not read as the end of the route.
+    let calls = 0;
+    const flaky = new ethers.providers.Web3Provider({
+      request: async ({ method, params }) => {
+        if (method === 'eth_call' && ++calls === 2) {
+          throw Object.assign(new Error('rate limited'), { code: -32005 });
+        }
+        return network.provider.request({ method, params });
+      },
+    });
+    const error = await rejection(readStrategyRoutes(strategy, flaky));
+    expect(error.error.message).to.contain('rate limited');
+  });
+
+  it('should rank routes and report what a harvest gains over the current ones', async function () {
+    const { wftm, proto, usdc } = fixture;
+    const output = path.join(fixture.workDir, 'routes.json');
+    const report = await hre.run('routes:check', { vault: VAULT, amount: '1000', format: 'json', output });
+
+    const [protoLeg, ...lpLegs] = report.legs;
+    expect(protoLeg.leg).to.equal('protoToWftmRoute');
+    expect(protoLeg.path).to.deep.equal([proto.address, wftm.address]);
+    expect(protoLeg.bestPath).to.deep.equal([proto.address, usdc.address, wftm.address]);
+    expect(Number(protoLeg.bestOut)).to.be.gt(Number(protoLeg.amountOut) * 1.1);
+    // The WFTM side of the LP needs no swap. The USDC side gains from the same price gap, even though PROTO
+    // burns twice on the way.
+    expect(lpLegs).to.have.length(1);
+    expect(lpLegs[0].path).to.deep.equal([wftm.address, usdc.address]);
+    expect(lpLegs[0].bestPath).to.deep.equal([wftm.address, proto.address, usdc.address]);
+    expect(report.gainBps).to.be.gt(1000);
+    expect(report.liquidity.best.gt(report.liquidity.current)).to.equal(true);
+    const written = JSON.parse(fs.readFileSync(output, 'utf8'));
+    expect(written.candidates.filter(candidate => candidate.leg === 'protoToWftmRoute')).to.have.length(2);
+
+    // --tokens only looks up the pairs between the route tokens and the given ones.
+    const direct = await hre.run('routes:check', {
+      vault: VAULT,
+      amount: '1000',
+      tokens: wftm.address,
+      output: path.join(fixture.workDir, 'direct.txt'),
+    });
+    expect(direct.pairs).to.equal(3);
+    const table = fs.readFileSync(path.join(fixture.workDir, 'direct.txt'), 'utf8');
+    expect(table).to.contain('PROTO > USDC > WFTM');
+    expect(table).to.contain(`Best routes gain ${direct.gainBps} bps of LP per harvest`);
+
+    const error = await hre
+      .run('routes:check', { vault: VAULT, output: path.join(fixture.workDir, 'none.txt') })
+      .catch(caught => caught);
+    expect(error.message).to.equal(`Strategy ${strategy} has no PROTO to sell now, pass --amount`);
+  });
+});
@@ -0,0 +1,145 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { runAndCatch } = require('./fixtures/rejections');
+const { verifySafeBatch } = require('../lib/safe-batch');
+chai.use(solidity);
+const { expect } = chai;
+
+const SAFE = '0x5afe5afE5afE5afE5afE5aFe5aFe5Afe5Afe5AfE';
+
+describe('Safe batch export', function () {
+  let fixture;
+  let vault;
+  let strategy;
+  let strayToken;
+  let strategist;
+  let newStrategist;
+
+  beforeEach(async function () {
+    [, , newStrategist] = await ethers.getSigners();
+    fixture = await deployVaultFixture({ protofi: { signers: [] }, config: { depositFee: 0 }, deposit: false });
+    ({ vault, strategy, strategist } = fixture);
+
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    strayToken = await MockERC20.deploy('Stray', 'STRAY', 18);
+    await strayToken.mint(vault.address, ethers.utils.parseEther('5'));
+
+    // Hand the vault and the strategy admin role over to the multisig, as in production.
+    await vault.transferOwnership(SAFE);
+    await strategy.grantRole(await strategy.DEFAULT_ADMIN_ROLE(), SAFE);
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  const writeChanges = changes => {
+    const file = path.join(fixture.workDir, 'changes.json');
+    fs.writeFileSync(file, JSON.stringify(changes));
+    return file;
+  };
+
+  it('should export a Transaction Builder batch that verifies as the Safe', async function () {
+    const output = path.join(fixture.workDir, 'batch.json');
+    const changes = writeChanges({
+      vault: { depositFee: 20, tvlCap: 5000, rescueTokens: [strayToken.address] },
+      strategy: {
+        totalFee: 300,
+        callFee: 2000,
+        treasuryFee: 8000,
+        grantRoles: { STRATEGIST: [newStrategist.address] },
+        revokeRoles: { STRATEGIST: [strategist.address] },
+        proposeUpgrade: true,
+      },
+    });
+    await hre.run('safe:batch', { vault: VAULT, safe: SAFE, changes, output });
+
+    const batch = JSON.parse(fs.readFileSync(output, 'utf8'));
+    expect(batch.version).to.equal('1.0');
+    expect(batch.chainId).to.equal('31337');
+    expect(batch.meta.createdFromSafeAddress).to.equal(SAFE);
+    expect(batch.transactions.map(transaction => transaction.contractMethod.name)).to.deep.equal([
+      'updateDepositFee',
+      'updateTvlCap',
+      'inCaseTokensGetStuck',
+      'updateTotalFee',
+      'updateFees',
+      'grantRole',
+      'revokeRole',
+      'initiateUpgradeCooldown',
+    ]);
+    const [depositFeeCall] = batch.transactions;
+    expect(depositFeeCall.to).to.equal(vault.address);
+    expect(depositFeeCall.value).to.equal('0');
+    expect(depositFeeCall.contractInputsValues).to.deep.equal({ fee: '20' });
+    expect(depositFeeCall.data).to.equal(vault.interface.encodeFunctionData('updateDepositFee', [20]));
+
+    const report = await hre.run('safe:verify', { batch: output });
+    expect(report.ok).to.equal(true);
+    expect(report.results[1].checks).to.deep.equal([
+      {
+        field: 'tvlCap',
+        expected: ethers.utils.parseEther('5000').toString(),
+        actual: ethers.utils.parseEther('5000').toString(),
+      },
+    ]);
+
+    // Verification runs on a snapshot and leaves the chain as it was.
+    expect(await vault.depositFee()).to.equal(0);
+    expect(await strayToken.balanceOf(vault.address)).to.equal(ethers.utils.parseEther('5'));
+    expect(await strategy.hasRole(await strategy.STRATEGIST(), strategist.address)).to.equal(true);
+  });
+
+  it('should refuse invalid changes and calls the Safe is not allowed to make', async function () {
+    const invalid = writeChanges({
+      vault: { depositFee: 10001, rescueTokens: [await vault.token()] },
+      strategy: { totalFee: 2000, grantRoles: { KEEPER: [newStrategist.address] } },
+    });
+    const error = await runAndCatch('safe:batch', { vault: VAULT, safe: SAFE, changes: invalid });
+    expect(error.message).to.contain('vault.depositFee must be an integer number of basis points');
+    expect(error.message).to.contain("is the vault's want and cannot be rescued");
+    expect(error.message).to.contain('strategy.totalFee 2000 is above MAX_FEE (1000)');
+    expect(error.message).to.contain('unknown role KEEPER');
+
+    const [owner] = await ethers.getSigners();
+    const vaultChange = writeChanges({ vault: { depositFee: 20 } });
+    const ownerError = await runAndCatch('safe:batch', { vault: VAULT, safe: owner.address, changes: vaultChange });
+    expect(ownerError.message).to.contain(`${owner.address} does not own vault`);
+
+    const remitterChange = writeChanges({ strategy: { strategistRemitter: newStrategist.address } });
+    const roleError = await runAndCatch('safe:batch', { vault: VAULT, safe: SAFE, changes: remitterChange });
+    expect(roleError.message).to.contain('cannot call updateStrategistRemitter');
+  });
+
+  it('should report a batch that reverts until the upgrade timelock has passed', async function () {
+    const Implementation = await ethers.getContractFactory('ReaperAutoCompoundProtofiFarmerV2Mock');
+    const implementation = await Implementation.deploy();
+    const output = path.join(fixture.workDir, 'upgrade.json');
+    const changes = writeChanges({ strategy: { upgradeTo: implementation.address } });
+    const batch = await hre.run('safe:batch', { vault: VAULT, safe: SAFE, changes, output });
+
+    const early = await verifySafeBatch(ethers.provider, batch, [strategy.interface]);
+    expect(early.ok).to.equal(false);
+    expect(early.results[0].status).to.equal('reverted');
+    expect(early.results[0].error).to.contain('cooldown not initiated or still active');
+    const error = await runAndCatch('safe:verify', { batch: output });
+    expect(error.message).to.contain('failed verification');
+    const format = await runAndCatch('safe:verify', { batch: output, format: 'csv' });
+    expect(format.message).to.equal('Unknown format "csv", expected one of table, json');
+
+    await strategy.initiateUpgradeCooldown();
+    await network.provider.send('evm_increaseTime', [(await strategy.UPGRADE_TIMELOCK()).toNumber()]);
+    await network.provider.send('evm_mine');
+    const report = await verifySafeBatch(ethers.provider, batch, [strategy.interface]);
+    expect(report.ok, report.results[0].error).to.equal(true);
+    expect(report.results[0].checks[0]).to.deep.equal({
+      field: 'implementation',
+      expected: implementation.address,
+      actual: implementation.address,
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { runAndCatch } = require('./fixtures/rejections');
+chai.use(solidity);
+const { expect } = chai;
+
+describe('Strategy admin tasks', function () {
+  let fixture;
+  let vault;
+  let strategy;
+  let wftmUsdcPair;
+  let strategist;
+
+  beforeEach(async function () {
+    fixture = await deployVaultFixture({ config: { depositFee: 0 } });
+    ({ vault, strategy, wftmUsdcPair, strategist } = fixture);
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  it('should update fees and report what changed', async function () {
+    const { changes } = await hre.run('strat:fees', {
+      vault: VAULT,
+      totalFee: '300',
+      callFee: '2000',
+      treasuryFee: '8000',
+      securityFee: '5',
+    });
+
+    expect(await strategy.totalFee()).to.equal(300);
+    expect(await strategy.callFee()).to.equal(2000);
+    expect(await strategy.treasuryFee()).to.equal(8000);
+    expect(await strategy.strategistFee()).to.equal(2500);
+    expect(await strategy.securityFee()).to.equal(5);
+    expect(changes).to.deep.equal([
+      { field: 'totalFee', before: '450', after: '300' },
+      { field: 'callFee', before: '1000', after: '2000' },
+      { field: 'treasuryFee', before: '9000', after: '8000' },
+      { field: 'securityFee', before: '10', after: '5' },
+    ]);
+  });
+
+  it('should reject fees past the strategy limits without sending anything', async function () {
+    const error = await runAndCatch('strat:fees', {
+      vault: VAULT,
+      totalFee: '1001',
+      callFee: '2000',
+      strategistFee: '5001',
+      securityFee: '11',
+      treasury: ethers.constants.AddressZero,
+    });
+
+    expect(error.message).to.contain('totalFee 1001 is above MAX_FEE (1000)');
+    expect(error.message).to.contain('callFee + treasuryFee must be 10000, got 11000');
+    expect(error.message).to.contain('strategistFee 5001 is above STRATEGIST_MAX_FEE (5000)');
+    expect(error.message).to.contain('securityFee 11 is above MAX_SECURITY_FEE (10)');
+    expect(error.message).to.contain('treasury must be a non-zero address');
+    expect(await strategy.totalFee()).to.equal(450);
+    expect(await strategy.callFee()).to.equal(1000);
+  });
+
+  it('should check caller roles and emit unsigned calldata', async function () {
+    const feeError = await runAndCatch('strat:fees', {
+      vault: VAULT,
+      totalFee: '300',
+      calldata: true,
+      from: strategist.address,
+    });
+    expect(feeError.message).to.contain('cannot call updateTotalFee');
+    expect(feeError.message).to.contain('requires DEFAULT_ADMIN_ROLE');
+
+    // With a single strategist, only that strategist may move the remitter.
+    const remitterError = await runAndCatch('strat:fees', { vault: VAULT, strategistRemitter: strategist.address });
+    expect(remitterError.message).to.contain('requires STRATEGIST');
+
+    const fromError = await runAndCatch('strat:pause', { vault: VAULT, from: strategist.address });
+    expect(fromError.message).to.contain('--from only applies with --calldata');
+    expect(await strategy.paused()).to.equal(false);
+
+    const output = path.join(fixture.workDir, 'calldata.json');
+    const { transactions } = await hre.run('strat:fees', {
+      vault: VAULT,
+      minProtoToSell: '5000',
+      strategistRemitter: strategist.address,
+      calldata: true,
+      from: strategist.address,
+      output,
+    });
+    expect(JSON.parse(fs.readFileSync(output, 'utf8'))).to.deep.equal(transactions);
+    expect(transactions.map(transaction => transaction.method)).to.deep.equal([
+      'updateStrategistRemitter',
+      'setMinProtoToSell',
+    ]);
+    const decoded = strategy.interface.parseTransaction({ data: transactions[1].data });
+    expect(transactions[1].to).to.equal(strategy.address);
+    expect(decoded.args[0]).to.equal(5000);
+    expect(await strategy.minProtoToSell()).to.equal(1000);
+
+    await strategist.sendTransaction({ to: transactions[1].to, data: transactions[1].data });
+    expect(await strategy.minProtoToSell()).to.equal(5000);
+  });
+
+  it('should panic, unpause and retire the strategy', async function () {
+    const deposited = await strategy.balanceOfPool();
+    expect(deposited).to.be.gt(0);
+
+    const { changes } = await hre.run('strat:panic', { vault: VAULT });
+    expect(changes).to.deep.include({ field: 'paused', before: 'false', after: 'true' });
+    expect(changes).to.deep.include({ field: 'balanceOfPool', before: deposited.toString(), after: '0' });
+    expect(await wftmUsdcPair.balanceOf(vault.address)).to.equal(deposited);
+
+    const error = await runAndCatch('strat:pause', { vault: VAULT });
+    expect(error.message).to.contain('is already paused');
+
+    await hre.run('strat:unpause', { vault: VAULT });
+    expect(await strategy.paused()).to.equal(false);
+    await vault.earn();
+    expect(await strategy.balanceOfPool()).to.equal(deposited);
+
+    await hre.run('strat:retire', { vault: VAULT });
+    expect(await strategy.balanceOf()).to.equal(0);
+    expect(await wftmUsdcPair.balanceOf(vault.address)).to.be.gte(deposited);
+  });
+});
@@ -0,0 +1,152 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { runAndCatch } = require('./fixtures/rejections');
+const { runTreasuryCalls } = require('../lib/treasury');
+chai.use(solidity);
+const { expect } = chai;
+
+describe('Treasury tasks', function () {
+  let fixture;
+  let treasury;
+  let strategy;
+  let owner;
+  let accountant;
+  let recipient;
+
+  beforeEach(async function () {
+    [, , , accountant, recipient] = await ethers.getSigners();
+    fixture = await deployVaultFixture({
+      protofi: { protonPerBlock: ethers.utils.parseEther('10') },
+      config: { depositFee: 0 },
+    });
+    ({ treasury, strategy, owner } = fixture);
+    await treasury.setAccountant(accountant.address);
+    await strategy.harvest();
+    await strategy.harvest();
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  it('should summarize the harvest fees the treasury received', async function () {
+    const { wftm, usdc } = fixture;
+    const fees = await wftm.balanceOf(treasury.address);
+    expect(fees).to.be.gt(0);
+    await owner.sendTransaction({ to: treasury.address, value: ethers.utils.parseEther('2') });
+
+    const output = path.join(fixture.workDir, 'balances.txt');
+    const report = await hre.run('treasury:balances', { vault: VAULT, tokens: usdc.address, output });
+    expect(report.assets.map(asset => asset.asset)).to.deep.equal(['FTM', 'WFTM', 'USDC']);
+    const [ftmRow, wftmRow, usdcRow] = report.assets;
+    expect(ftmRow.balance).to.equal('2.0');
+    expect(wftmRow.balance).to.equal(ethers.utils.formatEther(fees));
+    expect(wftmRow.feesReceived).to.equal(wftmRow.balance);
+    expect(wftmRow.feeTransfers).to.equal(2);
+    expect(usdcRow.feesReceived).to.equal(undefined);
+    expect(fs.readFileSync(output, 'utf8')).to.contain(`Fee income counted from strategy ${strategy.address}`);
+
+    // Fee income only counts the range asked for.
+    const latest = await ethers.provider.getBlockNumber();
+    const late = await hre.run('treasury:balances', {
+      vault: VAULT,
+      fromBlock: latest,
+      format: 'json',
+      output: path.join(fixture.workDir, 'late.json'),
+    });
+    expect(late.assets[1].feesReceived).to.equal('0.0');
+    expect(late.assets[1].balance).to.equal(wftmRow.balance);
+  });
+
+  it('should queue withdrawals as the owner and review them as the accountant', async function () {
+    const { wftm } = fixture;
+    const fees = await wftm.balanceOf(treasury.address);
+    const half = ethers.utils.formatEther(fees.div(2));
+    await owner.sendTransaction({ to: treasury.address, value: ethers.utils.parseEther('1') });
+
+    // Only the owner can withdraw.
+    let error = await runAndCatch('treasury:withdraw', {
+      vault: VAULT,
+      token: wftm.address,
+      to: recipient.address,
+      amount: half,
+      from: accountant.address,
+    });
+    expect(error.message).to.equal(
+      `${accountant.address} cannot call withdrawTokens on treasury ${treasury.address}: requires owner ${owner.address}`,
+    );
+    error = await runAndCatch('treasury:withdraw', { vault: VAULT, token: 'FTM', to: recipient.address, amount: '5' });
+    expect(error.message).to.contain('amount 5.0 FTM is above the treasury balance (1.0)');
+
+    await hre.run('treasury:withdraw', { vault: VAULT, token: wftm.address, to: recipient.address, amount: half });
+    await hre.run('treasury:withdraw', {
+      treasury: treasury.address,
+      token: 'ftm',
+      to: recipient.address,
+      amount: 'all',
+    });
+    expect(await wftm.balanceOf(recipient.address)).to.equal(fees.div(2));
+    expect(await ethers.provider.getBalance(treasury.address)).to.equal(0);
+
+    let report = await hre.run('treasury:withdrawals', {
+      vault: VAULT,
+      status: 'pending',
+      format: 'json',
+      output: path.join(fixture.workDir, 'pending.json'),
+    });
+    expect(report.accountant).to.equal(accountant.address);
+    expect(report.withdrawals.map(entry => [entry.index, entry.symbol, entry.formatted])).to.deep.equal([
+      [0, 'WFTM', half],
+      [1, 'FTM', '1.0'],
+    ]);
+
+    // Only the accountant can review: the owner is refused before sending anything.
+    error = await runAndCatch('treasury:review', { vault: VAULT, indexes: '0' });
+    expect(error.message).to.equal(
+      `${owner.address} cannot call markReviewed on treasury ${treasury.address}: requires accountant ${accountant.address}`,
+    );
+    await expect(treasury.markReviewed(0)).to.be.revertedWith('not authorized');
+    error = await runAndCatch('treasury:review', { vault: VAULT, indexes: '0,2', from: accountant.address });
+    expect(error.message).to.equal('Invalid review:\n  - no withdrawal #2, the treasury holds 2');
+
+    const calldataFile = path.join(fixture.workDir, 'review.json');
+    await hre.run('treasury:review', {
+      vault: VAULT,
+      indexes: '1',
+      from: accountant.address,
+      calldata: true,
+      output: calldataFile,
+    });
+    const [transaction] = JSON.parse(fs.readFileSync(calldataFile, 'utf8'));
+    expect(transaction.to).to.equal(treasury.address);
+    expect(transaction.method).to.equal('markReviewed');
+    await accountant.sendTransaction({ to: transaction.to, data: transaction.data });
+
+    report = await hre.run('treasury:withdrawals', { vault: VAULT, output: path.join(fixture.workDir, 'all.txt') });
+    expect(report.withdrawals.map(entry => entry.reviewed)).to.deep.equal([false, true]);
+    expect(fs.readFileSync(path.join(fixture.workDir, 'all.txt'), 'utf8')).to.contain(
+      '1 of 2 withdrawals awaiting review',
+    );
+
+    // The accountant's own signer sends the review; reviewed entries are not sent again.
+    const { receipts } = await runTreasuryCalls(treasury, [{ method: 'markReviewed', args: [0] }], {
+      signer: accountant,
+    });
+    expect(receipts).to.have.length(1);
+    const pending = await hre.run('treasury:withdrawals', {
+      vault: VAULT,
+      status: 'pending',
+      format: 'csv',
+      output: path.join(fixture.workDir, 'none.csv'),
+    });
+    expect(pending.withdrawals).to.deep.equal([]);
+    expect(await hre.run('treasury:review', { vault: VAULT, indexes: '0,1' })).to.deep.equal({
+      transactions: [],
+      receipts: [],
+    });
+  });
+});
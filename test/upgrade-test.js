@@ -0,0 +1,87 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { runAndCatch } = require('./fixtures/rejections');
+const { getDeployment } = require('../lib/deployments');
+const { readStrategyState } = require('../lib/strategy-state');
+chai.use(solidity);
+const { expect } = chai;
+
+const V2 = 'ReaperAutoCompoundProtofiFarmerV2Mock';
+
+describe('Strategy upgrade tasks', function () {
+  let fixture;
+  let strategy;
+
+  beforeEach(async function () {
+    const [, addr1, addr2] = await ethers.getSigners();
+    fixture = await deployVaultFixture({
+      protofi: { signers: [] },
+      config: { strategists: [addr1.address, addr2.address] },
+      deposit: false,
+    });
+    strategy = fixture.strategy;
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  const increaseTime = async seconds => {
+    await network.provider.send('evm_increaseTime', [seconds]);
+    await network.provider.send('evm_mine');
+  };
+
+  it('should upgrade only after the cooldown and keep the strategy state', async function () {
+    const before = await readStrategyState(strategy);
+    const timelock = (await strategy.UPGRADE_TIMELOCK()).toNumber();
+
+    await hre.run('upgrade:propose', { vault: VAULT, contract: V2 });
+    const error = await runAndCatch('upgrade:execute', { vault: VAULT, contract: V2 });
+    expect(error.message).to.contain('cooldown still active');
+
+    await increaseTime(timelock);
+    const { previousImplementation, implementation } = await hre.run('upgrade:execute', {
+      vault: VAULT,
+      contract: V2,
+    });
+
+    const upgraded = await ethers.getContractAt(V2, strategy.address);
+    expect(await upgraded.version()).to.equal('v2');
+    expect(implementation).to.not.equal(previousImplementation);
+    expect(getDeployment('hardhat', VAULT).strategyImplementation).to.equal(implementation);
+    expect(await readStrategyState(strategy)).to.deep.equal(before);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    expect(await strategy.upgradeProposalTime()).to.be.gt(timestamp);
+  });
+
+  it('should refuse to execute without a proposal', async function () {
+    const error = await runAndCatch('upgrade:execute', { vault: VAULT, contract: V2 });
+    expect(error.message).to.contain('No upgrade proposed');
+  });
+
+  it('should not restart a pending cooldown unless forced', async function () {
+    await hre.run('upgrade:propose', { vault: VAULT, contract: V2 });
+    const proposedAt = await strategy.upgradeProposalTime();
+
+    const error = await runAndCatch('upgrade:propose', { vault: VAULT, contract: V2 });
+    expect(error.message).to.contain('already proposed');
+    expect(await strategy.upgradeProposalTime()).to.equal(proposedAt);
+
+    await hre.run('upgrade:propose', { vault: VAULT, contract: V2, force: true });
+    expect(await strategy.upgradeProposalTime()).to.be.gt(proposedAt);
+  });
+
+  it('should reject an implementation with an incompatible storage layout', async function () {
+    const proposalTime = await strategy.upgradeProposalTime();
+
+    const error = await runAndCatch('upgrade:propose', {
+      vault: VAULT,
+      contract: 'ReaperAutoCompoundProtofiFarmerBadLayoutMock',
+    });
+    expect(error.message).to.contain('is not a safe upgrade');
+    expect(error.message).to.contain('Inserted `shifted`');
+    expect(await strategy.upgradeProposalTime()).to.equal(proposalTime);
+  });
+});
@@ -0,0 +1,83 @@
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { solidity } = require('ethereum-waffle');
+const { deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { INVARIANTS, runSequence, fuzzVault, formatFailure } = require('./fixtures/vault-fuzz');
+chai.use(solidity);
+const { expect } = chai;
+
+const SEED = Number(process.env.FUZZ_SEED || 1);
+const RUNS = Number(process.env.FUZZ_RUNS || 3);
+const STEPS = Number(process.env.FUZZ_STEPS || 25);
+const TEST_FILE = path.relative(process.cwd(), __filename);
+
+describe('Vault invariants', function () {
+  let fixture;
+  let context;
+
+  before(async function () {
+    const [, , ...depositors] = await ethers.getSigners();
+    const users = depositors.slice(0, 4);
+    fixture = await deployVaultFixture({ protofi: { signers: users }, deposit: false });
+    // A cap below what the depositors hold together, so deposits run into it.
+    const held = await fixture.wftmUsdcPair.balanceOf(users[0].address);
+    await fixture.vault.updateTvlCap(held.mul(5).div(2));
+    context = {
+      vault: fixture.vault,
+      strategy: fixture.strategy,
+      want: fixture.wftmUsdcPair,
+      users,
+      admin: fixture.owner,
+    };
+  });
+
+  after(function () {
+    removeVaultFixture(fixture);
+  });
+
+  it('should hold the share accounting invariants over random action sequences', async function () {
+    if (process.env.FUZZ_REPLAY) {
+      const { sequence } = JSON.parse(fs.readFileSync(process.env.FUZZ_REPLAY, 'utf8'));
+      const result = await runSequence(context, sequence);
+      expect(result.ok, result.message).to.equal(true);
+      return;
+    }
+
+    const result = await fuzzVault(context, { seed: SEED, runs: RUNS, steps: STEPS });
+    if (!result.ok) {
+      const repro = path.join(os.tmpdir(), `vault-fuzz-${result.seed}.json`);
+      fs.writeFileSync(repro, `${JSON.stringify({ seed: result.seed, sequence: result.sequence }, null, 2)}\n`);
+      expect.fail(
+        [
+          formatFailure(result),
+          `Rerun the seed: FUZZ_SEED=${result.seed} FUZZ_RUNS=1 FUZZ_STEPS=${STEPS} npx hardhat test ${TEST_FILE}`,
+          `Replay the shrunk sequence: FUZZ_REPLAY=${repro} npx hardhat test ${TEST_FILE}`,
+        ].join('\n'),
+      );
+    }
+  });
+
+  it('should shrink a failing sequence to the steps that cause it', async function () {
+    // A planted invariant that breaks as soon as two depositors hold shares.
+    const singleDepositor = ({ after }) => {
+      const holders = after.users.filter(user => !user.shares.isZero()).length;
+      return holders > 1 ? `${holders} depositors hold shares` : undefined;
+    };
+    const invariants = INVARIANTS.concat([singleDepositor]);
+
+    const result = await fuzzVault(context, { seed: 7, runs: 5, steps: 30, invariants });
+    expect(result.ok).to.equal(false);
+    expect(result.failure.message).to.equal('singleDepositor: 2 depositors hold shares');
+    expect(result.sequence).to.have.length(2);
+    expect(result.sequence.map(action => action.type)).to.deep.equal(['deposit', 'deposit']);
+    expect(result.sequence.map(action => action.bps)).to.deep.equal([10000, 10000]);
+    expect(formatFailure(result)).to.contain(`Seed ${result.seed} failed at step`);
+
+    // The shrunk sequence replays to the same failure; the chain is left as it was.
+    const replay = await runSequence(context, result.sequence, invariants);
+    expect(replay.message).to.equal(result.failure.message);
+    expect(await context.vault.totalSupply()).to.equal(0);
+  });
+});
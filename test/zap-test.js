@@ -0,0 +1,121 @@
+const hre = require('hardhat');
+const chai = require('chai');
+const { solidity } = require('ethereum-waffle');
+const { VAULT, deployVaultFixture, removeVaultFixture } = require('./fixtures/vault');
+const { runAndCatch } = require('./fixtures/rejections');
+const { optimalSwapAmount, loadZap, quoteZapIn, zapIn } = require('../lib/zap');
+chai.use(solidity);
+const { expect } = chai;
+
+describe('Zap', function () {
+  let fixture;
+  let vault;
+  let owner;
+  let trader;
+
+  beforeEach(async function () {
+    [, , , trader] = await ethers.getSigners();
+    fixture = await deployVaultFixture();
+    ({ vault, owner } = fixture);
+  });
+
+  afterEach(function () {
+    removeVaultFixture(fixture);
+  });
+
+  it('should split the input so that almost nothing is left over', async function () {
+    const { wftm, usdc, wftmUsdcPair } = fixture;
+    const amount = ethers.utils.parseEther('100');
+    const { quote, result } = await hre.run('zap:in', { vault: VAULT, token: 'FTM', amount: '100', slippage: 50 });
+
+    // 100 WFTM against a 2000 WFTM reserve: the price impact makes the optimal swap a bit less than half.
+    expect(quote.swap.amountIn).to.be.gt(amount.mul(49).div(100));
+    expect(quote.swap.amountIn).to.be.lt(amount.div(2));
+    expect(result.swapped).to.equal(quote.swap.amountOut);
+    expect(result.liquidity).to.be.closeTo(quote.liquidity.expected, 1);
+    expect(result.shares).to.be.gte(quote.shares.min);
+    expect(await vault.balanceOf(owner.address)).to.equal(result.shares);
+    expect(await wftmUsdcPair.balanceOf(owner.address)).to.equal(0);
+    expect(await wftmUsdcPair.allowance(owner.address, vault.address)).to.equal(0);
+    expect(result.leftovers[wftm.address]).to.be.lt(amount.div(100000));
+    expect(result.leftovers[usdc.address]).to.be.lte(1);
+
+    // The same split works from the other side of the pair.
+    const usdcAmount = ethers.utils.parseUnits('300', 6);
+    await usdc.mint(owner.address, usdcAmount);
+    const zapped = await hre.run('zap:in', { vault: VAULT, token: usdc.address, amount: '300', slippage: 50 });
+    expect(zapped.result.leftovers[usdc.address]).to.be.lt(usdcAmount.div(100000));
+    expect(await usdc.balanceOf(owner.address)).to.equal(zapped.result.leftovers[usdc.address]);
+    expect(optimalSwapAmount(ethers.BigNumber.from(0), ethers.utils.parseEther('1'))).to.equal(0);
+  });
+
+  it('should enforce the slippage bounds of the quote', async function () {
+    const { wftm, usdc, router } = fixture;
+    const zap = await loadZap(vault.address, owner);
+    const amount = ethers.utils.parseEther('50');
+    const quote = await quoteZapIn(zap, { token: 'FTM', amount, slippage: 100 });
+
+    // A large trade moves the price against the zap between the quote and its execution.
+    await wftm.connect(trader).deposit({ value: ethers.utils.parseEther('200') });
+    await wftm.connect(trader).approve(router.address, ethers.constants.MaxUint256);
+    await router
+      .connect(trader)
+      .swapExactTokensForTokens(
+        ethers.utils.parseEther('200'),
+        0,
+        [wftm.address, usdc.address],
+        trader.address,
+        ethers.constants.MaxUint256,
+      );
+    await expect(zapIn(zap, quote, { deadline: ethers.constants.MaxUint256 })).to.be.revertedWith(
+      'ProtofiRouter: INSUFFICIENT_OUTPUT_AMOUNT',
+    );
+    expect(await vault.balanceOf(owner.address)).to.equal(0);
+
+    // A fresh quote prices the new reserves and goes through.
+    const { result } = await hre.run('zap:in', { vault: VAULT, token: 'FTM', amount: '50', slippage: 100 });
+    expect(result.shares).to.be.gt(0);
+
+    let error = await runAndCatch('zap:in', { vault: VAULT, token: fixture.proto.address, amount: '1', slippage: 50 });
+    expect(error.message).to.match(/^Cannot zap "0x[0-9a-fA-F]{40}", expected FTM or a token of the pair: /);
+    error = await runAndCatch('zap:in', { vault: VAULT, token: 'FTM', amount: '1', slippage: 10000 });
+    expect(error.message).to.equal('slippage must be a whole number of basis points below 10000, got "10000"');
+    await vault.updateTvlCap(await vault.balance());
+    error = await runAndCatch('zap:in', { vault: VAULT, token: 'FTM', amount: '1', slippage: 50, dryRun: true });
+    expect(error.message).to.match(/^Vault 0x[0-9a-fA-F]{40} is full: /);
+  });
+
+  it('should zap shares back out into a single token', async function () {
+    const { usdc, wftmUsdcPair } = fixture;
+    const amount = ethers.utils.parseEther('100');
+    await hre.run('zap:in', { vault: VAULT, token: 'FTM', amount: '100', slippage: 50 });
+    const shares = await vault.balanceOf(owner.address);
+
+    const dryRun = await hre.run('zap:out', { vault: VAULT, token: 'FTM', shares: 'all', slippage: 50, dryRun: true });
+    expect(dryRun.result).to.equal(undefined);
+    expect(dryRun.quote.shares).to.equal(shares);
+    expect(dryRun.quote.liquidity.securityFee).to.be.gt(0);
+
+    const half = ethers.utils.formatEther(shares.div(2));
+    const { quote, result } = await hre.run('zap:out', {
+      vault: VAULT,
+      token: usdc.address,
+      shares: half,
+      slippage: 50,
+    });
+    expect(result.amountOut).to.be.gte(quote.amountOut.min);
+    expect(result.amountOut).to.be.closeTo(quote.amountOut.expected, 1);
+    expect(await usdc.balanceOf(owner.address)).to.equal(result.amountOut);
+
+    const ftmBefore = await ethers.provider.getBalance(owner.address);
+    const out = await hre.run('zap:out', { vault: VAULT, token: 'FTM', shares: 'all', slippage: 50 });
+    expect(await vault.balanceOf(owner.address)).to.equal(0);
+    expect(await wftmUsdcPair.balanceOf(owner.address)).to.equal(0);
+    // Gas is paid in FTM too, so the received amount bounds the balance change from above.
+    const received = (await ethers.provider.getBalance(owner.address)).sub(ftmBefore);
+    expect(received).to.be.lte(out.result.amountOut);
+    expect(received).to.be.gt(out.result.amountOut.sub(ethers.utils.parseEther('0.1')));
+    // Round trip costs: deposit fee, security fee and two swaps of about half the position.
+    expect(out.result.amountOut).to.be.gt(amount.div(2).mul(990).div(1000));
+  });
+});